@@ -3,10 +3,138 @@
  * 提供多种随机选择算法和优化策略
  */
 
+/**
+ * 可设定种子的随机数源
+ * 设定种子时使用 mulberry32 生成可复现的序列，未设定种子时使用 crypto.getRandomValues
+ */
+class RandomSource {
+    /**
+     * @param {number|string|null} seed - 随机种子，为空时使用加密随机数
+     */
+    constructor(seed = null) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * 设置随机种子，并从指定的抽取序号继续
+     * @param {number|string|null} seed - 随机种子
+     * @param {number} drawIndex - 抽取序号，默认从头开始
+     */
+    setSeed(seed, drawIndex = 0) {
+        this.seed = seed === null || seed === undefined || seed === '' ? null : seed;
+        this.state = this.seed === null ? null : RandomSource.hashSeed(this.seed);
+        this.drawIndex = 0;
+        if (this.state !== null) {
+            this.skip(Math.max(0, parseInt(drawIndex) || 0));
+        }
+    }
+
+    /**
+     * 将种子（数字或字符串）转换为32位无符号整数
+     * @param {number|string} seed - 随机种子
+     * @returns {number} 32位状态值
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 生成一个新的随机种子
+     * @returns {number} 32位无符号整数种子
+     */
+    static generateSeed() {
+        if (window.crypto && window.crypto.getRandomValues) {
+            return window.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * 获取下一个 [0, 1) 区间的随机数
+     * @returns {number} 随机数
+     */
+    next() {
+        this.drawIndex++;
+
+        if (this.state === null) {
+            return window.crypto.getRandomValues(new Uint32Array(1))[0] / 0x100000000;
+        }
+
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * 跳过指定数量的随机数，用于恢复到之前的抽取位置
+     * @param {number} count - 跳过的数量
+     */
+    skip(count) {
+        for (let i = 0; i < count; i++) {
+            this.next();
+        }
+    }
+}
+
 class CallAlgorithm {
-    constructor(storageManager) {
+    /**
+     * @param {StorageManager} storageManager - 存储管理器
+     * @param {Object} options - 选项
+     * @param {number|string} options.seed - 随机种子，未设置时自动生成以便复现
+     * @param {Object} options.random - 自定义随机数源，需提供 next() 方法及 seed、drawIndex 属性
+     */
+    constructor(storageManager, options = {}) {
         this.storageManager = storageManager;
         this.lastSelectedStudent = null;
+        this.selectedStudents = new Set();
+        this.lastBatchDraws = [];
+        this.random = options.random || new RandomSource(
+            options.seed !== undefined && options.seed !== null && options.seed !== ''
+                ? options.seed
+                : RandomSource.generateSeed()
+        );
+        this.lastDraw = null;
+        this.performanceWeights = this.normalizePerformanceWeights(options.performanceWeights);
+    }
+
+    /**
+     * 获取 [0, n) 区间的随机整数
+     * @param {number} n - 上限（不含）
+     * @returns {number} 随机整数
+     */
+    randomInt(n) {
+        return Math.floor(this.random.next() * n);
+    }
+
+    /**
+     * Fisher-Yates 洗牌
+     * @param {Array} items - 待洗牌数组
+     * @returns {Array} 打乱后的新数组
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * 获取最近一次抽取的随机数信息（种子、起始序号、消耗数量）
+     * @returns {Object|null} 抽取信息
+     */
+    getLastDrawInfo() {
+        return this.lastDraw ? { ...this.lastDraw } : null;
     }
 
 
@@ -35,7 +163,7 @@ class CallAlgorithm {
         }
 
         // 正常随机选择
-        const randomIndex = Math.floor(Math.random() * students.length);
+        const randomIndex = this.randomInt(students.length);
         return students[randomIndex];
     }
 
@@ -99,37 +227,85 @@ class CallAlgorithm {
             (s.callCount || 0) === minCallCount
         );
 
-        const randomIndex = Math.floor(Math.random() * leastCalledStudents.length);
+        const randomIndex = this.randomInt(leastCalledStudents.length);
         return leastCalledStudents[randomIndex];
     }
 
     /**
      * 循环轮转算法 - 按顺序依次选择，确保每个学生都被点到
-     * @param {Array} students - 学生数组
+     * @param {Array} students - 学生数组（完整名单，用于确定轮到谁）
+     * @param {Set} excludeIds - 需要跳过的学生ID（批量抽取时本批已选中的学生）
      * @returns {Object|null} 选中的学生信息
      */
-    roundRobin(students) {
+    roundRobin(students, excludeIds = new Set()) {
         if (!students || students.length === 0) {
             return null;
         }
 
-        // 如果只有一个学生，直接返回
-        if (students.length === 1) {
-            return students[0];
+        // 如果还没有选择过任何学生，从第一个开始；否则从最后一个选择的学生之后开始
+        const lastIndex = this.selectedStudents.size === 0
+            ? -1
+            : students.findIndex(s => s.id === this.lastSelectedStudent);
+
+        for (let step = 1; step <= students.length; step++) {
+            const student = students[(lastIndex + step) % students.length];
+            if (!excludeIds.has(student.id)) {
+                return student;
+            }
         }
 
-        // 如果还没有选择过任何学生，从第一个开始
-        if (this.selectedStudents.size === 0) {
-            return students[0];
+        return null;
+    }
+
+    /**
+     * 不重复抽取算法 - 每轮所有学生各抽一次后才会重复（洗牌袋）
+     * 抽取池按班级持久化保存，刷新页面或切换班级后仍然保留
+     * @param {Array} students - 学生数组
+     * @param {number} classId - 班级ID
+     * @returns {Promise<Object|null>} 选中的学生信息
+     */
+    async deckDraw(students, classId) {
+        if (!students || students.length === 0) {
+            return null;
         }
 
-        // 找到最后一个选择的学生
-        const lastIndex = students.findIndex(s => s.id === this.lastSelectedStudent);
-        let nextIndex = (lastIndex + 1) % students.length;
+        const pool = await this.storageManager.getDrawPool(classId);
+        let drawnIds = new Set(pool.drawnIds);
+        let round = pool.round;
+        let remaining = students.filter(s => !drawnIds.has(s.id));
+
+        // 本轮已全部抽完，重新装满抽取池
+        if (remaining.length === 0) {
+            drawnIds = new Set();
+            round++;
+            remaining = [...students];
+        }
 
+        const selected = remaining[this.randomInt(remaining.length)];
+        drawnIds.add(selected.id);
 
+        await this.storageManager.saveDrawPool(classId, [...drawnIds], round);
 
-        return students[nextIndex];
+        return selected;
+    }
+
+    /**
+     * 获取不重复抽取的本轮状态
+     * @param {Array} students - 学生数组
+     * @param {number} classId - 班级ID
+     * @returns {Promise<Object>} { remaining: 本轮剩余人数, total: 总人数, round: 当前轮次 }
+     */
+    async getDeckStatus(students, classId) {
+        const available = this.filterByStatus(students || [], 'deck');
+        const pool = await this.storageManager.getDrawPool(classId);
+        const drawnIds = new Set(pool.drawnIds);
+        const remaining = available.filter(s => !drawnIds.has(s.id)).length;
+
+        return {
+            remaining: remaining === 0 ? available.length : remaining,
+            total: available.length,
+            round: remaining === 0 && available.length > 0 ? pool.round + 1 : pool.round
+        };
     }
 
     /**
@@ -177,11 +353,117 @@ class CallAlgorithm {
 
         // 在前几个高分学生中随机选择
         const topCandidates = studentsWithScores.slice(0, Math.min(3, studentsWithScores.length));
-        const randomIndex = Math.floor(Math.random() * topCandidates.length);
+        const randomIndex = this.randomInt(topCandidates.length);
         
         return topCandidates[randomIndex].student;
     }
 
+    /**
+     * 规范化答题表现权重参数，缺失或非法的值使用默认值
+     * @param {Object} weights - 权重参数
+     * @param {number} weights.wrong - 每次最近答错增加的权重
+     * @param {number} weights.missing - 每次最近未作答（跳过、缺席）增加的权重
+     * @param {number} weights.sinceCorrect - 距上次答对每天增加的权重
+     * @param {number} weights.recentCount - 统计最近几次回答
+     * @param {number} weights.maxDays - 距上次答对天数的上限
+     * @returns {Object} 规范化后的权重参数
+     */
+    normalizePerformanceWeights(weights = {}) {
+        const defaults = { wrong: 2, missing: 1, sinceCorrect: 0.5, recentCount: 5, maxDays: 14 };
+        const normalized = {};
+
+        Object.keys(defaults).forEach(key => {
+            const value = Number(weights ? weights[key] : undefined);
+            normalized[key] = weights && weights[key] !== undefined && weights[key] !== '' &&
+                !isNaN(value) && value >= 0 ? value : defaults[key];
+        });
+
+        return normalized;
+    }
+
+    /**
+     * 设置答题表现权重参数
+     * @param {Object} weights - 权重参数，见 normalizePerformanceWeights
+     */
+    setPerformanceWeights(weights) {
+        this.performanceWeights = this.normalizePerformanceWeights({ ...this.performanceWeights, ...weights });
+    }
+
+    /**
+     * 根据点名记录中的回答结果汇总每个学生的答题情况
+     * @param {Array} records - 点名记录
+     * @returns {Map} 学生ID -> { outcomes: 最近的回答结果（新到旧）, lastCorrect: 最近一次答对的时间 }
+     */
+    buildPerformanceStats(records) {
+        const stats = new Map();
+
+        [...(records || [])]
+            .filter(record => record.outcome)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .forEach(record => {
+                if (!stats.has(record.studentId)) {
+                    stats.set(record.studentId, { outcomes: [], lastCorrect: null });
+                }
+                const entry = stats.get(record.studentId);
+                entry.outcomes.push(record.outcome);
+                if (record.outcome === 'correct' && !entry.lastCorrect) {
+                    entry.lastCorrect = new Date(record.timestamp);
+                }
+            });
+
+        return stats;
+    }
+
+    /**
+     * 计算学生的答题表现权重
+     * 权重 = 1 + 最近答错次数 × 答错权重 + 最近未作答次数 × 未作答权重 + 距上次答对天数 × 天数权重
+     * @param {Object} student - 学生
+     * @param {Map} stats - buildPerformanceStats 的结果
+     * @param {Object} weights - 权重参数
+     * @param {number} now - 计算时刻的时间戳，默认为当前时间
+     * @returns {Object} { weight, wrong, missing, days }
+     */
+    calculatePerformanceWeight(student, stats, weights = this.performanceWeights, now = Date.now()) {
+        const entry = stats.get(student.id) || { outcomes: [], lastCorrect: null };
+        const recent = entry.outcomes.slice(0, weights.recentCount);
+        const wrong = recent.filter(outcome => outcome === 'wrong').length;
+        const missing = recent.filter(outcome => outcome === 'passed' || outcome === 'absent').length;
+
+        // 从未答对的学生按上限天数计算
+        const days = entry.lastCorrect
+            ? Math.min(weights.maxDays, (now - entry.lastCorrect.getTime()) / (1000 * 60 * 60 * 24))
+            : weights.maxDays;
+
+        const weight = 1 + wrong * weights.wrong + missing * weights.missing + days * weights.sinceCorrect;
+
+        return { weight, wrong, missing, days };
+    }
+
+    /**
+     * 答题表现加权算法 - 最近答错或未作答、久未答对的学生被选中的概率更高
+     * @param {Array} students - 学生数组
+     * @param {Array} records - 班级点名记录（含回答结果）
+     * @returns {Object|null} 选中的学生信息
+     */
+    performanceWeighted(students, records) {
+        if (!students || students.length === 0) {
+            return null;
+        }
+
+        // 如果只有一个学生，直接返回
+        if (students.length === 1) {
+            return students[0];
+        }
+
+        const stats = this.buildPerformanceStats(records);
+        const studentsWithWeights = students.map(student => ({
+            student,
+            weight: this.calculatePerformanceWeight(student, stats).weight
+        }));
+
+        return this.selectByWeight(studentsWithWeights);
+    }
+
     /**
      * 分组随机算法 - 将学生分成若干组，随机选择一组，然后在该组内随机选择
      * @param {Array} students - 学生数组
@@ -198,27 +480,166 @@ class CallAlgorithm {
             return this.fairRandom(students);
         }
 
-        // 随机打乱学生数组
-        const shuffled = [...students].sort(() => Math.random() - 0.5);
-        
-        // 分组
-        const groups = [];
-        const groupSize = Math.ceil(students.length / groupCount);
-        
-        for (let i = 0; i < groupCount; i++) {
-            const start = i * groupSize;
-            const end = Math.min(start + groupSize, students.length);
-            groups.push(shuffled.slice(start, end));
-        }
+        // 随机分组
+        const { groups } = this.generateGroups(students, { groupCount });
 
         // 随机选择一个组
-        const randomGroupIndex = Math.floor(Math.random() * groups.length);
+        const randomGroupIndex = this.randomInt(groups.length);
         const selectedGroup = groups[randomGroupIndex];
 
         // 在选中的组内使用公平随机算法
         return this.fairRandom(selectedGroup);
     }
 
+    /**
+     * 生成分组 - 将学生分成若干组，支持按属性均衡以及指定同组/不同组
+     * @param {Array} students - 学生数组
+     * @param {Object} options - 选项
+     * @param {number} options.groupCount - 分组数量（与 groupSize 二选一）
+     * @param {number} options.groupSize - 每组人数
+     * @param {string} options.balanceBy - 用于均衡的学生属性（数值按总和均衡，其他按类别均衡）
+     * @param {Array<Array<number>>} options.together - 必须同组的学生ID对
+     * @param {Array<Array<number>>} options.apart - 必须分开的学生ID对
+     * @returns {Object} { groups: 学生数组的数组, warnings: 无法满足的约束说明 }
+     */
+    generateGroups(students, options = {}) {
+        const warnings = [];
+
+        if (!students || students.length === 0) {
+            return { groups: [], warnings };
+        }
+
+        let groupCount = parseInt(options.groupCount);
+        if (!groupCount) {
+            const groupSize = Math.max(1, parseInt(options.groupSize) || 1);
+            groupCount = Math.ceil(students.length / groupSize);
+        }
+        groupCount = Math.max(1, Math.min(groupCount, students.length));
+        const capacity = Math.ceil(students.length / groupCount);
+
+        // 合并必须同组的学生为一个单元
+        const units = this.buildGroupUnits(students, options.together || []);
+
+        // 记录必须分开的学生
+        const studentIds = new Set(students.map(s => s.id));
+        const apart = new Map();
+        (options.apart || []).forEach(([a, b]) => {
+            if (!studentIds.has(a) || !studentIds.has(b) || a === b) return;
+            if (!apart.has(a)) apart.set(a, new Set());
+            if (!apart.has(b)) apart.set(b, new Set());
+            apart.get(a).add(b);
+            apart.get(b).add(a);
+        });
+
+        // 判断均衡属性是数值型还是类别型
+        const balanceBy = options.balanceBy || null;
+        const isNumeric = balanceBy && students.every(s => {
+            const value = s[balanceBy];
+            return value === undefined || value === null || value === '' || !isNaN(Number(value));
+        });
+        const numericValue = (student) => Number(student[balanceBy]) || 0;
+        const categoryOf = (student) => {
+            const value = student[balanceBy];
+            return value === undefined || value === null || value === '' ? '' : String(value);
+        };
+
+        // 先随机打乱，再让人数多的单元（以及数值大的单元）优先放置
+        const ordered = this.shuffle(units);
+        ordered.sort((a, b) => {
+            if (b.length !== a.length) return b.length - a.length;
+            if (isNumeric) {
+                return b.reduce((sum, s) => sum + numericValue(s), 0) -
+                       a.reduce((sum, s) => sum + numericValue(s), 0);
+            }
+            return 0;
+        });
+
+        const groups = Array.from({ length: groupCount }, () => []);
+
+        const score = (group, unit) => {
+            if (!balanceBy) return 0;
+            if (isNumeric) {
+                return group.reduce((sum, s) => sum + numericValue(s), 0);
+            }
+            const categories = new Set(unit.map(categoryOf));
+            return group.filter(s => categories.has(categoryOf(s))).length;
+        };
+
+        for (const unit of ordered) {
+            const conflicts = (group) => unit.some(s =>
+                apart.has(s.id) && group.some(member => apart.get(s.id).has(member.id))
+            );
+
+            const indexes = groups.map((_, i) => i);
+            const allowed = indexes.filter(i => !conflicts(groups[i]));
+            const fitting = allowed.filter(i => groups[i].length + unit.length <= capacity);
+
+            let candidates = fitting;
+            if (candidates.length === 0) {
+                candidates = allowed.length > 0 ? allowed : indexes;
+                const names = unit.map(s => s.name).join('、');
+                warnings.push(allowed.length > 0
+                    ? `${names} 无法在人数限制内分组，已放入人数最少的组`
+                    : `${names} 无法满足"不同组"要求`);
+            }
+
+            candidates.sort((a, b) =>
+                score(groups[a], unit) - score(groups[b], unit) ||
+                groups[a].length - groups[b].length ||
+                a - b
+            );
+            groups[candidates[0]].push(...unit);
+        }
+
+        return { groups: groups.filter(group => group.length > 0), warnings };
+    }
+
+    /**
+     * 根据"同组"约束将学生合并为不可拆分的单元
+     * @param {Array} students - 学生数组
+     * @param {Array<Array<number>>} together - 必须同组的学生ID对
+     * @returns {Array<Array>} 学生单元数组
+     */
+    buildGroupUnits(students, together) {
+        const parent = new Map(students.map(s => [s.id, s.id]));
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+
+        together.forEach(([a, b]) => {
+            if (!parent.has(a) || !parent.has(b)) return;
+            parent.set(find(a), find(b));
+        });
+
+        const units = new Map();
+        students.forEach(student => {
+            const root = find(student.id);
+            if (!units.has(root)) units.set(root, []);
+            units.get(root).push(student);
+        });
+
+        return [...units.values()];
+    }
+
+    /**
+     * 按特殊规则状态过滤学生
+     * 公平随机保留所有学生，其他算法排除"特殊排除"状态的学生
+     * @param {Array} students - 学生数组
+     * @param {string} algorithm - 算法类型
+     * @returns {Array} 可参与点名的学生数组
+     */
+    filterByStatus(students, algorithm) {
+        if (algorithm === 'fair') {
+            return [...students];
+        }
+
+        return students.filter(student => student.status !== 'excluded');
+    }
+
     /**
      * 根据权重选择
      * @param {Array} studentsWithWeights - 包含权重的学生数组
@@ -229,11 +650,11 @@ class CallAlgorithm {
         
         if (totalWeight <= 0) {
             // 如果总权重为0，使用普通随机选择
-            const randomIndex = Math.floor(Math.random() * studentsWithWeights.length);
+            const randomIndex = this.randomInt(studentsWithWeights.length);
             return studentsWithWeights[randomIndex].student;
         }
 
-        let random = Math.random() * totalWeight;
+        let random = this.random.next() * totalWeight;
         
         for (const item of studentsWithWeights) {
             random -= item.weight;
@@ -251,6 +672,7 @@ class CallAlgorithm {
      * @param {Array} students - 学生数组
      * @param {string} algorithm - 算法类型
      * @param {Object} options - 选项
+     * @param {Set} options.excludeIds - 需要排除的学生ID（批量抽取时本批已选中的学生）
      * @returns {Object|null} 选中的学生
      */
     async selectStudent(students, algorithm = 'fair', options = {}) {
@@ -259,7 +681,28 @@ class CallAlgorithm {
         }
 
         let selectedStudent;
-        let availableStudents = [...students];
+        let availableStudents = this.filterByStatus(students, algorithm);
+
+        // 排除本节课缺勤的学生（所有算法均生效）
+        const absentIds = new Set(options.absentIds || (options.classId
+            ? await this.storageManager.getAbsentStudentIds(options.classId)
+            : []));
+        if (absentIds.size > 0) {
+            availableStudents = availableStudents.filter(s => !absentIds.has(s.id));
+        }
+
+        // 批量抽取时排除本批已选中的学生；循环轮转仍需要完整名单来确定轮到谁
+        const rotation = availableStudents;
+        const excludeIds = options.excludeIds || new Set();
+        if (excludeIds.size > 0) {
+            availableStudents = availableStudents.filter(s => !excludeIds.has(s.id));
+        }
+
+        if (availableStudents.length === 0) {
+            return null;
+        }
+
+        const drawStart = this.random.drawIndex;
 
         switch (algorithm) {
             case 'fair':
@@ -272,7 +715,7 @@ class CallAlgorithm {
                 selectedStudent = this.leastCalledFirst(availableStudents);
                 break;
             case 'roundRobin':
-                selectedStudent = this.roundRobin(availableStudents);
+                selectedStudent = this.roundRobin(rotation, excludeIds);
                 break;
             case 'timeBalanced':
                 selectedStudent = this.timeBalanced(availableStudents);
@@ -280,6 +723,13 @@ class CallAlgorithm {
             case 'group':
                 selectedStudent = this.groupRandom(availableStudents, options.groupCount || 3);
                 break;
+            case 'deck':
+                selectedStudent = await this.deckDraw(availableStudents, options.classId);
+                break;
+            case 'performance':
+                selectedStudent = this.performanceWeighted(availableStudents, options.callRecords ||
+                    (options.classId ? await this.storageManager.getCallRecordsByClassId(options.classId) : []));
+                break;
             default:
                 selectedStudent = this.fairRandom(availableStudents);
         }
@@ -287,6 +737,12 @@ class CallAlgorithm {
         // 更新选择状态
         if (selectedStudent) {
             this.lastSelectedStudent = selectedStudent.id;
+            this.selectedStudents.add(selectedStudent.id);
+            this.lastDraw = {
+                seed: this.random.seed ?? null,
+                drawIndex: drawStart,
+                drawCount: this.random.drawIndex - drawStart
+            };
         }
 
         return selectedStudent;
@@ -300,31 +756,56 @@ class CallAlgorithm {
      * @param {number} count - 选择数量
      * @param {string} algorithm - 算法类型
      * @param {Object} options - 选项
-     * @returns {Array} 选中的学生数组
+     * @returns {Promise<Array>} 选中的学生数组
      */
-    selectMultipleStudents(students, count, algorithm = 'fair', options = {}) {
+    async selectMultipleStudents(students, count, algorithm = 'fair', options = {}) {
+        this.lastBatchDraws = [];
+
         if (!students || students.length === 0 || count <= 0) {
             return [];
         }
 
         const selected = [];
-        const availableStudents = [...students];
+        const selectedIds = new Set();
+
+        // 缺勤名单只需读取一次
+        if (!options.absentIds && options.classId) {
+            options = {
+                ...options,
+                absentIds: await this.storageManager.getAbsentStudentIds(options.classId)
+            };
+        }
+
+        // 答题表现加权算法的点名记录同样只需读取一次
+        if (algorithm === 'performance' && !options.callRecords && options.classId) {
+            options = {
+                ...options,
+                callRecords: await this.storageManager.getCallRecordsByClassId(options.classId)
+            };
+        }
 
         for (let i = 0; i < Math.min(count, students.length); i++) {
-            const selectedStudent = this.selectStudent(availableStudents, algorithm, options);
-            if (selectedStudent) {
-                selected.push(selectedStudent);
-                // 从可用学生中移除已选择的学生
-                const index = availableStudents.findIndex(s => s.id === selectedStudent.id);
-                if (index !== -1) {
-                    availableStudents.splice(index, 1);
-                }
+            const selectedStudent = await this.selectStudent(students, algorithm, { ...options, excludeIds: selectedIds });
+            if (!selectedStudent) {
+                break;
             }
+
+            selected.push(selectedStudent);
+            selectedIds.add(selectedStudent.id);
+            this.lastBatchDraws.push(this.getLastDrawInfo());
         }
 
         return selected;
     }
 
+    /**
+     * 获取最近一次批量选择中每个学生对应的随机数信息
+     * @returns {Array} 与选中学生顺序一致的抽取信息数组
+     */
+    getLastBatchDrawInfo() {
+        return (this.lastBatchDraws || []).map(draw => ({ ...draw }));
+    }
+
     /**
      * 获取算法说明
      * @param {string} algorithm - 算法类型
@@ -337,7 +818,9 @@ class CallAlgorithm {
             leastCalled: '优先选择被点名次数最少的学生，确保公平分配',
             roundRobin: '按顺序依次选择每个学生，保证每个人都有机会被点到',
             timeBalanced: '基于时间间隔和点名次数进行平衡，避免某些学生长期未被点到',
-            group: '将学生随机分成若干组，随机选择一组然后在该组内随机选择'
+            group: '将学生随机分成若干组，随机选择一组然后在该组内随机选择',
+            deck: '每轮所有学生各被抽到一次后才会重复，抽取进度按班级保存',
+            performance: '根据回答结果分配权重，最近答错、未作答或久未答对的学生被选中的概率更高'
         };
 
         return descriptions[algorithm] || '未知算法';
@@ -354,71 +837,156 @@ class CallAlgorithm {
             { value: 'leastCalled', name: '最少点名优先', description: this.getAlgorithmDescription('leastCalled') },
             { value: 'roundRobin', name: '循环轮转', description: this.getAlgorithmDescription('roundRobin') },
             { value: 'timeBalanced', name: '时间均衡', description: this.getAlgorithmDescription('timeBalanced') },
-            { value: 'group', name: '分组随机', description: this.getAlgorithmDescription('group') }
+            { value: 'group', name: '分组随机', description: this.getAlgorithmDescription('group') },
+            { value: 'deck', name: '不重复抽取', description: this.getAlgorithmDescription('deck') },
+            { value: 'performance', name: '答题表现加权', description: this.getAlgorithmDescription('performance') }
         ];
     }
 
     /**
-     * 预测下一个可能被选中的学生（用于显示预期结果）
+     * 预测下一次点名每个学生被选中的概率（用于显示预期结果）
+     * 与 selectStudent 一样会先排除特殊状态和缺勤的学生，返回的概率之和为 1
      * @param {Array} students - 学生数组
      * @param {string} algorithm - 算法类型
      * @param {Object} options - 选项
-     * @returns {Array} 预测的可能学生列表（按概率排序）
+     * @param {Array<number>} options.absentIds - 缺勤学生ID
+     * @param {Array<number>} options.drawnIds - 本轮已抽取的学生ID（不重复抽取算法需要）
+     * @param {Array} options.callRecords - 点名记录（答题表现加权算法需要）
+     * @param {number} options.groupCount - 分组数量（分组随机算法）
+     * @param {Date} options.now - 计算时刻，默认为当前时间（时间均衡和答题表现加权算法）
+     * @param {number} options.limit - 返回的学生数量上限，默认 5，传 0 返回全部
+     * @returns {Array} 预测结果 [{ student, probability, reason }]（按概率从高到低排序）
      */
     predictNextStudents(students, algorithm = 'fair', options = {}) {
         if (!students || students.length === 0) {
             return [];
         }
 
-        // 这里可以实现各种算法的预测逻辑
-        // 简化实现，返回概率最高的前几个学生
-        const predictions = [];
+        const absentIds = new Set(options.absentIds || []);
+        const available = this.filterByStatus(students, algorithm).filter(s => !absentIds.has(s.id));
+        if (available.length === 0) {
+            return [];
+        }
+
+        const predictions = this.calculateProbabilities(available, algorithm, options);
+
+        // 按概率排序
+        predictions.sort((a, b) => b.probability - a.probability);
+
+        const limit = options.limit === undefined ? 5 : options.limit;
+        return limit > 0 ? predictions.slice(0, limit) : predictions;
+    }
+
+    /**
+     * 计算各算法下每个学生被选中的精确概率
+     * @param {Array} students - 已过滤的可选学生数组
+     * @param {string} algorithm - 算法类型
+     * @param {Object} options - 选项，见 predictNextStudents
+     * @returns {Array} [{ student, probability, reason }]
+     */
+    calculateProbabilities(students, algorithm, options = {}) {
+        const n = students.length;
+        const uniform = (candidates, reason) => {
+            const candidateIds = new Set(candidates.map(s => s.id));
+            return students.map(student => ({
+                student,
+                probability: candidateIds.has(student.id) ? 1 / candidates.length : 0,
+                reason: candidateIds.has(student.id) ? reason : '本次不会被选中'
+            }));
+        };
+        const byWeight = (items) => {
+            const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+            return items.map(item => ({
+                student: item.student,
+                // 与 selectByWeight 一致：总权重为 0 时退化为等概率
+                probability: totalWeight > 0 ? item.weight / totalWeight : 1 / n,
+                reason: item.reason
+            }));
+        };
+
+        // 只有一个学生时所有算法都直接返回该学生
+        if (n === 1) {
+            return [{ student: students[0], probability: 1, reason: '唯一可选的学生' }];
+        }
 
         switch (algorithm) {
             case 'fair':
-                // 公平随机，所有学生概率相等
-                students.forEach(student => {
-                    predictions.push({
-                        student,
-                        probability: 1 / students.length,
-                        reason: '每个学生概率相等'
-                    });
-                });
-                break;
+                return uniform(students, '每个学生概率相等');
 
-            case 'weighted':
+            case 'weighted': {
                 // 权重随机，点名次数少的概率高
                 const maxCallCount = Math.max(...students.map(s => s.callCount || 0));
-                students.forEach(student => {
+                return byWeight(students.map(student => {
                     const weight = (maxCallCount - (student.callCount || 0)) + 1;
-                    predictions.push({
-                        student,
-                        probability: weight,
-                        reason: `权重: ${weight} (点名${student.callCount || 0}次)`
-                    });
+                    return { student, weight, reason: `权重: ${weight} (点名${student.callCount || 0}次)` };
+                }));
+            }
+
+            case 'leastCalled': {
+                // 在点名次数最少的学生中等概率选择
+                const minCallCount = Math.min(...students.map(s => s.callCount || 0));
+                return uniform(
+                    students.filter(s => (s.callCount || 0) === minCallCount),
+                    `点名次数最少 (${minCallCount}次)`
+                );
+            }
+
+            case 'roundRobin': {
+                // 循环轮转是确定的，下一个学生概率为 1
+                const lastIndex = students.findIndex(s => s.id === this.lastSelectedStudent);
+                const nextIndex = this.selectedStudents.size === 0 ? 0 : (lastIndex + 1) % n;
+                return uniform([students[nextIndex]], '按顺序轮到该学生');
+            }
+
+            case 'timeBalanced': {
+                // 按等待得分排序后，在前 3 名中等概率选择（与 timeBalanced 使用相同的排序）
+                const now = options.now || new Date();
+                const scored = students.map(student => {
+                    const lastCalled = student.lastCalled ? new Date(student.lastCalled) : new Date(0);
+                    const callCount = student.callCount || 0;
+                    let score = (now - lastCalled) / (1000 * 60 * 60);
+                    if (callCount === 0) {
+                        score += 24;
+                    }
+                    score += (n - callCount) * 2;
+                    return { student, score };
                 });
-                break;
+                scored.sort((a, b) => b.score - a.score);
+                const top = scored.slice(0, Math.min(3, n)).map(item => item.student);
+                return uniform(top, '等待得分位于前 3 名');
+            }
 
-            case 'leastCalled':
-                // 最少点名优先
-                const sortedStudents = [...students].sort((a, b) => (a.callCount || 0) - (b.callCount || 0));
-                sortedStudents.forEach((student, index) => {
-                    predictions.push({
+            case 'group':
+                // 先等概率选组，再在组内等概率选人。分组前学生被随机打乱，
+                // 学生落入人数为 s 的组的概率为 s/n，被选中的概率为 Σ (s/n)·(1/G)·(1/s) = 1/n
+                return uniform(students, `随机分成${Math.min(options.groupCount || 3, n)}组后再选人，每个学生概率相等`);
+
+            case 'deck': {
+                // 在本轮尚未抽到的学生中等概率选择，全部抽完后重新开始
+                const drawnIds = new Set(options.drawnIds || []);
+                const remaining = students.filter(s => !drawnIds.has(s.id));
+                return remaining.length > 0
+                    ? uniform(remaining, '本轮尚未抽到')
+                    : uniform(students, '新一轮开始，每个学生概率相等');
+            }
+
+            case 'performance': {
+                // 答题表现加权，按权重占比计算概率
+                const stats = this.buildPerformanceStats(options.callRecords);
+                return byWeight(students.map(student => {
+                    const item = this.calculatePerformanceWeight(student, stats, this.performanceWeights,
+                        options.now ? options.now.getTime() : Date.now());
+                    return {
                         student,
-                        probability: 1 / (index + 1),
-                        reason: `最少点名排序第${index + 1}位`
-                    });
-                });
-                break;
+                        weight: item.weight,
+                        reason: `权重: ${item.weight.toFixed(1)} (最近答错${item.wrong}次, 未作答${item.missing}次, 距上次答对${Math.round(item.days)}天)`
+                    };
+                }));
+            }
 
             default:
-                // 其他算法使用公平随机
-                return this.predictNextStudents(students, 'fair', options);
+                // 未知算法与 selectStudent 一样按公平随机处理
+                return this.calculateProbabilities(students, 'fair', options);
         }
-
-        // 按概率排序
-        predictions.sort((a, b) => b.probability - a.probability);
-
-        return predictions.slice(0, 5); // 返回前5个最可能的学生
     }
 }
\ No newline at end of file
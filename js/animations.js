@@ -16,6 +16,37 @@ class AnimationSystem {
         this.studentScroll = document.getElementById('studentScroll');
         this.currentNameElement = document.getElementById('currentName');
         this.displayContainer = document.querySelector('.display-container');
+        
+        // 投影窗口同步（由 PresenterLink 注入）
+        this.mirror = null;
+    }
+
+    /**
+     * 设置动画调用的转发目标（投影窗口）
+     * @param {Object} mirror - 提供 mirror(type, payload) 方法的对象
+     */
+    setMirror(mirror) {
+        this.mirror = mirror;
+    }
+
+    /**
+     * 将动画调用转发给投影窗口
+     * @param {string} type - 消息类型
+     * @param {Object} payload - 消息内容
+     */
+    notifyMirror(type, payload = {}) {
+        if (this.mirror) {
+            this.mirror.mirror(type, payload);
+        }
+    }
+
+    /**
+     * 精简学生对象，只保留显示需要的字段
+     * @param {Object} student - 学生对象
+     * @returns {Object} { id, name }
+     */
+    toDisplayStudent(student) {
+        return { id: student.id, name: student.name };
     }
 
     /**
@@ -98,6 +129,11 @@ class AnimationSystem {
             if (duration !== null) {
                 this.animationSettings.duration = duration;
             }
+            
+            this.notifyMirror('start', {
+                students: students.map(student => this.toDisplayStudent(student)),
+                settings: { duration: this.animationSettings.duration, speed: this.animationSettings.speed }
+            });
 
             // 添加滚动类
             this.studentScroll.classList.add('rolling');
@@ -489,6 +525,8 @@ class AnimationSystem {
                 return;
             }
             
+            this.notifyMirror('reveal', { student: this.toDisplayStudent(student) });
+            
             // 高亮选中的学生
             this.highlightSelectedStudent(student);
             
@@ -511,6 +549,49 @@ class AnimationSystem {
         });
     }
 
+    /**
+     * 依次揭晓多名选中的学生（批量点名）
+     * @param {Array} students - 选中的学生数组
+     * @returns {Promise} 动画完成的Promise
+     */
+    revealList(students) {
+        return new Promise((resolve) => {
+            if (!students || students.length === 0) {
+                resolve([]);
+                return;
+            }
+            
+            this.notifyMirror('revealList', { students: students.map(student => this.toDisplayStudent(student)) });
+            
+            const scrollContent = this.studentScroll.querySelector('.scroll-content');
+            const list = document.createElement('ol');
+            list.className = 'reveal-list';
+            scrollContent.innerHTML = '';
+            scrollContent.appendChild(list);
+            
+            // 添加背景特效
+            this.displayContainer.classList.add('revealing');
+            this.addCelebrationEffect();
+            
+            // 逐个揭晓名字
+            const revealInterval = 400;
+            students.forEach((student, index) => {
+                setTimeout(() => {
+                    const item = document.createElement('li');
+                    item.className = 'reveal-item fade-in';
+                    item.textContent = student.name || '未命名学生';
+                    list.appendChild(item);
+                }, index * revealInterval);
+            });
+            
+            // 等待动画完成
+            setTimeout(() => {
+                this.cleanupCelebrationEffect();
+                resolve(students);
+            }, students.length * revealInterval + 1500);
+        });
+    }
+
     /**
      * 添加庆祝动画效果
      */
@@ -562,6 +643,7 @@ class AnimationSystem {
      */
     applyTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
+        this.notifyMirror('theme', { theme });
         
         // 更新活跃主题按钮
         document.querySelectorAll('.theme-color').forEach(button => {
@@ -576,6 +658,8 @@ class AnimationSystem {
      * 停止所有动画
      */
     stopAllAnimations() {
+        this.notifyMirror('stop');
+        
         // 停止随机滚动
         if (this.currentAnimation && this.currentAnimation.type === 'randomScroll') {
             this.stopRandomScroll();
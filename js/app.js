@@ -14,6 +14,10 @@ class RollCallApp {
         this.autoStopTimer = null;
         this.isAnimating = false;
         this.callAlgorithm = null; // 将在这里初始化点名算法实例
+        this.randomSeed = ''; // 设置中的固定随机种子，为空时自动生成
+        this.pendingOutcomes = []; // 等待记录回答结果的点名 [{ recordId, student }]
+        this.updatePromptShown = false; // 是否已提示有新版本
+        this.pendingSnapshotCalls = 0; // 还未计入自动快照的点名次数
         // 操作历史管理
         this.operationHistory = [];
         this.historyIndex = -1;
@@ -197,6 +201,15 @@ class RollCallApp {
 
             // 加载班级列表（会自动选择最近使用的班级）
             await this.loadClasses();
+            
+            // 订阅其他标签页的数据变更
+            this.setupChangeFeed();
+            
+            // 注册离线缓存
+            this.setupServiceWorker();
+            
+            // 按设置创建自动快照
+            this.checkAutoBackup();
 
             // 初始化界面
             this.initializeUI();
@@ -223,14 +236,16 @@ class RollCallApp {
 
     /**
      * 加载应用设置
+     * @param {Array<string>} keys - 只重新应用这些设置项，省略时应用全部
      */
-    async loadSettings() {
+    async loadSettings(keys = null) {
         try {
             // 从存储管理器获取设置
             const settings = await window.storageManager.getAllSettings();
+            const shouldApply = (key) => !keys || keys.includes(key);
             
             // 更新动画设置
-            if (settings.animationDuration) {
+            if (shouldApply('animationDuration') && settings.animationDuration) {
                 window.animationSystem.updateAnimationSettings({ duration: settings.animationDuration });
                 const durationSlider = document.getElementById('animationDuration');
                 if (durationSlider) {
@@ -240,7 +255,7 @@ class RollCallApp {
                 }
             }
             
-            if (settings.scrollSpeed) {
+            if (shouldApply('scrollSpeed') && settings.scrollSpeed) {
                 window.animationSystem.updateAnimationSettings({ speed: settings.scrollSpeed });
                 const speedSlider = document.getElementById('scrollSpeed');
                 if (speedSlider) {
@@ -257,13 +272,57 @@ class RollCallApp {
             
 
             
+            // 更新随机种子：只在种子改变时重新设定，重新加载设置不会重置随机序列；
+            // 固定种子时从上次保存的位置继续，避免每次打开页面都重复相同的点名顺序
+            const randomSeed = settings.randomSeed || '';
+            if (shouldApply('randomSeed') && randomSeed !== this.randomSeed) {
+                const state = settings.randomState;
+                if (randomSeed) {
+                    const drawIndex = state && String(state.seed) === String(randomSeed) ? state.drawIndex : 0;
+                    this.callAlgorithm.random.setSeed(randomSeed, drawIndex);
+                } else {
+                    this.callAlgorithm.random.setSeed(RandomSource.generateSeed());
+                }
+                this.randomSeed = randomSeed;
+            }
+            const seedInput = document.getElementById('randomSeed');
+            if (seedInput && shouldApply('randomSeed')) {
+                seedInput.value = randomSeed;
+            }
+            
+            // 更新答题表现权重
+            if (shouldApply('performanceWeights')) {
+                if (settings.performanceWeights) {
+                    this.callAlgorithm.setPerformanceWeights(settings.performanceWeights);
+                }
+                document.querySelectorAll('.performance-weight').forEach(input => {
+                    input.value = this.callAlgorithm.performanceWeights[input.dataset.weight];
+                });
+            }
+            
+            // 更新自动快照设置
+            if (shouldApply('autoBackup')) {
+                this.autoBackupSettings = {
+                    mode: 'off',
+                    everyCalls: 20,
+                    retention: { daily: 7, weekly: 4 },
+                    ...(settings.autoBackup || {})
+                };
+                document.getElementById('autoBackupMode').value = this.autoBackupSettings.mode;
+                document.getElementById('autoBackupEveryCalls').value = this.autoBackupSettings.everyCalls;
+                document.getElementById('autoBackupDaily').value = this.autoBackupSettings.retention.daily;
+                document.getElementById('autoBackupWeekly').value = this.autoBackupSettings.retention.weekly;
+            }
+            
             // 更新主题
-            if (settings.theme) {
+            if (shouldApply('theme') && settings.theme) {
                 window.animationSystem.applyTheme(settings.theme);
             }
             
             // 获取最近使用的班级ID
-            this.recentClassId = settings.recentClassId || null;
+            if (shouldApply('recentClassId')) {
+                this.recentClassId = settings.recentClassId || null;
+            }
             
             console.log('设置加载完成');
         } catch (error) {
@@ -310,6 +369,128 @@ class RollCallApp {
         }
     }
 
+    /**
+     * 重新加载班级下拉列表，保留当前选中的班级
+     */
+    async refreshClassSelector() {
+        const classes = await window.storageManager.getAllClasses();
+        const classSelector = document.getElementById('classSelector');
+        
+        classSelector.innerHTML = '<option value="">选择班级</option>';
+        classes.forEach(cls => {
+            const option = document.createElement('option');
+            option.value = cls.id;
+            option.textContent = cls.name;
+            option.selected = cls.id === this.currentClassId;
+            classSelector.appendChild(option);
+        });
+        
+        // 当前班级已在其他页面被删除
+        if (this.currentClassId && !classes.some(cls => cls.id === this.currentClassId)) {
+            this.currentClassId = null;
+            await this.loadStudents();
+        }
+        
+        this.updateClassButtons();
+    }
+
+    /**
+     * 订阅其他标签页的数据变更，短时间内的多次变更合并处理
+     */
+    setupChangeFeed() {
+        this.pendingChanges = [];
+        const flush = ComponentUtils.debounce(() => this.applyStorageChanges(), 200);
+        
+        window.storageManager.onChange((event) => {
+            this.pendingChanges.push(event);
+            flush();
+        });
+    }
+
+    /**
+     * 注册离线缓存，有新版本时提示刷新
+     */
+    setupServiceWorker() {
+        window.serviceWorkerManager.onUpdateAvailable(() => {
+            if (this.updatePromptShown) return;
+            this.updatePromptShown = true;
+            this.showNotification(
+                '新版本已就绪 <button type="button" class="btn btn-primary btn-small" onclick="app.applyUpdate()">刷新</button>',
+                'info',
+                0
+            );
+        });
+        window.serviceWorkerManager.register();
+    }
+
+    /**
+     * 切换到新版本并刷新页面
+     */
+    applyUpdate() {
+        window.serviceWorkerManager.applyUpdate();
+    }
+
+    /**
+     * 根据其他标签页的数据变更，只刷新受影响的部分
+     */
+    async applyStorageChanges() {
+        const events = this.pendingChanges;
+        this.pendingChanges = [];
+        const types = new Set(events.map(event => event.type));
+        
+        try {
+            // 数据被整体恢复、清空或从同步服务器拉取了变更，全部重新加载
+            if (types.has('data:restored') || types.has('data:cleared') || types.has('data:synced')) {
+                this.renderSyncStatus();
+                await this.loadSettings();
+                await this.refreshClassSelector();
+                await this.loadStudents();
+                return;
+            }
+            
+            // 只重新应用变化的设置项；最近使用的班级只影响下次打开，不需要同步
+            const changedKeys = events
+                .filter(event => event.type === 'settings:changed' && event.key !== 'recentClassId')
+                .map(event => event.key);
+            if (changedKeys.length > 0) {
+                await this.loadSettings(changedKeys);
+            }
+            
+            if (types.has('class:created') || types.has('class:updated') || types.has('class:deleted')) {
+                await this.refreshClassSelector();
+            }
+            
+            const currentTypes = new Set(events
+                .filter(event => event.classId === this.currentClassId)
+                .map(event => event.type));
+            if (currentTypes.size === 0) {
+                return;
+            }
+            
+            // 学生或点名次数变化时刷新学生列表（同时刷新统计、抽取池和概率）
+            if (currentTypes.has('students:changed') || currentTypes.has('callRecord:added')) {
+                await this.loadStudents();
+                return;
+            }
+            
+            if (currentTypes.has('attendance:changed')) {
+                await this.updateAttendanceSummary();
+            }
+            if (currentTypes.has('drawPool:changed')) {
+                await this.updateDeckStatus();
+            }
+            if (currentTypes.has('callRecord:updated') || currentTypes.has('attendance:changed')) {
+                await this.updateStatistics();
+            }
+            if (currentTypes.has('grouping:changed')) {
+                await this.renderSavedGroupings();
+            }
+            await this.updateProbabilityPreview();
+        } catch (error) {
+            console.error('同步其他页面的数据变更失败:', error);
+        }
+    }
+
     /**
      * 加载当前班级的学生列表
      */
@@ -317,12 +498,18 @@ class RollCallApp {
         if (!this.currentClassId) {
             this.currentStudents = [];
             this.renderStudentsList();
+            await this.updateDeckStatus();
+            await this.updateAttendanceSummary();
+            await this.updateProbabilityPreview();
             return;
         }
         
         try {
             this.currentStudents = await window.storageManager.getStudentsByClassId(this.currentClassId);
             this.renderStudentsList();
+            await this.updateDeckStatus();
+            await this.updateAttendanceSummary();
+            await this.updateProbabilityPreview();
             
             // 更新统计信息
             await this.updateStatistics();
@@ -391,19 +578,21 @@ class RollCallApp {
      */
     createStudentCard(student) {
         const card = document.createElement('div');
-        card.className = 'student-card';
+        const isExcluded = student.status === 'excluded';
+        card.className = isExcluded ? 'student-card excluded' : 'student-card';
         card.dataset.studentId = student.id;
         
         const lastCalledDate = student.lastCalled ? 
             new Date(student.lastCalled).toLocaleDateString('zh-CN') : 
             '从未';
         
-
-        
         card.innerHTML = `
             <div class="student-card-header">
                 <h3 class="student-name">${student.name}</h3>
                 <div class="student-actions">
+                    <button class="btn-icon" title="特殊规则" onclick="app.showSpecialRulesModal(${student.id})">
+                        <i class="fas fa-user-shield"></i>
+                    </button>
                     <button class="btn-icon" title="编辑" onclick="app.showEditStudentModal(${student.id})">
                         <i class="fas fa-edit"></i>
                     </button>
@@ -437,6 +626,10 @@ class RollCallApp {
                         <i class="fas fa-clock"></i>
                         <span>最后点名: ${lastCalledDate}</span>
                     </div>
+                    <div class="stat status-badge ${isExcluded ? 'status-excluded' : 'status-normal'}">
+                        <i class="fas ${isExcluded ? 'fa-user-slash' : 'fa-user-check'}"></i>
+                        <span>${isExcluded ? '特殊排除' : '正常'}</span>
+                    </div>
                 </div>
             </div>
         `;
@@ -461,11 +654,13 @@ class RollCallApp {
             document.getElementById('mostCalledStudent').textContent = stats.mostCalledStudent;
             document.getElementById('leastCalledStudent').textContent = stats.leastCalledStudent;
             document.getElementById('neverCalledCount').textContent = stats.neverCalledCount;
-            document.getElementById('attendanceRate').textContent = `${stats.attendanceRate}%`;
+            document.getElementById('attendanceRate').textContent =
+                stats.attendanceRate === null ? '-' : `${stats.attendanceRate}%`;
             document.getElementById('lastActiveDate').textContent = stats.lastActiveDate;
             
             // 更新所有图表
             await this.updateFrequencyChart();
+            await this.updatePerformanceChart();
             await this.updateDailyDistributionChart();
             await this.updateAlgorithmUsageChart();
             await this.updateCallProportionChart();
@@ -516,6 +711,70 @@ class RollCallApp {
         }
     }
     
+    /**
+     * 更新学生答题表现表格
+     */
+    async updatePerformanceChart() {
+        if (!this.currentClassId) return;
+        
+        try {
+            const timeRange = document.getElementById('timeRange')?.value || '30';
+            const performanceData = await window.storageManager.getStudentPerformanceData(this.currentClassId, timeRange);
+            
+            const chartContainer = document.getElementById('performanceChart');
+            if (!chartContainer) return;
+            
+            const hasData = performanceData.some(data => data.total > 0);
+            if (!hasData) {
+                chartContainer.innerHTML = '<div class="empty-state">暂无回答记录</div>';
+                return;
+            }
+            
+            const trendIcons = {
+                up: '<i class="fas fa-arrow-up trend-up" title="进步"></i>',
+                down: '<i class="fas fa-arrow-down trend-down" title="退步"></i>',
+                flat: '<i class="fas fa-minus trend-flat" title="持平"></i>'
+            };
+            
+            chartContainer.innerHTML = `
+                <div class="table-container">
+                    <table class="data-table performance-table">
+                        <thead>
+                            <tr>
+                                <th>姓名</th>
+                                <th>回答次数</th>
+                                <th>正确率</th>
+                                <th>平均分</th>
+                                <th>最近表现</th>
+                                <th>趋势</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${performanceData.map(data => `
+                                <tr>
+                                    <td>${data.name}</td>
+                                    <td>${data.total}</td>
+                                    <td>${data.accuracy === null ? '-' : `${data.accuracy}%`}</td>
+                                    <td>${data.avgScore === null ? '-' : data.avgScore}</td>
+                                    <td>
+                                        <div class="outcome-history">
+                                            ${data.recent.map(outcome => `
+                                                <span class="outcome-dot outcome-${outcome}" title="${this.getOutcomeLabel(outcome)}"></span>
+                                            `).join('')}
+                                        </div>
+                                    </td>
+                                    <td>${data.total > 0 ? trendIcons[data.trend] : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            console.error('更新答题表现失败:', error);
+        }
+    }
+    
     /**
      * 更新时间段分布图表
      */
@@ -898,12 +1157,88 @@ class RollCallApp {
         const algorithmNames = {
             'fair': '公平算法',
             'weighted': '加权算法',
+            'deck': '不重复抽取',
+            'performance': '答题表现加权',
+            'leastCalled': '最少点名优先',
+            'roundRobin': '循环轮转',
+            'timeBalanced': '时间均衡',
+            'group': '分组随机',
             'random': '随机算法',
             'default': '默认算法'
         };
         return algorithmNames[algorithm] || algorithm;
     }
     
+    /**
+     * 显示公平性审计报告
+     */
+    async showFairnessReport() {
+        if (!this.currentClassId) {
+            this.showNotification('请先选择班级', 'warning');
+            return;
+        }
+        
+        try {
+            const timeRange = document.getElementById('timeRange')?.value || '30';
+            this.currentFairnessReport = await window.fairnessAuditor.generateReport(this.currentClassId, timeRange, {
+                performanceWeights: this.callAlgorithm.performanceWeights
+            });
+            
+            if (this.currentFairnessReport.totalCalls === 0) {
+                this.showNotification('所选时间范围内没有点名记录', 'warning');
+                return;
+            }
+            
+            const modal = document.getElementById('modalOverlay');
+            const title = document.getElementById('modalTitle');
+            const body = document.getElementById('modalBody');
+            const confirm = document.getElementById('modalConfirm');
+            
+            title.textContent = '点名公平性报告';
+            body.innerHTML = `
+                <div class="fairness-report">
+                    ${window.fairnessAuditor.renderReportBody(this.currentFairnessReport, (algorithm) => this.getAlgorithmName(algorithm))}
+                </div>
+                <div class="fairness-actions">
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.exportFairnessReport('html')">
+                        <i class="fas fa-file-code"></i>
+                        下载 HTML
+                    </button>
+                </div>
+            `;
+            
+            confirm.textContent = '打印 / 导出PDF';
+            confirm.onclick = () => {
+                this.exportFairnessReport('print');
+            };
+            
+            modal.style.display = 'flex';
+        } catch (error) {
+            console.error('生成公平性报告失败:', error);
+            this.showNotification('生成公平性报告失败', 'error');
+        }
+    }
+    
+    /**
+     * 导出公平性审计报告
+     * @param {string} format - 导出方式（print: 打开打印页面, html: 下载HTML文件）
+     */
+    exportFairnessReport(format) {
+        if (!this.currentFairnessReport) return;
+        
+        try {
+            const algorithmName = (algorithm) => this.getAlgorithmName(algorithm);
+            if (format === 'html') {
+                window.fairnessAuditor.downloadReport(this.currentFairnessReport, algorithmName);
+            } else {
+                window.fairnessAuditor.openPrintView(this.currentFairnessReport, algorithmName);
+            }
+        } catch (error) {
+            console.error('导出公平性报告失败:', error);
+            this.showNotification(error.message || '导出公平性报告失败', 'error');
+        }
+    }
+    
     /**
      * 导出统计数据为CSV格式
      */
@@ -930,7 +1265,7 @@ class RollCallApp {
             csvContent += '基本统计,最高点名次数,' + stats.maxCalls + '\n';
             csvContent += '基本统计,最低点名次数,' + stats.minCalls + '\n';
             csvContent += '基本统计,未被点名学生数,' + stats.neverCalledCount + '\n';
-            csvContent += '基本统计,点名出勤率,' + stats.attendanceRate + '%\n';
+            csvContent += '基本统计,出勤率,' + (stats.attendanceRate === null ? '-' : stats.attendanceRate + '%') + '\n';
             csvContent += '基本统计,最近活跃日期,' + stats.lastActiveDate + '\n';
             
             // 学生点名频率
@@ -1017,6 +1352,13 @@ class RollCallApp {
         // 算法选择
         document.getElementById('algorithmSelect').addEventListener('change', (e) => {
             this.currentAlgorithm = e.target.value;
+            this.updateDeckStatus();
+            this.updateProbabilityPreview();
+        });
+        
+        // 重新洗牌按钮
+        document.getElementById('reshuffleDeckBtn').addEventListener('click', () => {
+            this.reshuffleDeck();
         });
         
         // 开始点名按钮
@@ -1034,6 +1376,24 @@ class RollCallApp {
             this.resetRollCall();
         });
         
+        // 考勤按钮
+        document.getElementById('attendanceBtn').addEventListener('click', () => {
+            this.showAttendanceModal();
+        });
+        
+        // 投影显示按钮
+        document.getElementById('presenterBtn').addEventListener('click', () => {
+            this.togglePresenter();
+        });
+        window.presenterLink.onStatusChange(() => this.updatePresenterButton());
+        
+        // 手机遥控按钮
+        document.getElementById('remoteBtn').addEventListener('click', () => {
+            this.showRemoteModal();
+        });
+        window.remoteControl.onCommand(command => this.handleRemoteCommand(command));
+        window.remoteControl.onStatusChange(type => this.handleRemoteStatus(type));
+        
         // 添加班级按钮
         document.getElementById('addClassBtn').addEventListener('click', () => {
             this.showAddClassModal();
@@ -1068,6 +1428,11 @@ class RollCallApp {
             showExportStudentsModal();
         });
         
+        // 随机分组按钮
+        document.getElementById('makeGroupsBtn').addEventListener('click', () => {
+            this.showGroupModal();
+        });
+        
         // 排序选择
         document.getElementById('sortBy').addEventListener('change', () => {
             this.renderStudentsList();
@@ -1083,7 +1448,17 @@ class RollCallApp {
             this.searchStudents(e.target.value);
         });
         
-
+        // 随机种子设置
+        document.getElementById('randomSeed').addEventListener('change', (e) => {
+            this.updateRandomSeed(e.target.value.trim());
+        });
+        
+        // 答题表现权重设置
+        document.querySelectorAll('.performance-weight').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updatePerformanceWeight(e.target.dataset.weight, e.target.value);
+            });
+        });
         
         // 主题颜色选择
         document.querySelectorAll('.theme-color').forEach(button => {
@@ -1104,6 +1479,30 @@ class RollCallApp {
             this.restoreData();
         });
         
+        // 自动快照设置
+        document.querySelectorAll('.auto-backup-setting').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateAutoBackupSettings();
+            });
+        });
+        
+        // 快照管理按钮
+        document.getElementById('snapshotsBtn').addEventListener('click', () => {
+            this.showSnapshotsModal();
+        });
+        
+        // 多设备同步设置
+        document.querySelectorAll('.sync-setting').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateSyncSettings();
+            });
+        });
+        
+        // 立即同步按钮
+        document.getElementById('syncNowBtn').addEventListener('click', () => {
+            this.syncNow();
+        });
+        
         // 清空数据按钮
         document.getElementById('clearDataBtn').addEventListener('click', () => {
             this.confirmClearData();
@@ -1126,6 +1525,11 @@ class RollCallApp {
         document.getElementById('exportStatsBtn').addEventListener('click', () => {
             this.exportStatistics();
         });
+        
+        // 公平性报告按钮
+        document.getElementById('fairnessReportBtn').addEventListener('click', () => {
+            this.showFairnessReport();
+        });
     }
 
     /**
@@ -1144,6 +1548,68 @@ class RollCallApp {
         // 设置默认主题
         const defaultTheme = document.querySelector('.theme-color.active')?.dataset.theme || 'blue';
         window.animationSystem.applyTheme(defaultTheme);
+        
+        // 多设备同步设置
+        this.loadSyncSettings();
+    }
+
+    /**
+     * 加载多设备同步设置
+     */
+    loadSyncSettings() {
+        const config = window.storageManager.getSyncConfig();
+        document.getElementById('syncEnabled').checked = config.enabled;
+        document.getElementById('syncServerUrl').value = config.serverUrl;
+        document.getElementById('syncToken').value = config.token;
+        this.renderSyncStatus();
+    }
+
+    /**
+     * 保存多设备同步设置
+     */
+    updateSyncSettings() {
+        window.storageManager.saveSyncConfig({
+            enabled: document.getElementById('syncEnabled').checked,
+            serverUrl: document.getElementById('syncServerUrl').value.trim(),
+            token: document.getElementById('syncToken').value.trim()
+        });
+        this.renderSyncStatus();
+    }
+
+    /**
+     * 显示上次同步的结果
+     */
+    renderSyncStatus() {
+        const config = window.storageManager.getSyncConfig();
+        const status = document.getElementById('syncStatus');
+        
+        if (config.lastError) {
+            status.textContent = `同步失败：${config.lastError}`;
+        } else if (config.lastSyncAt) {
+            status.textContent = `上次同步：${ComponentUtils.formatDate(config.lastSyncAt, 'YYYY-MM-DD HH:mm:ss')}`;
+        } else {
+            status.textContent = '尚未同步';
+        }
+        status.classList.toggle('error', !!config.lastError);
+    }
+
+    /**
+     * 立即与同步服务器同步
+     */
+    async syncNow() {
+        const button = document.getElementById('syncNowBtn');
+        button.disabled = true;
+        
+        try {
+            const result = await window.storageManager.syncNow();
+            this.showNotification(`同步完成：上传 ${result.pushed} 条，下载 ${result.pulled} 条`, 'success');
+        } catch (error) {
+            console.error('同步失败:', error);
+            this.showNotification(error.message || '同步失败', 'error');
+        } finally {
+            button.disabled = false;
+            this.renderSyncStatus();
+        }
     }
 
     /**
@@ -1192,25 +1658,54 @@ class RollCallApp {
             await window.animationSystem.startRandomScroll(this.currentStudents);
             this.isAnimating = false;
             
-            // 选择学生
-            const selectedStudent = await window.callAlgorithm.selectStudent(
-                this.currentStudents,
-                this.currentAlgorithm
-            );
+            const drawCount = this.getDrawCount();
             
-            if (!selectedStudent) {
-                this.showNotification('没有可选的学生', 'warning');
-                this.stopRollCall();
-                return;
+            if (drawCount > 1) {
+                // 批量选择学生
+                const selectedStudents = await window.callAlgorithm.selectMultipleStudents(
+                    this.currentStudents,
+                    drawCount,
+                    this.currentAlgorithm,
+                    { classId: this.currentClassId }
+                );
+                
+                if (selectedStudents.length === 0) {
+                    this.showNotification('没有可选的学生', 'warning');
+                    this.stopRollCall();
+                    return;
+                }
+                
+                this.selectedStudent = selectedStudents[selectedStudents.length - 1];
+                
+                // 显示结果列表
+                await window.animationSystem.revealList(selectedStudents);
+                
+                // 记录点名结果
+                await this.recordBatchRollCall(selectedStudents, window.callAlgorithm.getLastBatchDrawInfo());
+            } else {
+                // 选择学生
+                const selectedStudent = await window.callAlgorithm.selectStudent(
+                    this.currentStudents,
+                    this.currentAlgorithm,
+                    { classId: this.currentClassId }
+                );
+                
+                if (!selectedStudent) {
+                    this.showNotification('没有可选的学生', 'warning');
+                    this.stopRollCall();
+                    return;
+                }
+                
+                this.selectedStudent = selectedStudent;
+                
+                // 显示结果
+                await window.animationSystem.revealResult(selectedStudent);
+                
+                // 记录点名结果
+                await this.recordRollCall(selectedStudent);
             }
             
-            this.selectedStudent = selectedStudent;
-            
-            // 显示结果
-            await window.animationSystem.revealResult(selectedStudent);
-            
-            // 记录点名结果
-            await this.recordRollCall(selectedStudent);
+            await this.saveRandomState();
             
             // 检查是否连续点名模式
             if (this.currentMode === 'continuous') {
@@ -1247,59 +1742,275 @@ class RollCallApp {
         this.stopRollCall();
         window.animationSystem.stopAllAnimations();
         document.getElementById('currentName').textContent = '点击开始点名';
+        document.getElementById('outcomePanel').style.display = 'none';
+        this.pendingOutcomes = [];
+        this.publishRemoteState();
     }
 
     /**
-     * 更新点名按钮状态
+     * 打开或关闭投影窗口
      */
-    updateRollCallButtons() {
-        const startBtn = document.getElementById('startCallBtn');
-        const stopBtn = document.getElementById('stopCallBtn');
+    togglePresenter() {
+        const link = window.presenterLink;
         
-        // 检查是否有选择班级和学生
-        const hasClass = !!this.currentClassId;
-        const hasStudents = this.currentStudents.length > 0;
-        const canStart = hasClass && hasStudents;
+        if (!link.isSupported()) {
+            this.showNotification('当前浏览器不支持投影显示', 'warning');
+            return;
+        }
         
-        if (this.isRolling) {
-            // 点名进行中状态
-            startBtn.disabled = true;
-            stopBtn.disabled = false;
-            
-            // 视觉反馈类
-            startBtn.classList.add('btn-disabled', 'btn-rolling');
-            stopBtn.classList.add('btn-active', 'btn-stop');
-            
-            // 添加加载动画和状态文本
-            if (this.isAnimating) {
-                startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> 滚动中...';
-                stopBtn.innerHTML = '<i class="fas fa-stop"></i> 停止滚动';
-            } else {
-                startBtn.innerHTML = '<i class="fas fa-pause"></i> 等待中...';
-                stopBtn.innerHTML = '<i class="fas fa-check"></i> 确认结果';
-            }
-            
-            // 添加焦点到停止按钮
-            stopBtn.focus();
-        } else {
-            // 点名停止状态
-            startBtn.disabled = !canStart;
-            stopBtn.disabled = true;
-            
-            // 移除视觉反馈类
-            startBtn.classList.remove('btn-disabled', 'btn-rolling');
-            stopBtn.classList.remove('btn-active', 'btn-stop');
-            
-            // 根据是否可以开始点名显示不同文本
-            if (canStart) {
-                startBtn.innerHTML = '<i class="fas fa-play"></i> 开始点名';
-                startBtn.title = '开始随机点名';
-                startBtn.classList.remove('btn-warning');
-            } else if (!hasClass) {
-                startBtn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> 请选择班级';
-                startBtn.title = '请先选择一个班级';
-                startBtn.classList.add('btn-warning');
-            } else if (!hasStudents) {
+        if (link.connected) {
+            link.close();
+            return;
+        }
+        
+        if (!link.open()) {
+            this.showNotification('投影窗口被浏览器拦截，请允许弹出窗口', 'warning');
+        }
+    }
+
+    /**
+     * 根据投影窗口连接状态更新按钮
+     */
+    updatePresenterButton() {
+        const connected = window.presenterLink.connected;
+        document.getElementById('presenterBtn').classList.toggle('connected', connected);
+        document.getElementById('presenterBtnText').textContent = connected ? '关闭投影' : '投影显示';
+    }
+
+    /**
+     * 显示手机遥控配对窗口（首次打开时创建会话）
+     */
+    async showRemoteModal() {
+        if (!window.remoteControl.isAvailable()) {
+            this.showNotification('手机遥控需要通过 server.js 启动本地服务后使用', 'warning');
+            return;
+        }
+        
+        try {
+            await window.remoteControl.startSession();
+        } catch (error) {
+            console.error('启动手机遥控失败:', error);
+            this.showNotification(error.message || '启动手机遥控失败', 'error');
+            return;
+        }
+        
+        const modal = document.getElementById('modalOverlay');
+        const title = document.getElementById('modalTitle');
+        const confirm = document.getElementById('modalConfirm');
+        
+        title.textContent = '手机遥控';
+        this.renderRemotePanel();
+        
+        confirm.textContent = '关闭';
+        confirm.className = 'btn btn-primary';
+        confirm.onclick = () => {
+            this.closeModal();
+        };
+        
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * 渲染手机遥控配对信息
+     */
+    renderRemotePanel() {
+        const body = document.getElementById('modalBody');
+        const session = window.remoteControl.session;
+        if (!session) {
+            body.innerHTML = '<div class="empty-state">手机遥控已结束</div>';
+            return;
+        }
+        
+        const urls = session.urls.length > 0 ? session.urls : [`${location.origin}/remote.html`];
+        const pin = session.pin && session.pinExpiresAt > Date.now()
+            ? `${session.pin.slice(0, 3)} ${session.pin.slice(3)}`
+            : null;
+        
+        body.innerHTML = `
+            <div class="remote-panel" id="remotePanel">
+                <p>手机连接同一 Wi-Fi 后，在浏览器中打开：</p>
+                <ul class="remote-urls">
+                    ${urls.map(url => `<li><code>${url}</code></li>`).join('')}
+                </ul>
+                <div class="remote-pin">${pin || '配对码已使用或已过期'}</div>
+                <div class="remote-meta">
+                    已配对 ${window.remoteControl.remoteCount} 台设备 · 配对码 5 分钟内有效，只能使用一次
+                </div>
+                <div class="remote-actions">
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.refreshRemotePin()">
+                        <i class="fas fa-sync"></i>
+                        生成新配对码
+                    </button>
+                    <button type="button" class="btn btn-outline btn-small btn-danger" onclick="app.stopRemoteControl()">
+                        <i class="fas fa-power-off"></i>
+                        结束遥控
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 生成新的配对码
+     */
+    async refreshRemotePin() {
+        try {
+            await window.remoteControl.refreshPin();
+        } catch (error) {
+            console.error('生成配对码失败:', error);
+            this.showNotification(error.message || '生成配对码失败', 'error');
+        }
+    }
+
+    /**
+     * 结束手机遥控
+     */
+    async stopRemoteControl() {
+        try {
+            await window.remoteControl.stopSession();
+            this.closeModal();
+            this.showNotification('手机遥控已结束', 'info');
+        } catch (error) {
+            console.error('结束手机遥控失败:', error);
+            this.showNotification(error.message || '结束手机遥控失败', 'error');
+        }
+    }
+
+    /**
+     * 响应遥控会话状态变化
+     * @param {string} type - 变化类型
+     */
+    handleRemoteStatus(type) {
+        const active = window.remoteControl.isActive();
+        document.getElementById('remoteBtn').classList.toggle('connected', active);
+        
+        if (document.getElementById('remotePanel')) {
+            this.renderRemotePanel();
+        }
+        
+        if (type === 'paired') {
+            this.showNotification('手机已配对', 'success');
+        }
+        if (type === 'paired' || type === 'remoteConnected') {
+            this.publishRemoteState();
+        }
+    }
+
+    /**
+     * 获取推送给手机的点名状态
+     * @returns {Object} 点名状态
+     */
+    getRemoteState() {
+        const classSelector = document.getElementById('classSelector');
+        const panel = document.getElementById('outcomePanel');
+        
+        return {
+            className: this.currentClassId ? classSelector.options[classSelector.selectedIndex].textContent : '',
+            isRolling: this.isRolling,
+            canStart: !!this.currentClassId && this.currentStudents.length > 0,
+            outcomeOptions: this.getOutcomeOptions().map(({ value, label }) => ({ value, label })),
+            pending: this.pendingOutcomes.map(({ recordId, student }) => {
+                const active = panel.querySelector(`.outcome-row[data-record-id="${recordId}"] .outcome-btn.active`);
+                return {
+                    recordId,
+                    name: student.name,
+                    outcome: active ? active.dataset.outcome : null
+                };
+            })
+        };
+    }
+
+    /**
+     * 推送点名状态给已配对的手机
+     */
+    publishRemoteState() {
+        if (window.remoteControl && window.remoteControl.isActive()) {
+            window.remoteControl.publishState(this.getRemoteState());
+        }
+    }
+
+    /**
+     * 执行手机发来的命令
+     * @param {Object} command - { command, recordId, outcome }
+     */
+    handleRemoteCommand({ command, recordId, outcome }) {
+        switch (command) {
+            case 'start':
+                this.startRollCall();
+                break;
+            case 'stop':
+                this.stopRollCall();
+                break;
+            case 'next':
+                // 下一位：收起上一轮的回答结果面板后重新点名
+                if (this.isRolling || this.isAnimating) return;
+                document.getElementById('outcomePanel').style.display = 'none';
+                this.pendingOutcomes = [];
+                this.startRollCall();
+                break;
+            case 'outcome': {
+                const row = document.querySelector(`#outcomePanel .outcome-row[data-record-id="${parseInt(recordId)}"]`);
+                const pending = this.pendingOutcomes.find(item => item.recordId === parseInt(recordId));
+                const valid = this.getOutcomeOptions().some(option => option.value === outcome);
+                if (row && pending && valid) {
+                    this.saveOutcome(row, pending.recordId, pending.student, outcome);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * 更新点名按钮状态
+     */
+    updateRollCallButtons() {
+        const startBtn = document.getElementById('startCallBtn');
+        const stopBtn = document.getElementById('stopCallBtn');
+        
+        // 检查是否有选择班级和学生
+        const hasClass = !!this.currentClassId;
+        const hasStudents = this.currentStudents.length > 0;
+        const canStart = hasClass && hasStudents;
+        
+        if (this.isRolling) {
+            // 点名进行中状态
+            startBtn.disabled = true;
+            stopBtn.disabled = false;
+            
+            // 视觉反馈类
+            startBtn.classList.add('btn-disabled', 'btn-rolling');
+            stopBtn.classList.add('btn-active', 'btn-stop');
+            
+            // 添加加载动画和状态文本
+            if (this.isAnimating) {
+                startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> 滚动中...';
+                stopBtn.innerHTML = '<i class="fas fa-stop"></i> 停止滚动';
+            } else {
+                startBtn.innerHTML = '<i class="fas fa-pause"></i> 等待中...';
+                stopBtn.innerHTML = '<i class="fas fa-check"></i> 确认结果';
+            }
+            
+            // 添加焦点到停止按钮
+            stopBtn.focus();
+        } else {
+            // 点名停止状态
+            startBtn.disabled = !canStart;
+            stopBtn.disabled = true;
+            
+            // 移除视觉反馈类
+            startBtn.classList.remove('btn-disabled', 'btn-rolling');
+            stopBtn.classList.remove('btn-active', 'btn-stop');
+            
+            // 根据是否可以开始点名显示不同文本
+            if (canStart) {
+                startBtn.innerHTML = '<i class="fas fa-play"></i> 开始点名';
+                startBtn.title = '开始随机点名';
+                startBtn.classList.remove('btn-warning');
+            } else if (!hasClass) {
+                startBtn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> 请选择班级';
+                startBtn.title = '请先选择一个班级';
+                startBtn.classList.add('btn-warning');
+            } else if (!hasStudents) {
                 startBtn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> 无学生数据';
                 startBtn.title = '当前班级没有学生';
                 startBtn.classList.add('btn-warning');
@@ -1308,6 +2019,338 @@ class RollCallApp {
             stopBtn.innerHTML = '<i class="fas fa-stop"></i> 停止点名';
             stopBtn.title = '停止当前点名';
         }
+        
+        this.publishRemoteState();
+    }
+
+    /**
+     * 显示考勤表模态框
+     * @param {string} date - 考勤日期 (YYYY-MM-DD)，默认为今天
+     * @param {number|null} session - 节次，默认为当天最后一节
+     */
+    async showAttendanceModal(date = ComponentUtils.formatDate(new Date()), session = null) {
+        if (!this.currentClassId) {
+            this.showNotification('请先选择班级', 'warning');
+            return;
+        }
+        
+        if (this.currentStudents.length === 0) {
+            this.showNotification('当前班级没有学生', 'warning');
+            return;
+        }
+        
+        try {
+            const sessions = await window.storageManager.getAttendanceSessions(this.currentClassId, date);
+            const sheet = session === null
+                ? sessions[sessions.length - 1]
+                : sessions.find(item => item.session === session);
+            const records = sheet ? sheet.records : {};
+            const currentSession = sheet ? sheet.session : 1;
+            const sessionNumbers = sessions.length > 0 ? sessions.map(item => item.session) : [1];
+            
+            const modal = document.getElementById('modalOverlay');
+            const title = document.getElementById('modalTitle');
+            const body = document.getElementById('modalBody');
+            const confirm = document.getElementById('modalConfirm');
+            
+            title.textContent = '考勤表';
+            
+            const statusOptions = [
+                { value: 'present', label: '出勤' },
+                { value: 'late', label: '迟到' },
+                { value: 'absent', label: '缺勤' }
+            ];
+            const students = [...this.currentStudents].sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+            
+            body.innerHTML = `
+                <div class="attendance-toolbar">
+                    <input type="date" id="attendanceDate" class="form-control" value="${date}">
+                    <select id="attendanceSession" class="form-control">
+                        ${sessionNumbers.map(number => `
+                            <option value="${number}" ${number === currentSession ? 'selected' : ''}>第 ${number} 节</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.startAttendanceSession()">新的一节课</button>
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.markAllAttendance('present')">全部出勤</button>
+                </div>
+                <p class="text-muted">当天最后一节课中缺勤的学生将不会被点到；同一天再次上课时点击"新的一节课"</p>
+                <div class="table-container">
+                    <table class="data-table attendance-table">
+                        <tbody>
+                            ${students.map(student => {
+                                const status = records[student.id] || 'present';
+                                return `
+                                    <tr>
+                                        <td>${ComponentUtils.escapeHtml(student.name)}</td>
+                                        <td class="attendance-options">
+                                            ${statusOptions.map(option => `
+                                                <label>
+                                                    <input type="radio" name="attendance-${student.id}" value="${option.value}" data-student-id="${student.id}" ${status === option.value ? 'checked' : ''}>
+                                                    <span>${option.label}</span>
+                                                </label>
+                                            `).join('')}
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            
+            confirm.textContent = '保存';
+            confirm.onclick = () => {
+                this.saveAttendance();
+            };
+            
+            modal.style.display = 'flex';
+            
+            // 切换日期或节次时重新加载考勤表
+            document.getElementById('attendanceDate').addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.showAttendanceModal(e.target.value);
+                }
+            });
+            document.getElementById('attendanceSession').addEventListener('change', (e) => {
+                this.showAttendanceModal(date, parseInt(e.target.value));
+            });
+        } catch (error) {
+            console.error('加载考勤表失败:', error);
+            this.showNotification('加载考勤表失败', 'error');
+        }
+    }
+
+    /**
+     * 将考勤表中所有学生设置为同一状态
+     * @param {string} status - 考勤状态
+     */
+    markAllAttendance(status) {
+        document.querySelectorAll(`.attendance-table input[value="${status}"]`).forEach(radio => {
+            radio.checked = true;
+        });
+    }
+
+    /**
+     * 开始新的一节课：新建考勤表，所有学生记为出勤
+     */
+    async startAttendanceSession() {
+        const date = document.getElementById('attendanceDate').value;
+        if (!date) {
+            this.showNotification('请选择考勤日期', 'warning');
+            return;
+        }
+        
+        try {
+            const session = await window.storageManager.startAttendanceSession(
+                this.currentClassId,
+                date,
+                this.currentStudents.map(s => s.id)
+            );
+            this.showNotification(`已开始第 ${session} 节课的考勤`, 'success');
+            await this.showAttendanceModal(date, session);
+            await this.refreshAfterAttendanceChange();
+        } catch (error) {
+            console.error('开始新的一节课失败:', error);
+            this.showNotification('开始新的一节课失败', 'error');
+        }
+    }
+
+    /**
+     * 考勤变化后刷新缺勤人数、概率、抽取池和统计
+     */
+    async refreshAfterAttendanceChange() {
+        await this.updateAttendanceSummary();
+        await this.updateProbabilityPreview();
+        await this.updateDeckStatus();
+        await this.updateStatistics();
+    }
+
+    /**
+     * 保存考勤表
+     */
+    async saveAttendance() {
+        const date = document.getElementById('attendanceDate').value;
+        const session = parseInt(document.getElementById('attendanceSession').value) || null;
+        if (!date) {
+            this.showNotification('请选择考勤日期', 'warning');
+            return;
+        }
+        
+        const records = {};
+        document.querySelectorAll('.attendance-table input[type="radio"]:checked').forEach(radio => {
+            records[radio.dataset.studentId] = radio.value;
+        });
+        
+        try {
+            await window.storageManager.saveAttendanceSheet(this.currentClassId, date, records, session);
+            this.closeModal();
+            
+            const absentCount = Object.values(records).filter(status => status === 'absent').length;
+            this.showNotification(`考勤已保存，缺勤 ${absentCount} 人`, 'success');
+            
+            await this.refreshAfterAttendanceChange();
+        } catch (error) {
+            console.error('保存考勤表失败:', error);
+            this.showNotification('保存考勤表失败', 'error');
+        }
+    }
+
+    /**
+     * 在考勤按钮上显示当前这节课的缺勤人数
+     */
+    async updateAttendanceSummary() {
+        const text = document.getElementById('attendanceBtnText');
+        if (!text) return;
+        
+        if (!this.currentClassId) {
+            text.textContent = '考勤';
+            return;
+        }
+        
+        try {
+            const absentIds = await window.storageManager.getAbsentStudentIds(this.currentClassId);
+            text.textContent = absentIds.length > 0 ? `考勤（缺勤 ${absentIds.length}）` : '考勤';
+        } catch (error) {
+            console.error('获取考勤信息失败:', error);
+        }
+    }
+
+    /**
+     * 更新不重复抽取的本轮剩余人数显示
+     */
+    async updateDeckStatus() {
+        const deckStatus = document.getElementById('deckStatus');
+        if (!deckStatus) return;
+        
+        if (this.currentAlgorithm !== 'deck' || !this.currentClassId) {
+            deckStatus.style.display = 'none';
+            return;
+        }
+        
+        try {
+            const status = await this.callAlgorithm.getDeckStatus(this.currentStudents, this.currentClassId);
+            document.getElementById('deckRemaining').textContent =
+                `第 ${status.round} 轮，本轮剩余 ${status.remaining} 人`;
+            deckStatus.style.display = 'flex';
+        } catch (error) {
+            console.error('获取抽取池状态失败:', error);
+        }
+    }
+
+    /**
+     * 更新下一次抽取的概率预览
+     */
+    async updateProbabilityPreview() {
+        const list = document.getElementById('probabilityList');
+        if (!list) return;
+        
+        document.getElementById('probabilityAlgorithm').textContent = this.getAlgorithmName(this.currentAlgorithm);
+        
+        if (!this.currentClassId || this.currentStudents.length === 0) {
+            list.innerHTML = '<div class="empty-state">暂无学生</div>';
+            return;
+        }
+        
+        try {
+            const options = {
+                limit: 0,
+                absentIds: await window.storageManager.getAbsentStudentIds(this.currentClassId)
+            };
+            if (this.currentAlgorithm === 'deck') {
+                options.drawnIds = (await window.storageManager.getDrawPool(this.currentClassId)).drawnIds;
+            }
+            if (this.currentAlgorithm === 'performance') {
+                options.callRecords = await window.storageManager.getCallRecordsByClassId(this.currentClassId);
+            }
+            
+            const predictions = this.callAlgorithm.predictNextStudents(this.currentStudents, this.currentAlgorithm, options);
+            if (predictions.length === 0) {
+                list.innerHTML = '<div class="empty-state">没有可抽取的学生</div>';
+                return;
+            }
+            
+            list.innerHTML = predictions.map(({ student, probability, reason }) => {
+                const percentage = (probability * 100).toFixed(1);
+                return `
+                    <div class="probability-item${probability === 0 ? ' zero' : ''}" title="${ComponentUtils.escapeHtml(reason)}">
+                        <span class="probability-name">${ComponentUtils.escapeHtml(student.name)}</span>
+                        <div class="probability-bar">
+                            <div class="probability-fill" style="width: ${percentage}%"></div>
+                        </div>
+                        <span class="probability-value">${percentage}%</span>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('更新抽取概率失败:', error);
+        }
+    }
+
+    /**
+     * 重新洗牌，清空当前班级本轮的抽取进度
+     */
+    async reshuffleDeck() {
+        if (!this.currentClassId) {
+            this.showNotification('请先选择班级', 'warning');
+            return;
+        }
+        
+        try {
+            await window.storageManager.clearDrawPool(this.currentClassId);
+            await this.updateDeckStatus();
+            await this.updateProbabilityPreview();
+            this.showNotification('已重新洗牌', 'success');
+        } catch (error) {
+            console.error('重新洗牌失败:', error);
+            this.showNotification('重新洗牌失败', 'error');
+        }
+    }
+
+    /**
+     * 更新随机种子
+     * @param {string} seed - 随机种子，为空时自动生成
+     */
+    async updateRandomSeed(seed) {
+        try {
+            this.callAlgorithm.random.setSeed(seed || RandomSource.generateSeed());
+            this.randomSeed = seed;
+            await window.storageManager.saveSetting('randomSeed', seed);
+            await this.saveRandomState();
+            this.showNotification(seed ? `随机种子已设置为 ${seed}` : '已切换为自动生成种子', 'success');
+        } catch (error) {
+            console.error('更新随机种子失败:', error);
+            this.showNotification('更新随机种子失败', 'error');
+        }
+    }
+
+    /**
+     * 保存固定种子随机序列的当前位置，下次打开页面时从这里继续
+     */
+    async saveRandomState() {
+        if (!this.randomSeed) return;
+
+        const { seed, drawIndex } = this.callAlgorithm.random;
+        try {
+            await window.storageManager.saveSetting('randomState', { seed, drawIndex });
+        } catch (error) {
+            console.error('保存随机序列位置失败:', error);
+        }
+    }
+
+    /**
+     * 更新答题表现加权算法的权重
+     * @param {string} key - 权重名称（wrong / missing / sinceCorrect）
+     * @param {string} value - 权重值
+     */
+    async updatePerformanceWeight(key, value) {
+        try {
+            this.callAlgorithm.setPerformanceWeights({ [key]: value });
+            await window.storageManager.saveSetting('performanceWeights', this.callAlgorithm.performanceWeights);
+            this.showNotification('权重设置已保存', 'success');
+        } catch (error) {
+            console.error('更新权重设置失败:', error);
+            this.showNotification('更新权重设置失败', 'error');
+        }
     }
 
     /**
@@ -1316,14 +2359,19 @@ class RollCallApp {
      */
     async recordRollCall(student) {
         try {
-            await window.storageManager.recordCall({
+            const recordId = await window.storageManager.recordCall({
                 classId: this.currentClassId,
                 studentId: student.id,
                 studentName: student.name,
                 algorithm: this.currentAlgorithm,
-                mode: this.currentMode
+                mode: this.currentMode,
+                ...window.callAlgorithm.getLastDrawInfo()
             });
             
+            // 显示回答结果按钮
+            this.showOutcomePanel([{ recordId, student }]);
+            this.checkAutoBackup(1);
+            
             // 更新学生列表显示
             await this.loadStudents();
             
@@ -1333,6 +2381,153 @@ class RollCallApp {
         }
     }
 
+    /**
+     * 记录批量点名结果，同一批次的记录共享批次ID
+     * @param {Array} students - 选中的学生数组
+     * @param {Array} draws - 与学生顺序一致的随机数信息
+     */
+    async recordBatchRollCall(students, draws = []) {
+        const batchId = ComponentUtils.generateId();
+        
+        try {
+            const pending = [];
+            for (let i = 0; i < students.length; i++) {
+                const recordId = await window.storageManager.recordCall({
+                    classId: this.currentClassId,
+                    studentId: students[i].id,
+                    studentName: students[i].name,
+                    algorithm: this.currentAlgorithm,
+                    mode: this.currentMode,
+                    batchId,
+                    ...draws[i]
+                });
+                pending.push({ recordId, student: students[i] });
+            }
+            
+            // 显示回答结果按钮
+            this.showOutcomePanel(pending);
+            this.checkAutoBackup(pending.length);
+            
+            // 更新学生列表显示
+            await this.loadStudents();
+        } catch (error) {
+            console.error('记录批量点名结果失败:', error);
+        }
+    }
+
+    /**
+     * 获取回答结果选项
+     * @returns {Array} 回答结果选项 [{ value, label, icon }]
+     */
+    getOutcomeOptions() {
+        return [
+            { value: 'correct', label: '正确', icon: 'fa-check' },
+            { value: 'partial', label: '部分正确', icon: 'fa-adjust' },
+            { value: 'wrong', label: '错误', icon: 'fa-times' },
+            { value: 'passed', label: '跳过', icon: 'fa-forward' },
+            { value: 'absent', label: '缺席', icon: 'fa-user-slash' }
+        ];
+    }
+
+    /**
+     * 获取回答结果的中文名称
+     * @param {string} outcome - 回答结果
+     * @returns {string} 中文名称
+     */
+    getOutcomeLabel(outcome) {
+        const option = this.getOutcomeOptions().find(o => o.value === outcome);
+        return option ? option.label : outcome;
+    }
+
+    /**
+     * 显示回答结果面板
+     * @param {Array} pending - 待记录结果的点名 [{ recordId, student }]
+     */
+    showOutcomePanel(pending) {
+        const panel = document.getElementById('outcomePanel');
+        if (!panel) return;
+        
+        this.pendingOutcomes = pending;
+        panel.innerHTML = pending.map(({ recordId, student }) => `
+            <div class="outcome-row" data-record-id="${recordId}">
+                <span class="outcome-name">${ComponentUtils.escapeHtml(student.name)}</span>
+                <div class="outcome-buttons">
+                    ${this.getOutcomeOptions().map(option => `
+                        <button type="button" class="btn btn-outline btn-small outcome-btn outcome-${option.value}" data-outcome="${option.value}" title="${option.label}">
+                            <i class="fas ${option.icon}"></i>
+                            <span>${option.label}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <input type="number" class="form-control outcome-score" placeholder="分数">
+                <input type="text" class="form-control outcome-note" placeholder="备注（可选）">
+            </div>
+        `).join('');
+        
+        panel.querySelectorAll('.outcome-row').forEach(row => {
+            const recordId = parseInt(row.dataset.recordId);
+            const student = pending.find(item => item.recordId === recordId).student;
+            row.querySelectorAll('.outcome-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.saveOutcome(row, recordId, student, button.dataset.outcome);
+                });
+            });
+        });
+        
+        panel.style.display = 'block';
+        this.publishRemoteState();
+    }
+
+    /**
+     * 保存回答结果
+     * @param {HTMLElement} row - 结果所在的行
+     * @param {number} recordId - 点名记录ID
+     * @param {Object} student - 学生
+     * @param {string} outcome - 回答结果
+     */
+    async saveOutcome(row, recordId, student, outcome) {
+        try {
+            await window.storageManager.updateCallOutcome(recordId, {
+                outcome,
+                score: row.querySelector('.outcome-score').value,
+                note: row.querySelector('.outcome-note').value
+            });
+            
+            // 缺席的学生同时记入今天的考勤表，改为其他结果时撤销
+            const attendanceChanged = await window.storageManager.updateAttendanceFromCall(
+                this.currentClassId,
+                student.id,
+                outcome === 'absent',
+                this.currentStudents.map(s => s.id)
+            );
+            if (attendanceChanged) {
+                await this.updateAttendanceSummary();
+            }
+            
+            row.querySelectorAll('.outcome-btn').forEach(button => {
+                button.classList.toggle('active', button.dataset.outcome === outcome);
+            });
+            this.showNotification(`${ComponentUtils.escapeHtml(student.name)}：${this.getOutcomeLabel(outcome)}`, 'success', 1500);
+            this.publishRemoteState();
+            
+            await this.updateProbabilityPreview();
+            await this.updateStatistics();
+        } catch (error) {
+            console.error('记录回答结果失败:', error);
+            this.showNotification(error.message || '记录回答结果失败', 'error');
+        }
+    }
+
+    /**
+     * 获取每次点名的人数
+     * @returns {number} 人数（至少为1）
+     */
+    getDrawCount() {
+        const input = document.getElementById('drawCount');
+        const count = input ? parseInt(input.value) : 1;
+        return Number.isFinite(count) && count > 1 ? count : 1;
+    }
+
     /**
      * 显示添加班级模态框
      */
@@ -1672,6 +2867,14 @@ class RollCallApp {
                         <label for="studentNotes">备注</label>
                         <textarea id="studentNotes" rows="2" class="form-control">${student.notes || ''}</textarea>
                     </div>
+                    ${Object.entries(student.customFields || {}).map(([key, value]) => `
+                        <div class="form-group">
+                            <label>${ComponentUtils.escapeHtml(key)}</label>
+                            <input type="text" class="form-control student-custom-field"
+                                data-key="${ComponentUtils.escapeHtml(key)}"
+                                value="${ComponentUtils.escapeHtml(value)}">
+                        </div>
+                    `).join('')}
                 </form>
             `;
             
@@ -1697,6 +2900,10 @@ class RollCallApp {
         const phone = document.getElementById('studentPhone').value.trim();
         const email = document.getElementById('studentEmail').value.trim();
         const notes = document.getElementById('studentNotes').value.trim();
+        const customFields = {};
+        document.querySelectorAll('.student-custom-field').forEach(input => {
+            customFields[input.dataset.key] = input.value.trim();
+        });
         
         if (!name) {
             this.showNotification('请输入学生姓名', 'warning');
@@ -1712,7 +2919,8 @@ class RollCallApp {
                 studentId: studentIdValue,
                 phone,
                 email,
-                notes
+                notes,
+                customFields
             };
             
             await window.storageManager.updateStudent(studentId, updatedStudent);
@@ -1734,6 +2942,76 @@ class RollCallApp {
         }
     }
 
+    /**
+     * 显示特殊规则配置模态框
+     * @param {number} studentId - 学生ID
+     */
+    async showSpecialRulesModal(studentId) {
+        try {
+            const student = await window.storageManager.getStudentById(studentId);
+            if (!student) {
+                this.showNotification('学生不存在', 'error');
+                return;
+            }
+            
+            const modal = document.getElementById('modalOverlay');
+            const title = document.getElementById('modalTitle');
+            const body = document.getElementById('modalBody');
+            const confirm = document.getElementById('modalConfirm');
+            const status = student.status || 'normal';
+            
+            title.textContent = `特殊规则 - ${student.name}`;
+            
+            body.innerHTML = `
+                <form id="specialRulesForm" class="special-rules-form">
+                    <div class="form-group">
+                        <label class="status-option">
+                            <input type="radio" name="studentStatus" value="normal" ${status === 'normal' ? 'checked' : ''}>
+                            <span>正常状态</span>
+                        </label>
+                        <p class="text-muted">参与所有点名算法</p>
+                    </div>
+                    <div class="form-group">
+                        <label class="status-option">
+                            <input type="radio" name="studentStatus" value="excluded" ${status === 'excluded' ? 'checked' : ''}>
+                            <span>特殊排除</span>
+                        </label>
+                        <p class="text-muted">权重随机、最少点名优先等算法中自动排除；公平随机模式下保持原有概率</p>
+                    </div>
+                </form>
+            `;
+            
+            confirm.textContent = '确认';
+            confirm.onclick = () => {
+                this.saveStudentStatus(studentId);
+            };
+            
+            modal.style.display = 'flex';
+        } catch (error) {
+            console.error('获取学生信息失败:', error);
+            this.showNotification('获取学生信息失败', 'error');
+        }
+    }
+
+    /**
+     * 保存学生特殊规则状态
+     * @param {number} studentId - 学生ID
+     */
+    async saveStudentStatus(studentId) {
+        const status = document.querySelector('input[name="studentStatus"]:checked')?.value || 'normal';
+        
+        try {
+            await window.storageManager.updateStudentStatus(studentId, status);
+            
+            await this.loadStudents();
+            this.closeModal();
+            this.showNotification(status === 'excluded' ? '已设置为特殊排除' : '已恢复为正常状态', 'success');
+        } catch (error) {
+            console.error('更新学生状态失败:', error);
+            this.showNotification(error.message || '更新学生状态失败', 'error');
+        }
+    }
+
     /**
      * 确认删除学生
      * @param {number} studentId - 学生ID
@@ -1764,29 +3042,324 @@ class RollCallApp {
     }
 
     /**
-     * 删除学生
-     * @param {number} studentId - 学生ID
+     * 删除学生
+     * @param {number} studentId - 学生ID
+     */
+    async deleteStudent(studentId) {
+        try {
+            // 获取删除的学生数据用于撤销
+            const deletedStudent = await window.storageManager.getStudentById(studentId);
+            
+            await window.storageManager.deleteStudent(studentId);
+            await this.loadStudents();
+            this.closeModal();
+            this.showNotification('学生删除成功', 'success');
+            
+            // 记录操作
+            this.recordOperation({
+                type: 'deleteStudent',
+                data: { id: studentId },
+                undoData: deletedStudent,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('删除学生失败:', error);
+            this.showNotification('删除学生失败', 'error');
+        }
+    }
+
+    /**
+     * 显示随机分组模态框
+     */
+    async showGroupModal() {
+        if (!this.currentClassId) {
+            this.showNotification('请先选择班级', 'warning');
+            return;
+        }
+        
+        if (this.currentStudents.length === 0) {
+            this.showNotification('当前班级没有学生', 'warning');
+            return;
+        }
+        
+        const modal = document.getElementById('modalOverlay');
+        const title = document.getElementById('modalTitle');
+        const body = document.getElementById('modalBody');
+        const confirm = document.getElementById('modalConfirm');
+        
+        title.textContent = '随机分组';
+        this.currentGrouping = null;
+        
+        body.innerHTML = `
+            <form id="groupForm" class="group-form">
+                <div class="form-group">
+                    <label for="groupMode">分组方式</label>
+                    <div class="group-mode">
+                        <select id="groupMode" class="form-control">
+                            <option value="count">按组数</option>
+                            <option value="size">按每组人数</option>
+                        </select>
+                        <input type="number" id="groupValue" class="form-control" min="1" max="${this.currentStudents.length}" value="4">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="groupBalanceBy">均衡依据</label>
+                    <select id="groupBalanceBy" class="form-control">
+                        <option value="">不均衡（完全随机）</option>
+                        <option value="callCount">点名次数</option>
+                        <option value="status">特殊规则状态</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="groupTogether">必须同组</label>
+                    <textarea id="groupTogether" rows="2" class="form-control" placeholder="每行一组姓名，用逗号分隔，如：张三,李四"></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="groupApart">必须分开</label>
+                    <textarea id="groupApart" rows="2" class="form-control" placeholder="每行一组姓名，用逗号分隔，如：王五,赵六"></textarea>
+                </div>
+                <button type="button" class="btn btn-outline" onclick="app.generateGroupsFromForm()">
+                    <i class="fas fa-random"></i> 生成分组
+                </button>
+            </form>
+            <div id="groupPreview" class="group-preview"></div>
+            <div id="savedGroupings" class="saved-groupings"></div>
+        `;
+        
+        confirm.textContent = '保存分组';
+        confirm.onclick = () => {
+            this.saveCurrentGrouping();
+        };
+        
+        modal.style.display = 'flex';
+        await this.renderSavedGroupings();
+    }
+
+    /**
+     * 将文本中的姓名解析为学生ID对
+     * @param {string} text - 每行一组姓名，逗号或空格分隔
+     * @param {boolean} chain - true 时按顺序相邻配对，false 时行内两两配对
+     * @returns {Object} { pairs: 学生ID对数组, unknown: 未找到的姓名 }
+     */
+    parseStudentPairs(text, chain) {
+        const pairs = [];
+        const unknown = [];
+        
+        text.split('\n').forEach(line => {
+            const ids = [];
+            line.split(/[,，、\s]+/).filter(name => name).forEach(name => {
+                const student = this.currentStudents.find(s => s.name === name);
+                if (student) {
+                    ids.push(student.id);
+                } else {
+                    unknown.push(name);
+                }
+            });
+            
+            for (let i = 0; i < ids.length; i++) {
+                if (chain) {
+                    if (i > 0) pairs.push([ids[i - 1], ids[i]]);
+                } else {
+                    for (let j = i + 1; j < ids.length; j++) {
+                        pairs.push([ids[i], ids[j]]);
+                    }
+                }
+            }
+        });
+        
+        return { pairs, unknown };
+    }
+
+    /**
+     * 根据表单设置生成分组
+     */
+    generateGroupsFromForm() {
+        const mode = document.getElementById('groupMode').value;
+        const value = parseInt(document.getElementById('groupValue').value);
+        
+        if (!value || value < 1) {
+            this.showNotification('请输入有效的数量', 'warning');
+            return;
+        }
+        
+        const together = this.parseStudentPairs(document.getElementById('groupTogether').value, true);
+        const apart = this.parseStudentPairs(document.getElementById('groupApart').value, false);
+        const unknown = [...together.unknown, ...apart.unknown];
+        
+        const options = {
+            groupCount: mode === 'count' ? value : null,
+            groupSize: mode === 'size' ? value : null,
+            balanceBy: document.getElementById('groupBalanceBy').value || null,
+            together: together.pairs,
+            apart: apart.pairs
+        };
+        
+        const { groups, warnings } = this.callAlgorithm.generateGroups(this.currentStudents, options);
+        this.saveRandomState();
+        
+        this.currentGrouping = {
+            classId: this.currentClassId,
+            options,
+            groups: groups.map((group, index) => ({
+                name: `第${index + 1}组`,
+                members: group.map(student => ({
+                    id: student.id,
+                    name: student.name,
+                    studentId: student.studentId || ''
+                }))
+            }))
+        };
+        
+        if (unknown.length > 0) {
+            warnings.unshift(`未找到学生：${unknown.join('、')}`);
+        }
+        
+        this.renderGroupPreview(this.currentGrouping, warnings);
+    }
+
+    /**
+     * 渲染分组预览
+     * @param {Object} grouping - 分组方案
+     * @param {Array<string>} warnings - 警告信息
+     */
+    renderGroupPreview(grouping, warnings = []) {
+        const preview = document.getElementById('groupPreview');
+        if (!preview) return;
+        
+        preview.innerHTML = `
+            ${warnings.map(warning => `<p class="text-warning">${warning}</p>`).join('')}
+            <div class="group-grid">
+                ${grouping.groups.map(group => `
+                    <div class="group-card">
+                        <div class="group-card-header">${group.name}（${group.members.length}人）</div>
+                        <ol>
+                            ${group.members.map(member => `<li>${member.name}</li>`).join('')}
+                        </ol>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="group-export">
+                <button type="button" class="btn btn-outline btn-small" onclick="app.exportCurrentGrouping('csv')">导出 CSV</button>
+                <button type="button" class="btn btn-outline btn-small" onclick="app.exportCurrentGrouping('xlsx')">导出 Excel</button>
+                <button type="button" class="btn btn-outline btn-small" onclick="app.exportCurrentGrouping('png')">导出 PNG</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染已保存的分组方案列表
+     */
+    async renderSavedGroupings() {
+        const container = document.getElementById('savedGroupings');
+        if (!container) return;
+        
+        try {
+            const groupings = await window.storageManager.getGroupingsByClassId(this.currentClassId);
+            
+            if (groupings.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+            
+            container.innerHTML = `
+                <h4>已保存的分组</h4>
+                ${groupings.map(grouping => `
+                    <div class="saved-grouping-item">
+                        <span>${grouping.name}（${grouping.groups.length}组）</span>
+                        <div>
+                            <button type="button" class="btn btn-outline btn-small" onclick="app.loadSavedGrouping(${grouping.id})">查看</button>
+                            <button type="button" class="btn btn-danger btn-small" onclick="app.deleteSavedGrouping(${grouping.id})">删除</button>
+                        </div>
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('加载分组方案失败:', error);
+        }
+    }
+
+    /**
+     * 保存当前分组方案
+     */
+    async saveCurrentGrouping() {
+        if (!this.currentGrouping) {
+            this.showNotification('请先生成分组', 'warning');
+            return;
+        }
+        
+        try {
+            const id = await window.storageManager.saveGrouping(this.currentGrouping);
+            this.currentGrouping = await window.storageManager.getGroupingById(id);
+            await this.renderSavedGroupings();
+            this.showNotification('分组方案已保存', 'success');
+        } catch (error) {
+            console.error('保存分组方案失败:', error);
+            this.showNotification('保存分组方案失败', 'error');
+        }
+    }
+
+    /**
+     * 查看已保存的分组方案
+     * @param {number} groupingId - 分组方案ID
+     */
+    async loadSavedGrouping(groupingId) {
+        try {
+            const grouping = await window.storageManager.getGroupingById(groupingId);
+            if (!grouping) {
+                this.showNotification('分组方案不存在', 'error');
+                return;
+            }
+            
+            this.currentGrouping = grouping;
+            this.renderGroupPreview(grouping);
+        } catch (error) {
+            console.error('加载分组方案失败:', error);
+            this.showNotification('加载分组方案失败', 'error');
+        }
+    }
+
+    /**
+     * 删除已保存的分组方案
+     * @param {number} groupingId - 分组方案ID
+     */
+    async deleteSavedGrouping(groupingId) {
+        try {
+            await window.storageManager.deleteGrouping(groupingId);
+            await this.renderSavedGroupings();
+            this.showNotification('分组方案已删除', 'success');
+        } catch (error) {
+            console.error('删除分组方案失败:', error);
+            this.showNotification('删除分组方案失败', 'error');
+        }
+    }
+
+    /**
+     * 导出当前分组方案
+     * @param {string} format - 导出格式 (csv, xlsx, png)
      */
-    async deleteStudent(studentId) {
+    async exportCurrentGrouping(format) {
+        if (!this.currentGrouping) {
+            this.showNotification('请先生成分组', 'warning');
+            return;
+        }
+        
         try {
-            // 获取删除的学生数据用于撤销
-            const deletedStudent = await window.storageManager.getStudentById(studentId);
-            
-            await window.storageManager.deleteStudent(studentId);
-            await this.loadStudents();
-            this.closeModal();
-            this.showNotification('学生删除成功', 'success');
+            await window.importExportManager.loadLibraries();
+            const cls = await window.storageManager.getClassById(this.currentClassId);
+            const grouping = {
+                name: '随机分组',
+                ...this.currentGrouping
+            };
+            const result = await window.importExportManager.exportGroups(grouping, format, cls ? cls.name : '未知班级');
             
-            // 记录操作
-            this.recordOperation({
-                type: 'deleteStudent',
-                data: { id: studentId },
-                undoData: deletedStudent,
-                timestamp: Date.now()
-            });
+            if (result.success) {
+                this.showNotification(`已导出 ${result.fileName}`, 'success');
+            } else {
+                this.showNotification(`导出失败：${result.error}`, 'error');
+            }
         } catch (error) {
-            console.error('删除学生失败:', error);
-            this.showNotification('删除学生失败', 'error');
+            console.error('导出分组失败:', error);
+            this.showNotification('导出分组失败', 'error');
         }
     }
 
@@ -1958,149 +3531,487 @@ class RollCallApp {
                 .map(row => row.map(cell => `"${cell}"`).join(','))
                 .join('\n');
             
-            // 创建并下载文件
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+            // 创建并下载文件
+            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', `学生名单_${new Date().toISOString().split('T')[0]}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            this.showNotification('学生名单导出成功', 'success');
+        } catch (error) {
+            console.error('导出学生失败:', error);
+            this.showNotification('导出学生失败', 'error');
+        }
+    }
+
+    /**
+     * 搜索学生
+     * @param {string} query - 搜索关键词
+     */
+    searchStudents(query) {
+        const studentsList = document.getElementById('studentsList');
+        const cards = studentsList.querySelectorAll('.student-card');
+        
+        if (!query) {
+            // 显示所有学生
+            cards.forEach(card => card.style.display = 'block');
+            this.hideAutoComplete();
+            return;
+        }
+        
+        // 过滤显示匹配的学生
+        const lowerQuery = query.toLowerCase();
+        let hasMatches = false;
+        
+        cards.forEach(card => {
+            const name = card.querySelector('.student-name').textContent.toLowerCase();
+            const studentId = card.querySelector('.info-value').textContent.toLowerCase();
+            const phone = card.querySelectorAll('.info-value')[1]?.textContent.toLowerCase();
+            const email = card.querySelectorAll('.info-value')[2]?.textContent.toLowerCase();
+            
+            // 搜索多个字段
+            const isMatch = name.includes(lowerQuery) || 
+                           studentId.includes(lowerQuery) || 
+                           (phone && phone.includes(lowerQuery)) || 
+                           (email && email.includes(lowerQuery));
+            
+            card.style.display = isMatch ? 'block' : 'none';
+            if (isMatch) hasMatches = true;
+        });
+        
+        // 显示自动完成建议
+        this.showAutoComplete(query);
+    }
+    
+    /**
+     * 显示自动完成建议
+     * @param {string} query - 搜索关键词
+     */
+    showAutoComplete(query) {
+        // 创建自动完成容器（如果不存在）
+        let autoCompleteContainer = document.getElementById('autoCompleteContainer');
+        if (!autoCompleteContainer) {
+            autoCompleteContainer = document.createElement('div');
+            autoCompleteContainer.id = 'autoCompleteContainer';
+            autoCompleteContainer.className = 'autocomplete-container';
+            document.querySelector('.search-container').appendChild(autoCompleteContainer);
+        }
+        
+        // 过滤匹配的学生
+        const lowerQuery = query.toLowerCase();
+        const matchingStudents = this.currentStudents.filter(student => 
+            student.name.toLowerCase().includes(lowerQuery) ||
+            (student.studentId && student.studentId.toLowerCase().includes(lowerQuery))
+        );
+        
+        // 清空现有建议
+        autoCompleteContainer.innerHTML = '';
+        
+        // 显示最多5个建议
+        matchingStudents.slice(0, 5).forEach(student => {
+            const suggestionItem = document.createElement('div');
+            suggestionItem.className = 'autocomplete-item';
+            suggestionItem.innerHTML = `
+                <div class="suggestion-name">${student.name}</div>
+                <div class="suggestion-id">${student.studentId || ''}</div>
+            `;
+            
+            // 点击建议项时选择学生
+            suggestionItem.addEventListener('click', () => {
+                document.getElementById('studentSearch').value = student.name;
+                this.searchStudents(student.name);
+                this.hideAutoComplete();
+            });
+            
+            autoCompleteContainer.appendChild(suggestionItem);
+        });
+        
+        // 显示容器
+        if (matchingStudents.length > 0) {
+            autoCompleteContainer.style.display = 'block';
+        } else {
+            autoCompleteContainer.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 隐藏自动完成建议
+     */
+    hideAutoComplete() {
+        const autoCompleteContainer = document.getElementById('autoCompleteContainer');
+        if (autoCompleteContainer) {
+            autoCompleteContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * 备份数据
+     */
+    backupData() {
+        const modal = document.getElementById('modalOverlay');
+        const title = document.getElementById('modalTitle');
+        const body = document.getElementById('modalBody');
+        const confirm = document.getElementById('modalConfirm');
+        
+        title.textContent = '备份数据';
+        body.innerHTML = `
+            <p>备份文件包含学生姓名、电话和邮箱等信息，建议设置密码加密。</p>
+            <div class="form-group">
+                <label for="backupPassphrase">密码（可选，留空则不加密）</label>
+                <input type="password" id="backupPassphrase" class="form-control" autocomplete="new-password">
+            </div>
+            <div class="form-group">
+                <label for="backupPassphraseConfirm">确认密码</label>
+                <input type="password" id="backupPassphraseConfirm" class="form-control" autocomplete="new-password">
+            </div>
+            <p class="text-warning">请牢记密码，忘记密码将无法恢复加密的备份。</p>
+        `;
+        
+        confirm.textContent = '备份';
+        confirm.className = 'btn btn-primary';
+        confirm.onclick = () => {
+            this.doBackupData();
+        };
+        
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * 执行数据备份
+     */
+    async doBackupData() {
+        const passphrase = document.getElementById('backupPassphrase').value;
+        const passphraseConfirm = document.getElementById('backupPassphraseConfirm').value;
+        
+        if (passphrase !== passphraseConfirm) {
+            this.showNotification('两次输入的密码不一致', 'warning');
+            return;
+        }
+        
+        try {
+            this.showLoading('正在备份数据...');
+            let backupData = await window.storageManager.backupData();
+            if (passphrase) {
+                backupData = await window.storageManager.encryptBackup(backupData, passphrase);
+            }
+            this.hideLoading();
+            this.closeModal();
+            
+            // 创建并下载备份文件
+            const blob = new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', `随机点名系统备份_${new Date().toISOString().split('T')[0]}${passphrase ? '_加密' : ''}.json`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            this.showNotification(passphrase ? '加密备份成功' : '数据备份成功', 'success');
+        } catch (error) {
+            console.error('备份数据失败:', error);
+            this.showNotification(error.message || '备份数据失败', 'error');
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * 更新自动快照设置
+     */
+    async updateAutoBackupSettings() {
+        try {
+            this.autoBackupSettings = {
+                mode: document.getElementById('autoBackupMode').value,
+                everyCalls: Math.max(1, parseInt(document.getElementById('autoBackupEveryCalls').value) || 20),
+                retention: {
+                    daily: Math.max(1, parseInt(document.getElementById('autoBackupDaily').value) || 7),
+                    weekly: Math.max(0, parseInt(document.getElementById('autoBackupWeekly').value) || 0)
+                }
+            };
+            await window.storageManager.saveSetting('autoBackup', this.autoBackupSettings);
+            this.showNotification('自动快照设置已保存', 'success');
+            this.checkAutoBackup();
+        } catch (error) {
+            console.error('保存自动快照设置失败:', error);
+            this.showNotification('保存自动快照设置失败', 'error');
+        }
+    }
+
+    /**
+     * 按自动快照设置检查并创建快照
+     * @param {number} newCalls - 本次新增的点名次数
+     */
+    async checkAutoBackup(newCalls = 0) {
+        if (!this.autoBackupSettings || this.autoBackupSettings.mode === 'off') {
+            return;
+        }
+
+        // 正在检查时新增的点名次数留到下次检查时计入
+        this.pendingSnapshotCalls += newCalls;
+        if (this.autoBackupRunning) {
+            return;
+        }
+        
+        this.autoBackupRunning = true;
+        const calls = this.pendingSnapshotCalls;
+        this.pendingSnapshotCalls = 0;
+        try {
+            const snapshotId = await window.storageManager.runScheduledSnapshot(this.autoBackupSettings, calls);
+            if (snapshotId) {
+                console.log(`已创建自动快照: ${snapshotId}`);
+            }
+        } catch (error) {
+            console.error('创建自动快照失败:', error);
+        } finally {
+            this.autoBackupRunning = false;
+        }
+    }
+
+    /**
+     * 获取快照来源的中文名称
+     * @param {Object} snapshot - 快照
+     * @returns {string} 中文名称
+     */
+    getSnapshotLabel(snapshot) {
+        if (snapshot.type === 'preMigration') {
+            return `升级前备份 (v${snapshot.fromVersion} → v${snapshot.toVersion})`;
+        }
+        const labels = { manual: '手动快照', daily: '每日快照', calls: '点名快照', preRestore: '恢复前快照' };
+        return labels[snapshot.reason] || '快照';
+    }
+
+    /**
+     * 显示快照管理
+     */
+    async showSnapshotsModal() {
+        try {
+            const snapshots = await window.storageManager.getSnapshots();
+            
+            const modal = document.getElementById('modalOverlay');
+            const title = document.getElementById('modalTitle');
+            const body = document.getElementById('modalBody');
+            const confirm = document.getElementById('modalConfirm');
+            
+            title.textContent = '快照管理';
+            body.innerHTML = `
+                <div class="snapshot-toolbar">
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.createManualSnapshot()">
+                        <i class="fas fa-camera"></i>
+                        立即创建快照
+                    </button>
+                </div>
+                ${snapshots.length === 0 ? '<div class="empty-state">暂无快照</div>' : `
+                    <div class="snapshot-list">
+                        ${snapshots.map(snapshot => `
+                            <div class="snapshot-item">
+                                <div class="snapshot-info">
+                                    <div class="snapshot-time">${ComponentUtils.formatDate(snapshot.createdAt, 'YYYY-MM-DD HH:mm:ss')}</div>
+                                    <div class="snapshot-meta">
+                                        ${this.getSnapshotLabel(snapshot)} ·
+                                        ${snapshot.counts.classes} 个班级 · ${snapshot.counts.students} 名学生 · ${snapshot.counts.callRecords} 条点名记录
+                                    </div>
+                                </div>
+                                <div class="snapshot-actions">
+                                    <button type="button" class="btn btn-outline btn-small" onclick="app.previewSnapshot(${snapshot.id})" title="预览">
+                                        <i class="fas fa-eye"></i>
+                                    </button>
+                                    <button type="button" class="btn btn-outline btn-small" onclick="app.downloadSnapshot(${snapshot.id})" title="下载">
+                                        <i class="fas fa-download"></i>
+                                    </button>
+                                    <button type="button" class="btn btn-outline btn-small" onclick="app.restoreSnapshot(${snapshot.id})" title="恢复">
+                                        <i class="fas fa-undo"></i>
+                                    </button>
+                                    <button type="button" class="btn btn-outline btn-small" onclick="app.deleteSnapshot(${snapshot.id})" title="删除">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            `;
+            
+            confirm.textContent = '关闭';
+            confirm.className = 'btn btn-primary';
+            confirm.onclick = () => {
+                this.closeModal();
+            };
+            
+            modal.style.display = 'flex';
+        } catch (error) {
+            console.error('加载快照失败:', error);
+            this.showNotification('加载快照失败', 'error');
+        }
+    }
+
+    /**
+     * 立即创建手动快照
+     */
+    async createManualSnapshot() {
+        try {
+            await window.storageManager.createSnapshot('manual', this.autoBackupSettings?.retention);
+            this.showNotification('快照已创建', 'success');
+            await this.showSnapshotsModal();
+        } catch (error) {
+            console.error('创建快照失败:', error);
+            this.showNotification('创建快照失败', 'error');
+        }
+    }
+
+    /**
+     * 预览快照内容
+     * @param {number} snapshotId - 快照ID
+     */
+    async previewSnapshot(snapshotId) {
+        try {
+            const snapshot = await window.storageManager.getSnapshotById(snapshotId);
+            if (!snapshot) {
+                this.showNotification('快照不存在', 'error');
+                return;
+            }
+            
+            const { data } = snapshot;
+            const body = document.getElementById('modalBody');
+            body.innerHTML = `
+                <div class="snapshot-toolbar">
+                    <button type="button" class="btn btn-outline btn-small" onclick="app.showSnapshotsModal()">
+                        <i class="fas fa-arrow-left"></i>
+                        返回
+                    </button>
+                </div>
+                <p><strong>${this.getSnapshotLabel(snapshot)}</strong> · ${ComponentUtils.formatDate(snapshot.createdAt, 'YYYY-MM-DD HH:mm:ss')}</p>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>班级</th><th>学生数</th><th>点名记录</th></tr>
+                    </thead>
+                    <tbody>
+                        ${(data.classes || []).map(cls => `
+                            <tr>
+                                <td>${cls.name}</td>
+                                <td>${(data.students || []).filter(s => s.classId === cls.id).length}</td>
+                                <td>${(data.callRecords || []).filter(r => r.classId === cls.id).length}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('预览快照失败:', error);
+            this.showNotification('预览快照失败', 'error');
+        }
+    }
+
+    /**
+     * 下载快照为备份文件
+     * @param {number} snapshotId - 快照ID
+     */
+    async downloadSnapshot(snapshotId) {
+        try {
+            const snapshot = await window.storageManager.getSnapshotById(snapshotId);
+            const blob = new Blob([JSON.stringify(snapshot.data, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.setAttribute('href', url);
-            link.setAttribute('download', `学生名单_${new Date().toISOString().split('T')[0]}.csv`);
+            link.setAttribute('download', `随机点名系统快照_${ComponentUtils.formatDate(snapshot.createdAt, 'YYYY-MM-DD_HHmmss')}.json`);
             link.style.visibility = 'hidden';
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
-            
-            this.showNotification('学生名单导出成功', 'success');
         } catch (error) {
-            console.error('导出学生失败:', error);
-            this.showNotification('导出学生失败', 'error');
+            console.error('下载快照失败:', error);
+            this.showNotification('下载快照失败', 'error');
         }
     }
 
     /**
-     * 搜索学生
-     * @param {string} query - 搜索关键词
+     * 从快照恢复数据（使用与备份文件相同的校验和恢复流程）
+     * @param {number} snapshotId - 快照ID
      */
-    searchStudents(query) {
-        const studentsList = document.getElementById('studentsList');
-        const cards = studentsList.querySelectorAll('.student-card');
-        
-        if (!query) {
-            // 显示所有学生
-            cards.forEach(card => card.style.display = 'block');
-            this.hideAutoComplete();
-            return;
-        }
-        
-        // 过滤显示匹配的学生
-        const lowerQuery = query.toLowerCase();
-        let hasMatches = false;
-        
-        cards.forEach(card => {
-            const name = card.querySelector('.student-name').textContent.toLowerCase();
-            const studentId = card.querySelector('.info-value').textContent.toLowerCase();
-            const phone = card.querySelectorAll('.info-value')[1]?.textContent.toLowerCase();
-            const email = card.querySelectorAll('.info-value')[2]?.textContent.toLowerCase();
-            
-            // 搜索多个字段
-            const isMatch = name.includes(lowerQuery) || 
-                           studentId.includes(lowerQuery) || 
-                           (phone && phone.includes(lowerQuery)) || 
-                           (email && email.includes(lowerQuery));
-            
-            card.style.display = isMatch ? 'block' : 'none';
-            if (isMatch) hasMatches = true;
-        });
-        
-        // 显示自动完成建议
-        this.showAutoComplete(query);
+    restoreSnapshot(snapshotId) {
+        this.showSnapshotConfirm(
+            `从快照恢复将覆盖当前所有数据。恢复前会先为当前数据创建一个快照（保留最近 ${window.storageManager.maxPreRestoreSnapshots} 个），确定继续吗？`,
+            '恢复',
+            () => this.doRestoreSnapshot(snapshotId)
+        );
     }
-    
+
     /**
-     * 显示自动完成建议
-     * @param {string} query - 搜索关键词
+     * 在快照管理中显示确认提示
+     * @param {string} message - 提示内容
+     * @param {string} actionText - 确认按钮文字
+     * @param {Function} action - 确认后执行的操作
      */
-    showAutoComplete(query) {
-        // 创建自动完成容器（如果不存在）
-        let autoCompleteContainer = document.getElementById('autoCompleteContainer');
-        if (!autoCompleteContainer) {
-            autoCompleteContainer = document.createElement('div');
-            autoCompleteContainer.id = 'autoCompleteContainer';
-            autoCompleteContainer.className = 'autocomplete-container';
-            document.querySelector('.search-container').appendChild(autoCompleteContainer);
-        }
-        
-        // 过滤匹配的学生
-        const lowerQuery = query.toLowerCase();
-        const matchingStudents = this.currentStudents.filter(student => 
-            student.name.toLowerCase().includes(lowerQuery) ||
-            (student.studentId && student.studentId.toLowerCase().includes(lowerQuery))
-        );
+    showSnapshotConfirm(message, actionText, action) {
+        const body = document.getElementById('modalBody');
+        const confirm = document.getElementById('modalConfirm');
         
-        // 清空现有建议
-        autoCompleteContainer.innerHTML = '';
+        body.innerHTML = `
+            <div class="snapshot-toolbar">
+                <button type="button" class="btn btn-outline btn-small" onclick="app.showSnapshotsModal()">
+                    <i class="fas fa-arrow-left"></i>
+                    返回
+                </button>
+            </div>
+            <p class="text-warning">${message}</p>
+        `;
         
-        // 显示最多5个建议
-        matchingStudents.slice(0, 5).forEach(student => {
-            const suggestionItem = document.createElement('div');
-            suggestionItem.className = 'autocomplete-item';
-            suggestionItem.innerHTML = `
-                <div class="suggestion-name">${student.name}</div>
-                <div class="suggestion-id">${student.studentId || ''}</div>
-            `;
+        confirm.textContent = actionText;
+        confirm.className = 'btn btn-danger';
+        confirm.onclick = action;
+    }
+
+    /**
+     * 执行从快照恢复
+     * @param {number} snapshotId - 快照ID
+     */
+    async doRestoreSnapshot(snapshotId) {
+        try {
+            this.showLoading('正在恢复数据...');
+            const snapshot = await window.storageManager.getSnapshotById(snapshotId);
             
-            // 点击建议项时选择学生
-            suggestionItem.addEventListener('click', () => {
-                document.getElementById('studentSearch').value = student.name;
-                this.searchStudents(student.name);
-                this.hideAutoComplete();
-            });
+            // 恢复前先为当前数据创建快照，便于撤回
+            await window.storageManager.createSnapshot('preRestore', this.autoBackupSettings?.retention);
+            await window.storageManager.restoreData(snapshot.data);
+            this.hideLoading();
             
-            autoCompleteContainer.appendChild(suggestionItem);
-        });
-        
-        // 显示容器
-        if (matchingStudents.length > 0) {
-            autoCompleteContainer.style.display = 'block';
-        } else {
-            autoCompleteContainer.style.display = 'none';
+            this.closeModal();
+            this.showNotification('数据恢复成功，页面将刷新', 'success');
+            setTimeout(() => {
+                window.location.reload();
+            }, 1500);
+        } catch (error) {
+            console.error('从快照恢复失败:', error);
+            this.showNotification(`恢复数据失败，原有数据未改动：${error.message}`, 'error', 6000);
+            this.hideLoading();
         }
     }
-    
+
     /**
-     * 隐藏自动完成建议
+     * 删除快照
+     * @param {number} snapshotId - 快照ID
      */
-    hideAutoComplete() {
-        const autoCompleteContainer = document.getElementById('autoCompleteContainer');
-        if (autoCompleteContainer) {
-            autoCompleteContainer.style.display = 'none';
-        }
+    deleteSnapshot(snapshotId) {
+        this.showSnapshotConfirm('确定删除该快照吗？删除后无法找回。', '删除', () => this.doDeleteSnapshot(snapshotId));
     }
 
     /**
-     * 备份数据
+     * 执行删除快照
+     * @param {number} snapshotId - 快照ID
      */
-    async backupData() {
+    async doDeleteSnapshot(snapshotId) {
         try {
-            this.showLoading('正在备份数据...');
-            const backupData = await window.storageManager.backupData();
-            this.hideLoading();
-            
-            // 创建并下载备份文件
-            const blob = new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.setAttribute('href', url);
-            link.setAttribute('download', `随机点名系统备份_${new Date().toISOString().split('T')[0]}.json`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            this.showNotification('数据备份成功', 'success');
+            await window.storageManager.deleteSnapshot(snapshotId);
+            this.showNotification('快照已删除', 'success');
+            await this.showSnapshotsModal();
         } catch (error) {
-            console.error('备份数据失败:', error);
-            this.showNotification('备份数据失败', 'error');
-            this.hideLoading();
+            console.error('删除快照失败:', error);
+            this.showNotification('删除快照失败', 'error');
         }
     }
 
@@ -2118,7 +4029,17 @@ class RollCallApp {
         body.innerHTML = `
             <p>选择要恢复的备份文件：</p>
             <input type="file" id="restoreFile" accept=".json" />
-            <p class="text-warning">警告：恢复数据将覆盖当前所有数据，此操作不可恢复！</p>
+            <div class="restore-mode">
+                <label>
+                    <input type="radio" name="restoreMode" value="overwrite" checked>
+                    <span>覆盖恢复</span>
+                </label>
+                <label>
+                    <input type="radio" name="restoreMode" value="merge">
+                    <span>合并导入（保留现有数据）</span>
+                </label>
+            </div>
+            <p class="text-warning">警告：覆盖恢复将替换当前所有数据，此操作不可恢复！备份文件会先经过校验，校验失败时不会修改任何数据。</p>
         `;
         
         confirm.textContent = '恢复';
@@ -2142,30 +4063,32 @@ class RollCallApp {
             return;
         }
         
+        const mode = document.querySelector('input[name="restoreMode"]:checked')?.value || 'overwrite';
+        
         try {
             this.showLoading('正在恢复数据...');
             
             const reader = new FileReader();
             reader.onload = async (e) => {
+                let backupData;
                 try {
-                    const backupData = JSON.parse(e.target.result);
-                    await window.storageManager.restoreData(backupData);
-                    this.hideLoading();
-                    
-                    await this.loadClasses();
-                    await this.loadStudents();
-                    this.closeModal();
-                    this.showNotification('数据恢复成功，页面将刷新', 'success');
-                    
-                    // 刷新页面以重新加载数据
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 1500);
+                    backupData = JSON.parse(e.target.result);
                 } catch (error) {
-                    console.error('恢复数据失败:', error);
+                    console.error('解析备份文件失败:', error);
                     this.showNotification('恢复数据失败：文件格式不正确', 'error');
                     this.hideLoading();
+                    return;
+                }
+                
+                this.hideLoading();
+                
+                // 加密的备份需要先输入密码
+                if (window.storageManager.isEncryptedBackup(backupData)) {
+                    this.showDecryptBackupModal(backupData, mode);
+                    return;
                 }
+                
+                await this.processRestoreData(backupData, mode);
             };
             reader.readAsText(file);
         } catch (error) {
@@ -2175,6 +4098,214 @@ class RollCallApp {
         }
     }
 
+    /**
+     * 按恢复方式处理已解析（已解密）的备份数据
+     * @param {Object} backupData - 备份数据
+     * @param {string} mode - 恢复方式（overwrite: 覆盖恢复, merge: 合并导入）
+     */
+    async processRestoreData(backupData, mode) {
+        if (mode === 'merge') {
+            this.showMergeRestoreModal(backupData);
+            return;
+        }
+        
+        try {
+            this.showLoading('正在恢复数据...');
+            await window.storageManager.restoreData(backupData);
+            this.hideLoading();
+            
+            await this.loadClasses();
+            await this.loadStudents();
+            this.closeModal();
+            this.showNotification('数据恢复成功，页面将刷新', 'success');
+            
+            // 刷新页面以重新加载数据
+            setTimeout(() => {
+                window.location.reload();
+            }, 1500);
+        } catch (error) {
+            // 恢复在事务中进行，失败时原有数据不会被修改
+            console.error('恢复数据失败:', error, error.details || '');
+            this.showNotification(`恢复数据失败，原有数据未改动：${error.message}`, 'error', 6000);
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * 显示加密备份的密码输入
+     * @param {Object} envelope - 加密的备份文件内容
+     * @param {string} mode - 恢复方式
+     */
+    showDecryptBackupModal(envelope, mode) {
+        const title = document.getElementById('modalTitle');
+        const body = document.getElementById('modalBody');
+        const confirm = document.getElementById('modalConfirm');
+        
+        title.textContent = '加密的备份文件';
+        body.innerHTML = `
+            <p>该备份文件已加密，创建于 ${ComponentUtils.formatDate(envelope.createdAt, 'YYYY-MM-DD HH:mm')}。</p>
+            <div class="form-group">
+                <label for="restorePassphrase">密码</label>
+                <input type="password" id="restorePassphrase" class="form-control" autocomplete="current-password">
+            </div>
+        `;
+        
+        confirm.textContent = '解密';
+        confirm.className = 'btn btn-primary';
+        confirm.onclick = async () => {
+            const passphrase = document.getElementById('restorePassphrase').value;
+            if (!passphrase) {
+                this.showNotification('请输入密码', 'warning');
+                return;
+            }
+            
+            try {
+                this.showLoading('正在解密...');
+                const backupData = await window.storageManager.decryptBackup(envelope, passphrase);
+                this.hideLoading();
+                await this.processRestoreData(backupData, mode);
+            } catch (error) {
+                console.error('解密备份失败:', error);
+                this.hideLoading();
+                this.showNotification(error.message, 'error');
+            }
+        };
+        
+        document.getElementById('restorePassphrase').focus();
+    }
+
+    /**
+     * 显示合并导入选项
+     * @param {Object} backupData - 备份数据
+     */
+    showMergeRestoreModal(backupData) {
+        if (!Array.isArray(backupData.classes) || !Array.isArray(backupData.students)) {
+            this.showNotification('恢复数据失败：文件格式不正确', 'error');
+            return;
+        }
+        
+        this.pendingMergeBackup = backupData;
+        this.pendingMergePlan = null;
+        
+        const title = document.getElementById('modalTitle');
+        const body = document.getElementById('modalBody');
+        const confirm = document.getElementById('modalConfirm');
+        
+        title.textContent = '合并导入';
+        body.innerHTML = `
+            <div class="form-group">
+                <label>选择要导入的班级</label>
+                <div class="merge-class-list">
+                    ${backupData.classes.map(cls => `
+                        <label>
+                            <input type="checkbox" class="merge-class" value="${cls.id}" checked>
+                            <span>${cls.name}（${backupData.students.filter(s => s.classId === cls.id).length} 人）</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="mergeMatchBy">学生匹配方式</label>
+                <select id="mergeMatchBy" class="form-control">
+                    <option value="studentId">按学号（匹配不到时按姓名）</option>
+                    <option value="name">按姓名</option>
+                </select>
+            </div>
+            <div class="merge-summary" id="mergeSummary"></div>
+        `;
+        
+        body.querySelectorAll('.merge-class, #mergeMatchBy').forEach(input => {
+            input.addEventListener('change', () => this.previewMergeRestore());
+        });
+        
+        confirm.textContent = '确认合并';
+        confirm.className = 'btn btn-primary';
+        confirm.onclick = () => {
+            this.doMergeRestore();
+        };
+        
+        this.previewMergeRestore();
+    }
+
+    /**
+     * 预览合并导入结果（试运行，不写入数据）
+     */
+    async previewMergeRestore() {
+        const summaryContainer = document.getElementById('mergeSummary');
+        if (!summaryContainer || !this.pendingMergeBackup) return;
+        
+        const classIds = [...document.querySelectorAll('.merge-class:checked')].map(input => parseInt(input.value));
+        const matchBy = document.getElementById('mergeMatchBy').value;
+        
+        try {
+            this.pendingMergePlan = await window.storageManager.planMerge(this.pendingMergeBackup, { classIds, matchBy });
+            
+            const labels = {
+                classes: '班级',
+                students: '学生',
+                callRecords: '点名记录',
+                settings: '设置',
+                groupings: '分组方案',
+                attendance: '考勤表'
+            };
+            
+            summaryContainer.innerHTML = `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>数据</th><th>新增</th><th>更新</th><th>跳过</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(this.pendingMergePlan.summary).map(([storeName, counts]) => `
+                            <tr>
+                                <td>${labels[storeName] || storeName}</td>
+                                <td>${counts.added}</td>
+                                <td>${counts.updated}</td>
+                                <td>${counts.skipped}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="text-muted">同名班级会合并到已有班级，重复的点名记录（同一学生同一时间）会被跳过，设置冲突时保留较新的值</p>
+            `;
+        } catch (error) {
+            console.error('预览合并导入失败:', error, error.details || '');
+            this.pendingMergePlan = null;
+            summaryContainer.innerHTML = `<p class="text-warning">${error.message}</p>`;
+        }
+    }
+
+    /**
+     * 执行合并导入
+     */
+    async doMergeRestore() {
+        if (!this.pendingMergePlan) {
+            this.showNotification('没有可以导入的数据', 'warning');
+            return;
+        }
+        
+        try {
+            this.showLoading('正在合并数据...');
+            const summary = await window.storageManager.applyMergePlan(this.pendingMergePlan);
+            this.hideLoading();
+            
+            this.pendingMergeBackup = null;
+            this.pendingMergePlan = null;
+            this.closeModal();
+            
+            await this.loadClasses();
+            await this.loadStudents();
+            
+            this.showNotification(
+                `合并完成：新增学生 ${summary.students.added} 人，新增点名记录 ${summary.callRecords.added} 条`,
+                'success'
+            );
+        } catch (error) {
+            console.error('合并导入失败:', error);
+            this.showNotification(`合并导入失败，原有数据未改动：${error.message}`, 'error', 6000);
+            this.hideLoading();
+        }
+    }
+
     /**
      * 确认清空数据
      */
@@ -2258,7 +4389,7 @@ class RollCallApp {
      * 显示通知
      * @param {string} message - 通知内容
      * @param {string} type - 通知类型 (success, error, warning, info)
-     * @param {number} duration - 显示时长(ms)
+     * @param {number} duration - 显示时长(ms)，为 0 时不自动关闭
      */
     showNotification(message, type = 'info', duration = 3000) {
         const container = document.getElementById('notificationContainer');
@@ -2278,10 +4409,10 @@ class RollCallApp {
         
         container.appendChild(notification);
         
-        // 自动关闭
-        const autoCloseTimer = setTimeout(() => {
+        // 自动关闭（duration 为 0 时一直显示，直到手动关闭）
+        const autoCloseTimer = duration > 0 ? setTimeout(() => {
             this.removeNotification(notification);
-        }, duration);
+        }, duration) : null;
         
         // 手动关闭
         notification.querySelector('.notification-close').addEventListener('click', () => {
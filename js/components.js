@@ -160,6 +160,20 @@ class ComponentUtils {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
+    /**
+     * 转义 HTML 特殊字符，用于把文本插入 innerHTML 模板（包括属性值）
+     * @param {*} text - 文本，null 和 undefined 转为空字符串
+     * @returns {string} 转义后的文本
+     */
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * 深拷贝对象
      * @param {Object} obj - 要拷贝的对象
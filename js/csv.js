@@ -0,0 +1,373 @@
+/**
+ * CSV 读取（RFC 4180）
+ * - 逐字符的状态机解析，引号内可以包含分隔符、换行和转义的双引号（""），可分块输入
+ * - 自动识别 BOM 和文件编码（UTF-8 / UTF-16 / GB18030 / Big5），兼容中文 Windows 下 Excel 导出的 CSV
+ * - 自动识别逗号、分号、制表符分隔
+ * - 格式错误的行记录行号和列号
+ */
+
+/**
+ * 流式 CSV 解析器
+ * 通过 push() 分块输入文本，返回已完整解析的记录；输入结束后调用 end()
+ * 记录格式：{ fields: 字段数组, line: 起始行号, errors: [{ line, column, error }] }
+ */
+class CsvParser {
+    /**
+     * @param {Object} options - { delimiter: 分隔符，默认逗号 }
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.state = 'fieldStart';  // fieldStart / unquoted / quoted / quoteInQuoted
+        this.field = '';
+        this.fields = [];
+        this.fieldQuoted = false;
+        this.recordErrors = [];
+        this.recordLine = 1;
+        this.line = 1;
+        this.column = 0;
+        this.quoteLine = 0;
+        this.quoteColumn = 0;
+        this.skipLineFeed = false;  // 上一个字符是 \r，紧跟的 \n 属于同一个换行
+        this.records = [];
+    }
+
+    /**
+     * 输入一段文本
+     * @param {string} text - 文本
+     * @returns {Array<Object>} 本次完成的记录
+     */
+    push(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                this.skipLineFeed = char === '\r';
+                this.handleLineBreak();
+                this.line++;
+                this.column = 0;
+                continue;
+            }
+
+            this.column++;
+            this.handleChar(char);
+        }
+
+        return this.takeRecords();
+    }
+
+    /**
+     * 输入结束
+     * @returns {Array<Object>} 剩余的记录
+     */
+    end() {
+        if (this.state === 'quoted') {
+            const error = new Error(`CSV 格式错误（第 ${this.quoteLine} 行第 ${this.quoteColumn} 列）：引号没有闭合`);
+            error.line = this.quoteLine;
+            error.column = this.quoteColumn;
+            throw error;
+        }
+
+        this.endRecord();
+        return this.takeRecords();
+    }
+
+    /**
+     * 处理换行以外的字符
+     * @param {string} char - 字符
+     */
+    handleChar(char) {
+        switch (this.state) {
+            case 'fieldStart':
+                if (char === '"') {
+                    this.state = 'quoted';
+                    this.fieldQuoted = true;
+                    this.quoteLine = this.line;
+                    this.quoteColumn = this.column;
+                } else if (char === this.delimiter) {
+                    this.endField();
+                } else {
+                    this.field += char;
+                    this.state = 'unquoted';
+                }
+                break;
+
+            case 'unquoted':
+                if (char === this.delimiter) {
+                    this.endField();
+                } else {
+                    if (char === '"') {
+                        this.addError('未加引号的字段中出现了引号');
+                    }
+                    this.field += char;
+                }
+                break;
+
+            case 'quoted':
+                if (char === '"') {
+                    this.state = 'quoteInQuoted';
+                } else {
+                    this.field += char;
+                }
+                break;
+
+            case 'quoteInQuoted':
+                if (char === '"') {
+                    // 两个双引号表示一个引号
+                    this.field += '"';
+                    this.state = 'quoted';
+                } else if (char === this.delimiter) {
+                    this.endField();
+                } else {
+                    this.addError('引号闭合后出现了多余的字符');
+                    this.field += char;
+                    this.state = 'unquoted';
+                }
+                break;
+        }
+    }
+
+    /**
+     * 处理换行：引号内的换行属于字段内容，否则结束当前记录
+     */
+    handleLineBreak() {
+        if (this.state === 'quoted') {
+            this.field += '\n';
+        } else {
+            this.endRecord();
+        }
+    }
+
+    /**
+     * 结束当前字段
+     */
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.fieldQuoted = false;
+        this.state = 'fieldStart';
+    }
+
+    /**
+     * 结束当前记录，空行忽略
+     */
+    endRecord() {
+        const isBlank = this.fields.length === 0 && this.field === '' && !this.fieldQuoted;
+        if (!isBlank) {
+            this.endField();
+            this.records.push({ fields: this.fields, line: this.recordLine, errors: this.recordErrors });
+        }
+
+        this.field = '';
+        this.fields = [];
+        this.fieldQuoted = false;
+        this.recordErrors = [];
+        this.state = 'fieldStart';
+        this.recordLine = this.line + 1;
+    }
+
+    /**
+     * 记录当前位置的格式错误
+     * @param {string} message - 错误信息
+     */
+    addError(message) {
+        this.recordErrors.push({ line: this.line, column: this.column, error: message });
+    }
+
+    /**
+     * 取出已完成的记录
+     * @returns {Array<Object>} 记录
+     */
+    takeRecords() {
+        const records = this.records;
+        this.records = [];
+        return records;
+    }
+}
+
+class CsvReader {
+    constructor() {
+        this.delimiters = [',', ';', '\t'];
+        // 无 BOM 时依次尝试的编码，最后一个不会失败
+        this.encodings = ['utf-8', 'gb18030', 'big5', 'windows-1252'];
+        this.chunkSize = 64 * 1024;
+    }
+
+    /**
+     * 读取 CSV 文件
+     * 标题行之后字段数与标题不一致的行视为格式错误，不返回
+     * @param {ArrayBuffer|Uint8Array} buffer - 文件内容
+     * @param {Object} options - { delimiter: 指定分隔符，默认自动识别 }
+     * @returns {Object} { headers, rows: [{ fields, line }], errors: [{ line, column, error }], encoding, delimiter }
+     */
+    parse(buffer, options = {}) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const bomEncoding = this.detectBom(bytes);
+        const candidates = bomEncoding ? [bomEncoding] : this.getSupportedEncodings();
+
+        for (let i = 0; i < candidates.length; i++) {
+            const encoding = candidates[i];
+            const fatal = !bomEncoding && i < candidates.length - 1;
+            try {
+                return { ...this.parseBytes(bytes, encoding, fatal, options.delimiter), encoding };
+            } catch (error) {
+                // 解码失败（TypeError）时换下一个编码，其他错误直接抛出
+                if (!(error instanceof TypeError) || !fatal) throw error;
+            }
+        }
+
+        throw new Error('无法识别文件编码');
+    }
+
+    /**
+     * 根据 BOM 判断编码
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {string|null} 编码
+     */
+    detectBom(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        return null;
+    }
+
+    /**
+     * 当前浏览器支持的候选编码
+     * @returns {Array<string>} 编码
+     */
+    getSupportedEncodings() {
+        return this.encodings.filter(encoding => {
+            try {
+                new TextDecoder(encoding);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * 按指定编码分块解码并解析
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {string} encoding - 编码
+     * @param {boolean} fatal - 遇到非法字节时是否抛出 TypeError
+     * @param {string} delimiter - 分隔符，为空时根据第一块内容识别
+     * @returns {Object} { headers, rows, errors, delimiter }
+     */
+    parseBytes(bytes, encoding, fatal, delimiter) {
+        // TextDecoder 默认会去掉 BOM
+        const decoder = new TextDecoder(encoding, { fatal });
+        let parser = null;
+        let headers = null;
+        const rows = [];
+        const errors = [];
+
+        const collect = (records) => {
+            records.forEach(record => {
+                // 只有分隔符或空白的行（Excel 常在末尾导出 ",,,"）视为空行
+                if (record.errors.length === 0 && record.fields.every(field => field.trim() === '')) {
+                    return;
+                }
+                if (!headers) {
+                    headers = record.fields.map(field => field.trim());
+                    return;
+                }
+
+                // 行尾多出的空字段（如每行末尾多一个分隔符）不算错误
+                const fields = record.fields.slice();
+                while (fields.length > headers.length && fields[fields.length - 1] === '') {
+                    fields.pop();
+                }
+
+                if (record.errors.length > 0) {
+                    // 一行中的多处错误合并为一条，错误数即跳过的行数
+                    errors.push({
+                        line: record.line,
+                        column: record.errors[0].column,
+                        error: record.errors.map(item => `第 ${item.line} 行第 ${item.column} 列：${item.error}`).join('；')
+                    });
+                } else if (fields.length !== headers.length) {
+                    errors.push({ line: record.line, column: 1, error: `第 ${record.line} 行：应有 ${headers.length} 列，实际 ${fields.length} 列` });
+                } else {
+                    rows.push({ fields, line: record.line });
+                }
+            });
+        };
+
+        for (let offset = 0; offset < bytes.length; offset += this.chunkSize) {
+            const text = decoder.decode(bytes.subarray(offset, offset + this.chunkSize), { stream: true });
+            if (!parser) {
+                delimiter = delimiter || this.detectDelimiter(text);
+                parser = new CsvParser({ delimiter });
+            }
+            collect(parser.push(text));
+        }
+
+        const rest = decoder.decode();
+        if (!parser) {
+            delimiter = delimiter || this.detectDelimiter(rest);
+            parser = new CsvParser({ delimiter });
+        }
+        collect(parser.push(rest));
+        collect(parser.end());
+
+        return { headers: headers || [], rows, errors, delimiter };
+    }
+
+    /**
+     * 根据开头几行识别分隔符：各行出现次数一致且最多的候选优先
+     * @param {string} sample - 文件开头的文本
+     * @returns {string} 分隔符
+     */
+    detectDelimiter(sample) {
+        const lines = [];
+        let current = [];
+        let inQuotes = false;
+        let counts = {};
+
+        // 只统计引号外的字符，最多看 10 行
+        for (let i = 0; i < sample.length && lines.length < 10; i++) {
+            const char = sample[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                if (Object.keys(counts).length > 0 || current.length > 0) {
+                    lines.push(counts);
+                }
+                counts = {};
+                current = [];
+            } else if (!inQuotes) {
+                current.push(char);
+                if (this.delimiters.includes(char)) {
+                    counts[char] = (counts[char] || 0) + 1;
+                }
+            }
+        }
+        // 样本可能在行中间截断，只有一行时才使用最后一行
+        if (lines.length === 0 && current.length > 0) {
+            lines.push(counts);
+        }
+
+        let best = ',';
+        let bestScore = 0;
+        this.delimiters.forEach(delimiter => {
+            const perLine = lines.map(line => line[delimiter] || 0);
+            const total = perLine.reduce((sum, count) => sum + count, 0);
+            if (total === 0) return;
+
+            const consistent = perLine.every(count => count === perLine[0]);
+            const score = (consistent ? 1000000 : 0) + total;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+}
+
+window.csvReader = new CsvReader();
@@ -0,0 +1,551 @@
+/**
+ * 点名公平性审计模块
+ * 基于历史点名记录重放每次抽取时的候选名单，计算各算法下的期望分布并生成可打印的审计报告
+ */
+
+class FairnessAuditor {
+    /**
+     * @param {StorageManager} storageManager - 存储管理器
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.significanceLevel = 0.05;
+    }
+
+    /**
+     * 生成班级的公平性审计报告
+     * @param {number} classId - 班级ID
+     * @param {string} timeRange - 时间范围（天数或 'all'）
+     * @param {Object} options - 选项
+     * @param {Object} options.performanceWeights - 答题表现加权算法的权重参数
+     * @returns {Promise<Object>} 审计报告
+     */
+    async generateReport(classId, timeRange = 'all', options = {}) {
+        const classInfo = await this.storageManager.getClassById(classId);
+        const students = await this.storageManager.getStudentsByClassId(classId);
+        const records = (await this.storageManager.getCallRecordsByClassId(classId))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const sheets = await this.storageManager.getAttendanceSheetsByClassId(classId);
+
+        let startDate = null;
+        if (timeRange !== 'all') {
+            startDate = new Date();
+            startDate.setDate(startDate.getDate() - parseInt(timeRange));
+        }
+
+        const replay = this.replayRecords(students, records, sheets, startDate, options);
+        const observed = students.map(student => replay.observed.get(student.id) || 0);
+        const expected = students.map(student => replay.expected.get(student.id) || 0);
+        const gaps = this.findLongestGaps(students, replay.picks, startDate);
+
+        return {
+            classId,
+            className: classInfo ? classInfo.name : '',
+            timeRange,
+            startDate: startDate ? startDate.toISOString() : (replay.picks[0] ? replay.picks[0].timestamp : null),
+            generatedAt: new Date().toISOString(),
+            totalCalls: replay.picks.length,
+            skippedRecords: replay.skippedRecords,
+            algorithmUsage: replay.algorithmUsage,
+            chiSquare: this.chiSquareTest(observed, expected),
+            gini: this.giniCoefficient(observed),
+            students: students.map((student, index) => ({
+                studentId: student.id,
+                name: student.name,
+                observed: observed[index],
+                expected: expected[index],
+                deviation: observed[index] - expected[index],
+                longestGapCalls: gaps.get(student.id).calls,
+                longestGapDays: gaps.get(student.id).days
+            })),
+            streaks: this.findRepeatStreaks(replay.picks),
+            expectedRepeats: replay.expectedRepeats,
+            impossiblePicks: replay.impossiblePicks
+        };
+    }
+
+    /**
+     * 按时间顺序重放点名记录，重建每次抽取时的学生状态并累加期望概率
+     * 学生的特殊状态使用当前值，缺勤以当天的考勤表为准
+     * @param {Array} students - 班级学生
+     * @param {Array} records - 按时间正序排列的点名记录
+     * @param {Array} sheets - 考勤表
+     * @param {Date|null} startDate - 统计起始时间，之前的记录只用于重建状态
+     * @param {Object} options - 选项
+     * @returns {Object} { observed, expected, picks, expectedRepeats, impossiblePicks, skippedRecords, algorithmUsage }
+     */
+    replayRecords(students, records, sheets, startDate, options = {}) {
+        const algorithm = new CallAlgorithm(this.storageManager, {
+            seed: 0,
+            performanceWeights: options.performanceWeights
+        });
+
+        const absentByDate = new Map(sheets.map(sheet => [
+            sheet.date,
+            new Set(Object.entries(sheet.records)
+                .filter(([, status]) => status === 'absent')
+                .map(([studentId]) => parseInt(studentId)))
+        ]));
+        const studentIds = new Set(students.map(s => s.id));
+
+        const callCounts = new Map();
+        const lastCalled = new Map();
+        const batchPicks = new Map();
+        const deckDrawn = new Set();
+        const history = [];
+
+        const observed = new Map();
+        const expected = new Map();
+        const picks = [];
+        const impossiblePicks = [];
+        const algorithmUsage = {};
+        let expectedRepeats = 0;
+        let skippedRecords = 0;
+        let previousProbabilities = null;
+
+        records.forEach(record => {
+            const time = new Date(record.timestamp);
+            const algorithmName = record.algorithm || 'fair';
+            const inRange = !startDate || time >= startDate;
+
+            // 重建抽取时刻的候选学生
+            const absentIds = absentByDate.get(ComponentUtils.formatDate(time)) || new Set();
+            const pickedInBatch = record.batchId ? (batchPicks.get(record.batchId) || new Set()) : new Set();
+            const snapshot = students
+                .filter(s => !s.createdAt || new Date(s.createdAt) <= time)
+                .map(s => ({ ...s, callCount: callCounts.get(s.id) || 0, lastCalled: lastCalled.get(s.id) || null }));
+            const available = algorithm.filterByStatus(snapshot, algorithmName)
+                .filter(s => !absentIds.has(s.id) && !pickedInBatch.has(s.id));
+
+            if (algorithmName === 'deck' && available.every(s => deckDrawn.has(s.id))) {
+                deckDrawn.clear();
+            }
+
+            if (inRange) {
+                if (!studentIds.has(record.studentId) || available.length === 0) {
+                    // 学生已被删除或无法重建候选名单
+                    skippedRecords++;
+                    previousProbabilities = null;
+                } else {
+                    const probabilities = new Map(algorithm.calculateProbabilities(available, algorithmName, {
+                        now: time,
+                        drawnIds: [...deckDrawn],
+                        callRecords: history
+                    }).map(item => [item.student.id, item.probability]));
+
+                    probabilities.forEach((probability, studentId) => {
+                        expected.set(studentId, (expected.get(studentId) || 0) + probability);
+                    });
+                    observed.set(record.studentId, (observed.get(record.studentId) || 0) + 1);
+                    algorithmUsage[algorithmName] = (algorithmUsage[algorithmName] || 0) + 1;
+
+                    if (!probabilities.get(record.studentId)) {
+                        impossiblePicks.push({ studentId: record.studentId, name: record.studentName, timestamp: record.timestamp, algorithm: algorithmName });
+                    }
+
+                    // 上一次被点到的学生再次被点到的期望概率
+                    const previous = picks[picks.length - 1];
+                    if (previous && previousProbabilities) {
+                        expectedRepeats += probabilities.get(previous.studentId) || 0;
+                    }
+                    previousProbabilities = probabilities;
+
+                    picks.push({ studentId: record.studentId, name: record.studentName, timestamp: record.timestamp, batchId: record.batchId || null });
+                }
+            }
+
+            // 更新状态
+            callCounts.set(record.studentId, (callCounts.get(record.studentId) || 0) + 1);
+            lastCalled.set(record.studentId, record.timestamp);
+            if (record.batchId) {
+                batchPicks.set(record.batchId, new Set([...pickedInBatch, record.studentId]));
+            }
+            if (algorithmName === 'deck') {
+                deckDrawn.add(record.studentId);
+            }
+            algorithm.lastSelectedStudent = record.studentId;
+            algorithm.selectedStudents.add(record.studentId);
+            history.push(record);
+        });
+
+        return { observed, expected, picks, expectedRepeats, impossiblePicks, skippedRecords, algorithmUsage };
+    }
+
+    /**
+     * 卡方拟合优度检验
+     * @param {Array<number>} observed - 实际次数
+     * @param {Array<number>} expected - 期望次数
+     * @returns {Object} { statistic, df, pValue, lowExpected, significant }
+     */
+    chiSquareTest(observed, expected) {
+        let statistic = 0;
+        let categories = 0;
+        let lowExpected = 0;
+
+        observed.forEach((count, index) => {
+            const expectedCount = expected[index];
+            if (expectedCount <= 0) return;
+            statistic += Math.pow(count - expectedCount, 2) / expectedCount;
+            categories++;
+            if (expectedCount < 5) {
+                lowExpected++;
+            }
+        });
+
+        const df = categories - 1;
+        if (df < 1) {
+            return { statistic: null, df: 0, pValue: null, lowExpected, significant: false };
+        }
+
+        const pValue = this.chiSquarePValue(statistic, df);
+        return {
+            statistic,
+            df,
+            pValue,
+            lowExpected,
+            significant: pValue < this.significanceLevel
+        };
+    }
+
+    /**
+     * 计算卡方分布的右尾概率
+     * @param {number} statistic - 卡方统计量
+     * @param {number} df - 自由度
+     * @returns {number} p 值
+     */
+    chiSquarePValue(statistic, df) {
+        if (statistic <= 0) return 1;
+        return this.regularizedGammaQ(df / 2, statistic / 2);
+    }
+
+    /**
+     * 正则化上不完全伽马函数 Q(a, x)
+     * x < a + 1 时使用级数展开，否则使用连分式
+     * @param {number} a - 参数
+     * @param {number} x - 自变量
+     * @returns {number} Q(a, x)
+     */
+    regularizedGammaQ(a, x) {
+        const epsilon = 1e-12;
+        const logPrefix = a * Math.log(x) - x - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * epsilon) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+
+        // Lentz 连分式
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < epsilon) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
+    /**
+     * 对数伽马函数（Lanczos 近似）
+     * @param {number} z - 自变量
+     * @returns {number} ln Γ(z)
+     */
+    logGamma(z) {
+        const coefficients = [
+            676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+
+        if (z < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * z)) - this.logGamma(1 - z);
+        }
+
+        z -= 1;
+        let x = 0.99999999999980993;
+        coefficients.forEach((coefficient, i) => {
+            x += coefficient / (z + i + 1);
+        });
+        const t = z + coefficients.length - 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+    }
+
+    /**
+     * 计算基尼系数（0 表示完全均等，越接近 1 越集中）
+     * @param {Array<number>} values - 每个学生的点名次数
+     * @returns {number} 基尼系数
+     */
+    giniCoefficient(values) {
+        const n = values.length;
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (n === 0 || total === 0) {
+            return 0;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const weightedSum = sorted.reduce((sum, value, i) => sum + (i + 1) * value, 0);
+        return (2 * weightedSum) / (n * total) - (n + 1) / n;
+    }
+
+    /**
+     * 计算每个学生最长的未被点到间隔（包括统计开始前和到现在为止的间隔）
+     * @param {Array} students - 学生数组
+     * @param {Array} picks - 按时间排序的点名结果
+     * @param {Date|null} startDate - 统计起始时间
+     * @returns {Map} 学生ID -> { calls: 间隔的点名次数, days: 间隔天数 }
+     */
+    findLongestGaps(students, picks, startDate) {
+        const dayMs = 1000 * 60 * 60 * 24;
+        const rangeStart = startDate || (picks[0] ? new Date(picks[0].timestamp) : new Date());
+        const now = new Date();
+        const gaps = new Map();
+
+        students.forEach(student => {
+            let previousIndex = -1;
+            let previousTime = rangeStart;
+            let longestCalls = 0;
+            let longestDays = 0;
+
+            picks.forEach((pick, index) => {
+                if (pick.studentId !== student.id) return;
+                const time = new Date(pick.timestamp);
+                longestCalls = Math.max(longestCalls, index - previousIndex - 1);
+                longestDays = Math.max(longestDays, (time - previousTime) / dayMs);
+                previousIndex = index;
+                previousTime = time;
+            });
+
+            longestCalls = Math.max(longestCalls, picks.length - previousIndex - 1);
+            longestDays = Math.max(longestDays, (now - previousTime) / dayMs);
+
+            gaps.set(student.id, {
+                calls: longestCalls,
+                days: Math.round(longestDays * 10) / 10
+            });
+        });
+
+        return gaps;
+    }
+
+    /**
+     * 检测同一学生连续被点到的情况
+     * @param {Array} picks - 按时间排序的点名结果
+     * @returns {Array} [{ studentId, name, length, start, end }]
+     */
+    findRepeatStreaks(picks) {
+        const streaks = [];
+        let current = null;
+
+        picks.forEach(pick => {
+            if (current && current.studentId === pick.studentId) {
+                current.length++;
+                current.end = pick.timestamp;
+                return;
+            }
+            if (current && current.length > 1) {
+                streaks.push(current);
+            }
+            current = { studentId: pick.studentId, name: pick.name, length: 1, start: pick.timestamp, end: pick.timestamp };
+        });
+
+        if (current && current.length > 1) {
+            streaks.push(current);
+        }
+
+        return streaks.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 获取报告结论
+     * @param {Object} report - 审计报告
+     * @returns {string} 结论
+     */
+    getConclusion(report) {
+        const { chiSquare } = report;
+        if (chiSquare.pValue === null) {
+            return '样本不足，无法进行卡方检验';
+        }
+        if (chiSquare.significant) {
+            return `实际点名分布与算法预期存在显著差异（p = ${chiSquare.pValue.toFixed(4)} < ${this.significanceLevel}）`;
+        }
+        return `实际点名分布与算法预期一致（p = ${chiSquare.pValue.toFixed(4)} ≥ ${this.significanceLevel}），没有证据表明点名存在偏差`;
+    }
+
+    /**
+     * 渲染报告主体（用于弹窗预览和打印页面）
+     * @param {Object} report - 审计报告
+     * @param {Function} algorithmName - 算法中文名称的获取函数
+     * @returns {string} HTML 片段
+     */
+    renderReportBody(report, algorithmName = (algorithm) => algorithm) {
+        const { chiSquare } = report;
+        const formatTime = (timestamp) => timestamp ? ComponentUtils.formatDate(new Date(timestamp), 'YYYY-MM-DD HH:mm') : '-';
+        const rangeText = report.timeRange === 'all' ? '全部时间' : `最近${report.timeRange}天`;
+        const repeatCount = report.streaks.reduce((sum, streak) => sum + streak.length - 1, 0);
+
+        return `
+            <div class="fairness-summary">
+                <p><strong>统计范围：</strong>${rangeText}（${formatTime(report.startDate)} 起），共 ${report.totalCalls} 次点名</p>
+                <p><strong>算法使用：</strong>${Object.entries(report.algorithmUsage)
+                    .map(([algorithm, count]) => `${ComponentUtils.escapeHtml(algorithmName(algorithm))} ${count} 次`).join('，') || '-'}</p>
+                <p class="fairness-conclusion ${chiSquare.significant ? 'warning' : 'ok'}">${this.getConclusion(report)}</p>
+            </div>
+            <table class="fairness-metrics">
+                <tbody>
+                    <tr><th>卡方统计量</th><td>${chiSquare.statistic === null ? '-' : chiSquare.statistic.toFixed(2)}</td></tr>
+                    <tr><th>自由度</th><td>${chiSquare.df}</td></tr>
+                    <tr><th>p 值</th><td>${chiSquare.pValue === null ? '-' : chiSquare.pValue.toFixed(4)}</td></tr>
+                    <tr><th>点名次数基尼系数</th><td>${report.gini.toFixed(3)}</td></tr>
+                    <tr><th>连续重复点名</th><td>实际 ${repeatCount} 次，期望 ${report.expectedRepeats.toFixed(2)} 次</td></tr>
+                </tbody>
+            </table>
+            ${chiSquare.lowExpected > 0 ? `<p class="fairness-note">有 ${chiSquare.lowExpected} 名学生的期望次数小于 5，卡方检验结果仅供参考。</p>` : ''}
+            ${report.skippedRecords > 0 ? `<p class="fairness-note">有 ${report.skippedRecords} 条记录对应的学生已删除，未计入检验。</p>` : ''}
+            ${report.impossiblePicks.length > 0 ? `<p class="fairness-note">有 ${report.impossiblePicks.length} 次点名在重建的候选名单中概率为 0（可能是期间修改过学生状态或重新洗牌）。</p>` : ''}
+
+            <h3>学生明细</h3>
+            <table class="fairness-table">
+                <thead>
+                    <tr>
+                        <th>姓名</th>
+                        <th>实际次数</th>
+                        <th>期望次数</th>
+                        <th>偏差</th>
+                        <th>最长间隔（次）</th>
+                        <th>最长间隔（天）</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.students.map(student => `
+                        <tr>
+                            <td>${ComponentUtils.escapeHtml(student.name)}</td>
+                            <td>${student.observed}</td>
+                            <td>${student.expected.toFixed(2)}</td>
+                            <td>${student.deviation >= 0 ? '+' : ''}${student.deviation.toFixed(2)}</td>
+                            <td>${student.longestGapCalls}</td>
+                            <td>${student.longestGapDays}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <h3>连续重复点名</h3>
+            ${report.streaks.length === 0 ? '<p>没有同一学生连续被点到的情况</p>' : `
+                <table class="fairness-table">
+                    <thead>
+                        <tr><th>姓名</th><th>连续次数</th><th>开始时间</th><th>结束时间</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.streaks.map(streak => `
+                            <tr>
+                                <td>${ComponentUtils.escapeHtml(streak.name)}</td>
+                                <td>${streak.length}</td>
+                                <td>${formatTime(streak.start)}</td>
+                                <td>${formatTime(streak.end)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    /**
+     * 生成可打印的完整报告页面
+     * @param {Object} report - 审计报告
+     * @param {Function} algorithmName - 算法中文名称的获取函数
+     * @returns {string} HTML 文档
+     */
+    renderReportDocument(report, algorithmName) {
+        const title = `${report.className} 点名公平性审计报告`;
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <title>${ComponentUtils.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2937; max-width: 900px; margin: 24px auto; padding: 0 24px; }
+        h1 { font-size: 22px; margin-bottom: 4px; }
+        h3 { margin-top: 28px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+        th, td { border: 1px solid #d1d5db; padding: 6px 10px; text-align: left; font-size: 13px; }
+        thead th, .fairness-metrics th { background: #f3f4f6; }
+        .fairness-metrics { width: auto; }
+        .fairness-conclusion { padding: 8px 12px; border-radius: 6px; }
+        .fairness-conclusion.ok { background: #ecfdf5; color: #065f46; }
+        .fairness-conclusion.warning { background: #fef2f2; color: #991b1b; }
+        .fairness-note, .meta { color: #6b7280; font-size: 13px; }
+        .toolbar { text-align: right; }
+        @media print {
+            .toolbar { display: none; }
+            body { margin: 0; }
+            tr { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">打印 / 另存为 PDF</button></div>
+    <h1>${ComponentUtils.escapeHtml(title)}</h1>
+    <p class="meta">生成时间：${ComponentUtils.formatDate(new Date(report.generatedAt), 'YYYY-MM-DD HH:mm:ss')}</p>
+    ${this.renderReportBody(report, algorithmName)}
+    <h3>计算方法</h3>
+    <p class="meta">按时间顺序重放点名记录，根据每次点名时学生的点名次数、考勤和所用算法计算每个学生被选中的概率，累加得到期望次数，再与实际次数进行卡方拟合优度检验（显著性水平 ${this.significanceLevel}）。学生的特殊状态以当前设置为准。</p>
+</body>
+</html>`;
+    }
+
+    /**
+     * 在新窗口中打开可打印的报告
+     * @param {Object} report - 审计报告
+     * @param {Function} algorithmName - 算法中文名称的获取函数
+     */
+    openPrintView(report, algorithmName) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('无法打开新窗口，请允许弹出窗口');
+        }
+        printWindow.document.open();
+        printWindow.document.write(this.renderReportDocument(report, algorithmName));
+        printWindow.document.close();
+        printWindow.focus();
+    }
+
+    /**
+     * 下载 HTML 格式的报告
+     * @param {Object} report - 审计报告
+     * @param {Function} algorithmName - 算法中文名称的获取函数
+     */
+    downloadReport(report, algorithmName) {
+        const blob = new Blob([this.renderReportDocument(report, algorithmName)], { type: 'text/html;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', `${report.className}_公平性报告_${ComponentUtils.formatDate(new Date())}.html`);
+        link.style.visibility = 'hidden';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 创建全局实例
+window.fairnessAuditor = new FairnessAuditor(window.storageManager);
@@ -6,9 +6,18 @@
 class ImportExportManager {
     constructor() {
         this.supportedImportFormats = ['json', 'csv', 'xlsx', 'xls'];
-        this.supportedExportFormats = ['csv', 'xlsx', 'png', 'jpeg'];
+        this.supportedExportFormats = ['csv', 'xlsx', 'png', 'jpeg', 'webp'];
+        this.imageFormats = ['png', 'jpeg', 'webp'];
         this.sheetJSLoaded = false;
-        this.html2canvasLoaded = false;
+        // 导入时可对应的学生字段，aliases 用于自动识别列名（见 normalizeHeader）
+        this.studentFields = {
+            name: { label: '姓名', aliases: ['name', '姓名', 'student_name', '学生姓名'] },
+            studentId: { label: '学号', aliases: ['student_id', 'studentid', '学号', 'id', '编号'] },
+            phone: { label: '电话', aliases: ['phone', 'tel', 'telephone', '电话', '手机'] },
+            email: { label: '邮箱', aliases: ['email', '邮箱', '电子邮件', 'mail'] },
+            notes: { label: '备注', aliases: ['notes', 'remark', '备注', '说明', '描述'] }
+        };
+        this.mappingSettingKey = 'importColumnMappings';
     }
 
     /**
@@ -16,7 +25,6 @@ class ImportExportManager {
      */
     async loadLibraries() {
         await this.loadSheetJS();
-        await this.loadHtml2Canvas();
     }
 
     /**
@@ -34,29 +42,7 @@ class ImportExportManager {
                 resolve();
             };
             script.onerror = () => {
-                console.warn('SheetJS 库加载失败，Excel 功能将不可用');
-                resolve();
-            };
-            document.head.appendChild(script);
-        });
-    }
-
-    /**
-     * 加载 html2canvas 库用于图片导出
-     */
-    async loadHtml2Canvas() {
-        if (this.html2canvasLoaded) return;
-
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js';
-            script.onload = () => {
-                this.html2canvasLoaded = true;
-                console.log('html2canvas 库加载成功');
-                resolve();
-            };
-            script.onerror = () => {
-                console.warn('html2canvas 库加载失败，图片导出功能将不可用');
+                console.warn('SheetJS 库加载失败，将使用内置 Excel 读写');
                 resolve();
             };
             document.head.appendChild(script);
@@ -94,8 +80,9 @@ class ImportExportManager {
 
     /**
      * 读取文件内容
+     * CSV 和 Excel 读取为二进制，由解析器识别编码
      * @param {File} file - 文件对象
-     * @returns {Promise<string>} 文件内容
+     * @returns {Promise<string|ArrayBuffer>} 文件内容
      */
     readFileContent(file) {
         return new Promise((resolve, reject) => {
@@ -104,7 +91,7 @@ class ImportExportManager {
             reader.onerror = (e) => reject(new Error('文件读取失败'));
             
             const format = this.detectFileFormat(file.name);
-            if (['xlsx', 'xls'].includes(format)) {
+            if (['xlsx', 'xls', 'csv'].includes(format)) {
                 reader.readAsArrayBuffer(file);
             } else {
                 reader.readAsText(file, 'UTF-8');
@@ -114,142 +101,250 @@ class ImportExportManager {
 
     /**
      * 解析 CSV 格式数据
-     * @param {string} csvText - CSV 文本内容
-     * @returns {Array} 解析后的数据数组
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @returns {Object} 表格 { headers, rows: [{ values, line }], errors: 格式错误的行 [{ line, column, error }] }
      */
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        if (lines.length < 2) {
+    parseCSV(buffer) {
+        const parsed = window.csvReader.parse(buffer);
+        if (parsed.rows.length === 0 && parsed.errors.length === 0) {
             throw new Error('CSV 文件格式错误：至少需要包含标题行和数据行');
         }
+        console.log(`CSV 编码: ${parsed.encoding}，分隔符: ${JSON.stringify(parsed.delimiter)}`);
+
+        return {
+            headers: parsed.headers,
+            rows: parsed.rows.map(row => ({
+                values: row.fields.map(field => field.trim()),
+                line: row.line
+            })),
+            errors: parsed.errors
+        };
+    }
+
+    /**
+     * 解析 JSON 格式数据
+     * 所有对象中出现过的键都作为列，行号为数组中的序号（从 1 开始）
+     * @param {string} jsonText - JSON 文本内容
+     * @returns {Object} 表格 { headers, rows: [{ values, line }], errors }
+     */
+    parseJSON(jsonText) {
+        const data = JSON.parse(jsonText);
 
-        const headers = this.parseCSVLine(lines[0]);
-        const data = [];
+        if (!Array.isArray(data)) {
+            throw new Error('JSON 格式错误：数据必须是一个数组');
+        }
 
-        for (let i = 1; i < lines.length; i++) {
-            if (!lines[i].trim()) continue;
-            
-            const values = this.parseCSVLine(lines[i]);
-            const row = {};
-            
-            headers.forEach((header, index) => {
-                const key = header.trim().toLowerCase().replace(/[\s\-_]/g, '_');
-                row[key] = values[index] ? values[index].trim() : '';
+        const headers = [];
+        data.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            Object.keys(item).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
             });
-            
-            data.push(row);
-        }
+        });
 
-        return data;
+        return {
+            headers,
+            rows: data.map((item, index) => ({
+                values: headers.map(key => this.toCellText(item && typeof item === 'object' ? item[key] : '')),
+                line: index + 1
+            })),
+            errors: []
+        };
     }
 
     /**
-     * 解析单行 CSV（处理引号和转义）
-     * @param {string} line - CSV 行文本
-     * @returns {Array} 解析后的字段数组
+     * 读取 Excel 第一个工作表的所有行，SheetJS 不可用时使用内置解析
+     * @param {ArrayBuffer} arrayBuffer - 文件内容
+     * @returns {Array<Array>} 行数据
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                if (inQuotes && line[i + 1] === '"') {
-                    current += '"';
-                    i++;
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
-            } else {
-                current += char;
+    readExcelRows(arrayBuffer) {
+        if (typeof XLSX === 'undefined') {
+            const sheets = window.builtinXlsx.read(arrayBuffer);
+            if (sheets.length === 0) {
+                throw new Error('Excel 文件格式错误：没有工作表');
             }
+            return sheets[0].rows;
         }
 
-        result.push(current);
-        return result;
+        const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+        const firstSheetName = workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[firstSheetName];
+        return XLSX.utils.sheet_to_json(worksheet, { header: 1 });
     }
 
     /**
-     * 解析 JSON 格式数据
-     * @param {string} jsonText - JSON 文本内容
-     * @returns {Array} 解析后的数据数组
+     * 生成 Excel 文件，SheetJS 不可用时使用内置实现
+     * @param {Array<Object>} sheets - 工作表列表 [{ name, rows, cols }]
+     * @returns {Uint8Array} Excel 文件数据
      */
-    parseJSON(jsonText) {
-        const data = JSON.parse(jsonText);
-        
-        if (!Array.isArray(data)) {
-            throw new Error('JSON 格式错误：数据必须是一个数组');
+    writeExcel(sheets) {
+        if (typeof XLSX === 'undefined') {
+            return window.builtinXlsx.write(sheets);
         }
 
-        return data.map(item => {
-            const normalizedItem = {};
-            for (const key in item) {
-                const normalizedKey = key.toLowerCase().replace(/[\s\-_]/g, '_');
-                normalizedItem[normalizedKey] = item[key];
+        const workbook = XLSX.utils.book_new();
+        sheets.forEach(sheet => {
+            const worksheet = XLSX.utils.aoa_to_sheet(sheet.rows);
+            if (sheet.cols) {
+                worksheet['!cols'] = sheet.cols;
             }
-            return normalizedItem;
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
         });
+
+        const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        return new Uint8Array(excelBuffer);
     }
 
     /**
      * 解析 Excel 格式数据
+     * 行号与工作表中的行号一致，空行不返回
      * @param {ArrayBuffer} arrayBuffer - 文件内容
-     * @returns {Array} 解析后的数据数组
+     * @returns {Object} 表格 { headers, rows: [{ values, line }], errors }
      */
     parseExcel(arrayBuffer) {
-        if (typeof XLSX === 'undefined') {
-            throw new Error('Excel 解析库未加载，请检查网络连接');
+        const sheetRows = this.readExcelRows(arrayBuffer);
+
+        if (sheetRows.length < 2) {
+            throw new Error('Excel 文件格式错误：至少需要包含标题行和数据行');
         }
 
-        const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        // SheetJS 返回的行可能是稀疏数组，用 Array.from 补齐空单元格
+        const headers = Array.from(sheetRows[0] || [], header => this.toCellText(header));
+        const rows = [];
 
-        if (jsonData.length < 2) {
-            throw new Error('Excel 文件格式错误：至少需要包含标题行和数据行');
+        for (let i = 1; i < sheetRows.length; i++) {
+            const sheetRow = sheetRows[i] || [];
+            const values = Array.from({ length: headers.length }, (_, index) => this.toCellText(sheetRow[index]));
+            if (values.every(value => value === '')) continue;
+
+            rows.push({ values, line: i + 1 });
         }
 
-        const headers = jsonData[0].map(h => String(h).toLowerCase().replace(/[\s\-_]/g, '_'));
-        const data = [];
+        return { headers, rows, errors: [] };
+    }
 
-        for (let i = 1; i < jsonData.length; i++) {
-            if (!jsonData[i] || jsonData[i].length === 0) continue;
-            
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = jsonData[i][index] ? String(jsonData[i][index]).trim() : '';
-            });
-            
-            data.push(row);
+    /**
+     * 单元格内容转换为文本
+     * @param {*} value - 单元格内容
+     * @returns {string} 去掉首尾空白的文本
+     */
+    toCellText(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value).trim();
+    }
+
+    /**
+     * 读取导入文件为表格
+     * @param {File} file - 导入的文件
+     * @returns {Promise<Object>} 表格 { headers: 列名, rows: [{ values: 各列的值, line: 行号 }], errors: 格式错误的行 }
+     */
+    async readImportTable(file) {
+        const format = this.detectFileFormat(file.name);
+
+        if (!this.isImportFormatSupported(format)) {
+            throw new Error(`不支持的文件格式: .${format}。支持的格式包括: ${this.supportedImportFormats.join(', ')}`);
+        }
+
+        const content = await this.readFileContent(file);
+        let table;
+
+        switch (format) {
+            case 'csv':
+                table = this.parseCSV(content);
+                break;
+            case 'json':
+                table = this.parseJSON(content);
+                break;
+            case 'xlsx':
+            case 'xls':
+                table = this.parseExcel(content);
+                break;
         }
 
-        return data;
+        // 空白列名无法在映射中区分，用列序号代替
+        table.headers = table.headers.map((header, index) => String(header).trim() || `第 ${index + 1} 列`);
+        return table;
     }
 
     /**
-     * 将解析数据转换为学生数据格式
-     * @param {Array} rawData - 解析后的原始数据
-     * @returns {Array} 标准化后的学生数据数组
+     * 统一列名格式用于别名比较：小写，空白和连字符换成下划线
+     * @param {string} header - 列名
+     * @returns {string} 统一后的列名
      */
-    normalizeStudentData(rawData) {
-        const normalizedData = [];
-        const fieldMappings = {
-            'name': ['name', '姓名', 'student_name', '学生姓名'],
-            'student_id': ['student_id', 'studentid', '学号', 'id', '编号'],
-            'phone': ['phone', 'tel', 'telephone', '电话', '手机'],
-            'email': ['email', '邮箱', '电子邮件', 'mail'],
-            'notes': ['notes', 'remark', '备注', '说明', '描述']
-        };
+    normalizeHeader(header) {
+        return String(header).trim().toLowerCase().replace(/[\s\-_]/g, '_');
+    }
+
+    /**
+     * 是否为有效的列对应目标
+     * @param {string} target - 目标
+     * @returns {boolean}
+     */
+    isMappingTarget(target) {
+        return target === 'custom' || target === 'ignore' || Object.keys(this.studentFields).includes(target);
+    }
+
+    /**
+     * 推荐每一列对应的字段
+     * 已保存映射中的同名列沿用保存的设置，其余列按别名识别；每个学生字段只对应一列，识别不出的列忽略
+     * @param {Array<string>} headers - 列名
+     * @param {Object} savedColumns - 已保存的映射 { 列名: 目标 }，可选
+     * @returns {Array<string>} 每一列的目标：学生字段名、custom（自定义字段）或 ignore（忽略）
+     */
+    guessColumnMapping(headers, savedColumns = null) {
+        const mapping = headers.map(header => {
+            const saved = savedColumns ? savedColumns[header] : null;
+            return this.isMappingTarget(saved) ? saved : null;
+        });
+        const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
 
-        for (let i = 0; i < rawData.length; i++) {
-            const item = rawData[i];
+        for (const [field, { aliases }] of Object.entries(this.studentFields)) {
+            if (mapping.includes(field)) continue;
+
+            for (const alias of aliases) {
+                const index = normalizedHeaders.findIndex((header, i) => header === alias && mapping[i] === null);
+                if (index !== -1) {
+                    mapping[index] = field;
+                    break;
+                }
+            }
+        }
+
+        return mapping.map(target => target || 'ignore');
+    }
+
+    /**
+     * 取某一列的示例值
+     * @param {Object} table - 表格
+     * @param {number} index - 列序号
+     * @param {number} count - 最多取几个
+     * @returns {Array<string>} 不重复的非空值
+     */
+    getColumnSamples(table, index, count = 3) {
+        const samples = [];
+        for (const row of table.rows) {
+            const value = row.values[index];
+            if (value && !samples.includes(value)) {
+                samples.push(value);
+                if (samples.length >= count) break;
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * 按列对应关系生成学生数据
+     * 同一字段对应多列时取第一个非空值；自定义字段以列名为键保存在 customFields 中
+     * @param {Object} table - 表格
+     * @param {Array<string>} mapping - 每一列的目标，见 guessColumnMapping
+     * @returns {Object} { students: 学生数据, errors: 缺少姓名的行 [{ line, error }] }
+     */
+    mapRows(table, mapping) {
+        const students = [];
+        const errors = [];
+
+        table.rows.forEach(row => {
             const student = {
                 name: '',
                 studentId: '',
@@ -257,34 +352,87 @@ class ImportExportManager {
                 email: '',
                 notes: ''
             };
-
-            for (const [field, aliases] of Object.entries(fieldMappings)) {
-                for (const alias of aliases) {
-                    if (item[alias] !== undefined && item[alias] !== null) {
-                        student[field] = item[alias];
-                        break;
-                    }
+            const customFields = {};
+
+            mapping.forEach((target, index) => {
+                const value = row.values[index] || '';
+                if (target === 'custom') {
+                    if (value) customFields[table.headers[index]] = value;
+                } else if (target !== 'ignore' && !student[target]) {
+                    student[target] = value;
                 }
-            }
+            });
 
             if (!student.name) {
-                console.warn(`第 ${i + 1} 条数据缺少学生姓名，已跳过`);
-                continue;
+                errors.push({ line: row.line, error: `第 ${row.line} 行缺少学生姓名，已跳过` });
+                return;
             }
 
-            normalizedData.push(student);
-        }
+            if (Object.keys(customFields).length > 0) {
+                student.customFields = customFields;
+            }
+            students.push(student);
+        });
+
+        return { students, errors };
+    }
+
+    /**
+     * 获取已保存的列对应关系
+     * @returns {Promise<Array<Object>>} [{ name, columns: { 列名: 目标 }, updatedAt }]
+     */
+    async getSavedMappings() {
+        return await window.storageManager.getSetting(this.mappingSettingKey, []);
+    }
+
+    /**
+     * 保存列对应关系，同名的覆盖
+     * @param {string} name - 名称
+     * @param {Array<string>} headers - 列名
+     * @param {Array<string>} mapping - 每一列的目标
+     */
+    async saveMapping(name, headers, mapping) {
+        const columns = {};
+        headers.forEach((header, index) => {
+            columns[header] = mapping[index];
+        });
 
-        return normalizedData;
+        const mappings = (await this.getSavedMappings()).filter(item => item.name !== name);
+        mappings.push({ name, columns, updatedAt: new Date().toISOString() });
+        await window.storageManager.saveSetting(this.mappingSettingKey, mappings);
+    }
+
+    /**
+     * 删除已保存的列对应关系
+     * @param {string} name - 名称
+     */
+    async deleteMapping(name) {
+        const mappings = (await this.getSavedMappings()).filter(item => item.name !== name);
+        await window.storageManager.saveSetting(this.mappingSettingKey, mappings);
+    }
+
+    /**
+     * 查找包含文件所有列的已保存映射，有多个时取最近保存的
+     * @param {Array<Object>} mappings - 已保存的映射
+     * @param {Array<string>} headers - 列名
+     * @returns {Object|null} 映射
+     */
+    findSavedMapping(mappings, headers) {
+        const matches = mappings
+            .filter(item => headers.every(header => Object.prototype.hasOwnProperty.call(item.columns, header)))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+        return matches[0] || null;
     }
 
     /**
      * 导入学生数据
      * @param {File} file - 导入的文件
      * @param {number} classId - 目标班级ID
+     * @param {Array<string>} mapping - 每一列的目标，省略时自动识别
+     * @param {Object} table - 已读取的表格，省略时读取文件
      * @returns {Promise<Object>} 导入结果
      */
-    async importStudents(file, classId) {
+    async importStudents(file, classId, mapping = null, table = null) {
         const startTime = Date.now();
         const result = {
             success: true,
@@ -297,45 +445,28 @@ class ImportExportManager {
         };
 
         try {
-            const format = this.detectFileFormat(file.name);
-            
-            if (!this.isImportFormatSupported(format)) {
-                throw new Error(`不支持的文件格式: .${format}。支持的格式包括: ${this.supportedImportFormats.join(', ')}`);
+            if (!table) {
+                table = await this.readImportTable(file);
             }
-
-            const content = await this.readFileContent(file);
-            let rawData;
-
-            switch (format) {
-                case 'csv':
-                    rawData = this.parseCSV(content);
-                    break;
-                case 'json':
-                    rawData = this.parseJSON(content);
-                    break;
-                case 'xlsx':
-                case 'xls':
-                    rawData = this.parseExcel(content);
-                    break;
+            if (!mapping) {
+                mapping = this.guessColumnMapping(table.headers);
+            }
+            if (!mapping.includes('name')) {
+                throw new Error('没有与学生姓名对应的列');
             }
 
-            result.totalRows = rawData.length;
-            const normalizedData = this.normalizeStudentData(rawData);
+            result.totalRows = table.rows.length + table.errors.length;
+            const mapped = this.mapRows(table, mapping);
 
-            const studentsData = normalizedData.map(data => ({
-                classId: classId,
-                name: data.name,
-                studentId: data.studentId,
-                phone: data.phone,
-                email: data.email,
-                notes: data.notes
+            const studentsData = mapped.students.map(student => ({
+                ...student,
+                classId: classId
             }));
 
             const importResult = await window.storageManager.addStudentsBatch(classId, studentsData);
             result.importedCount = importResult.success.length;
-            result.skippedCount = importResult.success.length < studentsData.length ? 
-                studentsData.length - importResult.success.length : 0;
-            result.errors = importResult.errors;
+            result.skippedCount = studentsData.length - importResult.success.length + mapped.errors.length;
+            result.errors = [...table.errors, ...mapped.errors, ...importResult.errors];
 
             result.duration = Date.now() - startTime;
             console.log(`导入完成: 成功 ${result.importedCount} 条，耗时 ${result.duration}ms`);
@@ -394,110 +525,115 @@ class ImportExportManager {
      * @returns {Uint8Array} Excel 文件数据
      */
     exportToExcel(students) {
-        if (typeof XLSX === 'undefined') {
-            throw new Error('Excel 导出库未加载，请检查网络连接');
-        }
-
-        const data = students.map(student => ({
-            '姓名': student.name,
-            '学号': student.studentId || '',
-            '电话': student.phone || '',
-            '邮箱': student.email || '',
-            '备注': student.notes || '',
-            '点名次数': student.callCount || 0,
-            '最后点名时间': student.lastCalled ? 
+        const headers = ['姓名', '学号', '电话', '邮箱', '备注', '点名次数', '最后点名时间'];
+        const rows = students.map(student => [
+            student.name,
+            student.studentId || '',
+            student.phone || '',
+            student.email || '',
+            student.notes || '',
+            student.callCount || 0,
+            student.lastCalled ? 
                 new Date(student.lastCalled).toLocaleString('zh-CN') : '从未'
-        }));
-
-        const worksheet = XLSX.utils.json_to_sheet(data);
-        const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, '学生名单');
-        
-        const columnWidths = [
-            { wch: 10 },
-            { wch: 15 },
-            { wch: 15 },
-            { wch: 25 },
-            { wch: 30 },
-            { wch: 10 },
-            { wch: 20 }
-        ];
-        worksheet['!cols'] = columnWidths;
+        ]);
+
+        return this.writeExcel([{
+            name: '学生名单',
+            rows: [headers, ...rows],
+            cols: [
+                { wch: 10 },
+                { wch: 15 },
+                { wch: 15 },
+                { wch: 25 },
+                { wch: 30 },
+                { wch: 10 },
+                { wch: 20 }
+            ]
+        }]);
+    }
 
-        const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-        return new Uint8Array(excelBuffer);
+    /**
+     * 学生名单图片可选的列
+     * @returns {Object} 列标识 -> { label, width, align, value(student, index) }
+     */
+    getStudentImageColumns() {
+        return {
+            index: { label: '序号', width: 50, align: 'center', value: (student, index) => index + 1 },
+            name: { label: '姓名', value: student => student.name },
+            studentId: { label: '学号', width: 110, value: student => student.studentId || '-' },
+            phone: { label: '电话', width: 130, value: student => student.phone || '-' },
+            email: { label: '邮箱', width: 180, value: student => student.email || '-' },
+            callCount: { label: '点名次数', width: 80, align: 'center', value: student => student.callCount || 0 },
+            lastCalled: {
+                label: '最后点名时间',
+                width: 150,
+                value: student => student.lastCalled ? new Date(student.lastCalled).toLocaleString('zh-CN') : '从未'
+            }
+        };
     }
 
     /**
      * 创建学生名单图片
      * @param {Array} students - 学生数据数组
      * @param {string} className - 班级名称
-     * @returns {Promise<string>} 图片的 Base64 编码
-     */
-    async createStudentImage(students, className = '学生名单') {
-        const container = document.createElement('div');
-        container.style.cssText = `
-            position: fixed;
-            left: -9999px;
-            top: 0;
-            width: 800px;
-            background: white;
-            padding: 40px;
-            font-family: 'Microsoft YaHei', Arial, sans-serif;
-        `;
-
-        container.innerHTML = `
-            <div style="text-align: center; margin-bottom: 30px;">
-                <h1 style="color: #333; margin: 0 0 10px 0; font-size: 28px;">${className}</h1>
-                <p style="color: #666; margin: 0; font-size: 14px;">导出时间: ${new Date().toLocaleString('zh-CN')}</p>
-                <p style="color: #888; margin: 5px 0 0 0; font-size: 12px;">
-                    共 ${students.length} 人
-                </p>
-            </div>
-            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
-                <thead>
-                    <tr style="background: #f5f5f5;">
-                        <th style="border: 1px solid #ddd; padding: 10px; text-align: left; width: 40px;">序号</th>
-                        <th style="border: 1px solid #ddd; padding: 10px; text-align: left;">姓名</th>
-                        <th style="border: 1px solid #ddd; padding: 10px; text-align: left; width: 80px;">学号</th>
-                        <th style="border: 1px solid #ddd; padding: 10px; text-align: left; width: 120px;">电话</th>
-                        <th style="border: 1px solid #ddd; padding: 10px; text-align: center; width: 60px;">点名次数</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${students.map((student, index) => `
-                        <tr style="background: ${index % 2 === 0 ? '#fff' : '#fafafa'};">
-                            <td style="border: 1px solid #ddd; padding: 8px;">${index + 1}</td>
-                            <td style="border: 1px solid #ddd; padding: 8px;">${student.name}</td>
-                            <td style="border: 1px solid #ddd; padding: 8px;">${student.studentId || '-'}</td>
-                            <td style="border: 1px solid #ddd; padding: 8px;">${student.phone || '-'}</td>
-                            <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${student.callCount || 0}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-            <div style="margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee; font-size: 11px; color: #999;">
-                <p style="margin: 3px 0;">Generated by 随机点名系统</p>
-            </div>
-        `;
+     * @param {Object} options - { format, paginate, columns: 列标识数组 }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async createStudentImage(students, className = '学生名单', options = {}) {
+        const available = this.getStudentImageColumns();
+        const keys = (options.columns || ['index', 'name', 'studentId', 'phone', 'callCount'])
+            .filter(key => available[key]);
+        if (keys.length === 0) {
+            throw new Error('请至少选择一列');
+        }
 
-        document.body.appendChild(container);
+        return window.rosterRenderer.renderTable({
+            title: className,
+            subtitle: `共 ${students.length} 人`,
+            columns: keys.map(key => available[key]),
+            rows: students
+        }, options);
+    }
 
-        try {
-            if (typeof html2canvas === 'undefined') {
-                throw new Error('图片生成库未加载，请检查网络连接');
-            }
+    /**
+     * 创建座位表图片：按名单顺序从第一排开始依次就座
+     * @param {Array} students - 学生数据数组
+     * @param {string} className - 班级名称
+     * @param {Object} options - { format, paginate, seatsPerRow: 每排座位数 }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async createSeatingChartImage(students, className = '座位表', options = {}) {
+        const seatsPerRow = Math.min(12, Math.max(1, parseInt(options.seatsPerRow) || 8));
+        const seats = [];
+        for (let i = 0; i < students.length; i += seatsPerRow) {
+            const row = students.slice(i, i + seatsPerRow).map(student => student.name);
+            while (row.length < seatsPerRow) row.push(null);
+            seats.push(row);
+        }
 
-            const canvas = await html2canvas(container, {
-                scale: 2,
-                backgroundColor: '#ffffff',
-                logging: false
-            });
+        return window.rosterRenderer.renderSeatingChart({
+            title: `${className} - 座位表`,
+            subtitle: `共 ${students.length} 人 · 每排 ${seatsPerRow} 座`,
+            seats
+        }, options);
+    }
 
-            return canvas.toDataURL('image/png', 1.0);
-        } finally {
-            document.body.removeChild(container);
-        }
+    /**
+     * 下载图片，多页时文件名加页码
+     * @param {Array<Blob>} images - 图片
+     * @param {string} baseName - 文件名（不含扩展名）
+     * @param {string} format - 图片格式
+     * @returns {Array<string>} 文件名列表
+     */
+    downloadImages(images, baseName, format) {
+        const extension = format === 'jpeg' ? 'jpg' : format;
+        return images.map((blob, i) => {
+            const fileName = images.length > 1
+                ? `${baseName}_${i + 1}.${extension}`
+                : `${baseName}.${extension}`;
+            this.downloadFile(blob, fileName);
+            return fileName;
+        });
     }
 
     /**
@@ -519,11 +655,12 @@ class ImportExportManager {
     /**
      * 导出学生数据
      * @param {Array} students - 学生数据数组
-     * @param {string} format - 导出格式 (csv, xlsx, png, jpeg)
+     * @param {string} format - 导出格式 (csv, xlsx, png, jpeg, webp)
      * @param {string} className - 班级名称（用于文件名和图片标题）
+     * @param {Object} imageOptions - 图片选项 { layout: table/seating, columns, seatsPerRow, paginate }
      * @returns {Promise<Object>} 导出结果
      */
-    async exportStudents(students, format, className = 'students') {
+    async exportStudents(students, format, className = 'students', imageOptions = {}) {
         const result = {
             success: true,
             format: format,
@@ -536,6 +673,19 @@ class ImportExportManager {
             let fileName = `${className}_学生名单_${timestamp}`;
             let blob;
 
+            if (this.imageFormats.includes(format)) {
+                const options = { ...imageOptions, format };
+                const images = imageOptions.layout === 'seating'
+                    ? await this.createSeatingChartImage(students, className, options)
+                    : await this.createStudentImage(students, className, options);
+                if (imageOptions.layout === 'seating') {
+                    fileName = `${className}_座位表_${timestamp}`;
+                }
+                result.fileName = this.downloadImages(images, fileName, format).join(', ');
+                console.log(`导出成功: ${result.fileName}`);
+                return result;
+            }
+
             switch (format) {
                 case 'csv':
                     const csvContent = this.exportToCSV(students);
@@ -549,18 +699,120 @@ class ImportExportManager {
                     fileName += '.xlsx';
                     break;
 
-                case 'png':
-                case 'jpeg':
-                    const imageDataUrl = await this.createStudentImage(students, className);
-                    const base64Data = imageDataUrl.split(',')[1];
-                    const byteCharacters = atob(base64Data);
-                    const byteNumbers = new Array(byteCharacters.length);
-                    for (let i = 0; i < byteCharacters.length; i++) {
-                        byteNumbers[i] = byteCharacters.charCodeAt(i);
-                    }
-                    const byteArray = new Uint8Array(byteNumbers);
-                    blob = new Blob([byteArray], { type: `image/${format}` });
-                    fileName += `.${format}`;
+                default:
+                    throw new Error(`不支持的导出格式: ${format}`);
+            }
+
+            this.downloadFile(blob, fileName);
+            result.fileName = fileName;
+            console.log(`导出成功: ${fileName}`);
+
+        } catch (error) {
+            result.success = false;
+            result.error = error.message;
+            console.error('导出失败:', error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 导出分组方案为 CSV 格式
+     * @param {Object} grouping - 分组方案
+     * @returns {string} CSV 格式的字符串
+     */
+    exportGroupsToCSV(grouping) {
+        const rows = [['组别', '序号', '姓名', '学号'].join(',')];
+
+        grouping.groups.forEach(group => {
+            group.members.forEach((member, index) => {
+                rows.push([
+                    this.escapeCSVField(group.name),
+                    index + 1,
+                    this.escapeCSVField(member.name),
+                    this.escapeCSVField(member.studentId || '')
+                ].join(','));
+            });
+        });
+
+        return rows.join('\n');
+    }
+
+    /**
+     * 导出分组方案为 Excel 格式
+     * @param {Object} grouping - 分组方案
+     * @returns {Uint8Array} Excel 文件数据
+     */
+    exportGroupsToExcel(grouping) {
+        const rows = [['组别', '序号', '姓名', '学号']];
+        grouping.groups.forEach(group => {
+            group.members.forEach((member, index) => {
+                rows.push([group.name, index + 1, member.name, member.studentId || '']);
+            });
+        });
+
+        return this.writeExcel([{
+            name: '分组名单',
+            rows,
+            cols: [{ wch: 10 }, { wch: 6 }, { wch: 12 }, { wch: 15 }]
+        }]);
+    }
+
+    /**
+     * 创建分组名单图片
+     * @param {Object} grouping - 分组方案
+     * @param {string} className - 班级名称
+     * @param {Object} options - { format, paginate, columns: 每行卡片数 }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async createGroupImage(grouping, className = '分组名单', options = {}) {
+        return window.rosterRenderer.renderGroups({
+            title: `${className} - ${grouping.name}`,
+            subtitle: `共 ${grouping.groups.length} 组`,
+            groups: grouping.groups,
+            columns: options.columns || 3
+        }, options);
+    }
+
+    /**
+     * 导出分组方案
+     * @param {Object} grouping - 分组方案
+     * @param {string} format - 导出格式 (csv, xlsx, png, jpeg, webp)
+     * @param {string} className - 班级名称（用于文件名和图片标题）
+     * @param {Object} imageOptions - 图片选项 { columns, paginate }
+     * @returns {Promise<Object>} 导出结果
+     */
+    async exportGroups(grouping, format, className = 'groups', imageOptions = {}) {
+        const result = {
+            success: true,
+            format: format,
+            fileName: '',
+            error: null
+        };
+
+        try {
+            const timestamp = new Date().toISOString().slice(0, 10);
+            let fileName = `${className}_分组名单_${timestamp}`;
+            let blob;
+
+            if (this.imageFormats.includes(format)) {
+                const images = await this.createGroupImage(grouping, className, { ...imageOptions, format });
+                result.fileName = this.downloadImages(images, fileName, format).join(', ');
+                console.log(`导出成功: ${result.fileName}`);
+                return result;
+            }
+
+            switch (format) {
+                case 'csv':
+                    const csvContent = this.exportGroupsToCSV(grouping);
+                    blob = new Blob([new Uint8Array([0xEF, 0xBB, 0xBF]), csvContent], { type: 'text/csv;charset=utf-8' });
+                    fileName += '.csv';
+                    break;
+
+                case 'xlsx':
+                    const excelBuffer = this.exportGroupsToExcel(grouping);
+                    blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+                    fileName += '.xlsx';
                     break;
 
                 default:
@@ -621,6 +873,9 @@ class ImportExportManager {
     }
 }
 
+// 导入模态框中已读取的文件、表格和列对应关系，选择文件后生成
+let importMappingState = null;
+
 /**
  * 显示导入学生模态框
  */
@@ -642,12 +897,14 @@ async function showImportStudentsModal() {
                 <small style="color: #666;">支持格式: JSON, CSV, Excel (.xlsx, .xls)</small>
             </div>
 
+            <div id="importMapping" class="import-mapping" style="display: none;"></div>
+
             <div class="form-group">
                 <label>导入说明</label>
                 <ul class="import-tips">
                     <li>文件必须包含学生姓名（必填）</li>
-                    <li>可选字段：学号、电话、邮箱、备注</li>
-                    <li>系统将自动识别常用字段名</li>
+                    <li>可选字段：学号、电话、邮箱、备注，其他列可以作为自定义字段导入</li>
+                    <li>系统将自动识别常用字段名，选择文件后可以逐列调整，并保存为映射供下次使用</li>
                 </ul>
             </div>
 
@@ -674,6 +931,9 @@ async function showImportStudentsModal() {
         </div>
     `;
 
+    importMappingState = null;
+    document.getElementById('importFile').addEventListener('change', loadImportFile);
+
     confirm.textContent = '开始导入';
     confirm.onclick = () => {
         startImport();
@@ -682,6 +942,242 @@ async function showImportStudentsModal() {
     modal.style.display = 'flex';
 }
 
+/**
+ * 读取选择的文件，显示列对应关系
+ * 有包含文件所有列的已保存映射时自动选用
+ */
+async function loadImportFile() {
+    const manager = window.importExportManager;
+    const file = document.getElementById('importFile').files[0];
+    const mappingDiv = document.getElementById('importMapping');
+    const resultDiv = document.getElementById('importResult');
+
+    importMappingState = null;
+    mappingDiv.style.display = 'none';
+    resultDiv.style.display = 'none';
+    if (!file) return;
+
+    try {
+        const table = await manager.readImportTable(file);
+        if (table.headers.length === 0) {
+            throw new Error('文件中没有数据');
+        }
+        const savedMappings = await manager.getSavedMappings();
+
+        // 读取期间又选择了其他文件
+        if (document.getElementById('importFile').files[0] !== file) return;
+
+        const saved = manager.findSavedMapping(savedMappings, table.headers);
+        importMappingState = {
+            file,
+            table,
+            mapping: manager.guessColumnMapping(table.headers, saved ? saved.columns : null),
+            savedMappings,
+            selectedMapping: saved ? saved.name : ''
+        };
+        renderImportMapping();
+    } catch (error) {
+        console.error('读取导入文件失败:', error);
+        resultDiv.style.display = 'block';
+        resultDiv.innerHTML = `
+            <div class="result-error">
+                <h4>无法读取文件</h4>
+                <p>${ComponentUtils.escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * 显示列对应关系：每一列的示例值和对应的字段
+ */
+function renderImportMapping() {
+    const manager = window.importExportManager;
+    const { table, savedMappings, selectedMapping } = importMappingState;
+    const mappingDiv = document.getElementById('importMapping');
+
+    const fieldOptions = Object.entries(manager.studentFields)
+        .map(([field, { label }]) => `<option value="${field}">${label}</option>`)
+        .join('');
+
+    mappingDiv.innerHTML = `
+        <div class="form-group">
+            <label>列对应关系</label>
+            <div class="mapping-toolbar">
+                <select id="savedMapping" class="form-control" onchange="applySavedImportMapping(this.value)">
+                    <option value="">自动识别</option>
+                    ${savedMappings.map(item => `
+                        <option value="${ComponentUtils.escapeHtml(item.name)}" ${item.name === selectedMapping ? 'selected' : ''}>
+                            ${ComponentUtils.escapeHtml(item.name)}
+                        </option>
+                    `).join('')}
+                </select>
+                <button type="button" class="btn btn-outline btn-sm" onclick="deleteImportMapping()" ${selectedMapping ? '' : 'disabled'}>
+                    删除映射
+                </button>
+            </div>
+            <table class="mapping-table">
+                <thead>
+                    <tr>
+                        <th>文件中的列</th>
+                        <th>示例</th>
+                        <th>导入为</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${table.headers.map((header, index) => `
+                        <tr>
+                            <td>${ComponentUtils.escapeHtml(header)}</td>
+                            <td class="mapping-samples">${manager.getColumnSamples(table, index).map(value => ComponentUtils.escapeHtml(value)).join('、') || '（空）'}</td>
+                            <td>
+                                <select class="form-control mapping-target" data-index="${index}" onchange="changeImportColumn(${index}, this.value)">
+                                    <optgroup label="学生字段">${fieldOptions}</optgroup>
+                                    <option value="custom">自定义字段</option>
+                                    <option value="ignore">忽略</option>
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="mapping-save">
+                <input type="text" id="mappingName" class="form-control" placeholder="映射名称，例如：教务系统导出"
+                    value="${ComponentUtils.escapeHtml(selectedMapping)}" maxlength="30">
+                <button type="button" class="btn btn-outline btn-sm" onclick="saveImportMapping()">保存映射</button>
+            </div>
+        </div>
+
+        <div class="form-group">
+            <label>预览</label>
+            <p id="importPreviewSummary" class="import-preview-summary"></p>
+            <div id="importPreview" class="import-preview"></div>
+        </div>
+    `;
+
+    mappingDiv.querySelectorAll('.mapping-target').forEach(select => {
+        select.value = importMappingState.mapping[select.dataset.index];
+    });
+    mappingDiv.style.display = 'block';
+    updateImportPreview();
+}
+
+/**
+ * 修改某一列对应的字段
+ * @param {number} index - 列序号
+ * @param {string} target - 学生字段名、custom 或 ignore
+ */
+function changeImportColumn(index, target) {
+    importMappingState.mapping[index] = target;
+    updateImportPreview();
+}
+
+/**
+ * 选用已保存的映射，选择"自动识别"时恢复按列名识别
+ * @param {string} name - 映射名称
+ */
+function applySavedImportMapping(name) {
+    const manager = window.importExportManager;
+    const { table, savedMappings } = importMappingState;
+    const saved = savedMappings.find(item => item.name === name);
+
+    importMappingState.mapping = manager.guessColumnMapping(table.headers, saved ? saved.columns : null);
+    importMappingState.selectedMapping = saved ? saved.name : '';
+    renderImportMapping();
+}
+
+/**
+ * 保存当前的列对应关系
+ */
+async function saveImportMapping() {
+    const manager = window.importExportManager;
+    const name = document.getElementById('mappingName').value.trim();
+
+    if (!name) {
+        app.showNotification('请输入映射名称', 'warning');
+        return;
+    }
+
+    try {
+        await manager.saveMapping(name, importMappingState.table.headers, importMappingState.mapping);
+        importMappingState.savedMappings = await manager.getSavedMappings();
+        importMappingState.selectedMapping = name;
+        renderImportMapping();
+        app.showNotification(`映射"${name}"已保存`, 'success');
+    } catch (error) {
+        console.error('保存映射失败:', error);
+        app.showNotification('保存映射失败', 'error');
+    }
+}
+
+/**
+ * 删除当前选用的映射，各列的对应关系保持不变
+ */
+async function deleteImportMapping() {
+    const manager = window.importExportManager;
+    const name = importMappingState.selectedMapping;
+    if (!name) return;
+
+    try {
+        await manager.deleteMapping(name);
+        importMappingState.savedMappings = await manager.getSavedMappings();
+        importMappingState.selectedMapping = '';
+        renderImportMapping();
+        app.showNotification(`映射"${name}"已删除`, 'success');
+    } catch (error) {
+        console.error('删除映射失败:', error);
+        app.showNotification('删除映射失败', 'error');
+    }
+}
+
+/**
+ * 按当前的列对应关系更新预览
+ */
+function updateImportPreview() {
+    const manager = window.importExportManager;
+    const { table, mapping } = importMappingState;
+    const summary = document.getElementById('importPreviewSummary');
+    const preview = document.getElementById('importPreview');
+
+    if (!mapping.includes('name')) {
+        summary.className = 'import-preview-summary warning';
+        summary.textContent = '请为"姓名"选择对应的列';
+        preview.innerHTML = '';
+        return;
+    }
+
+    const { students, errors } = manager.mapRows(table, mapping);
+    const fields = Object.keys(manager.studentFields).filter(field => mapping.includes(field));
+    const customHeaders = table.headers.filter((header, index) => mapping[index] === 'custom');
+    const previewCount = 5;
+
+    summary.className = 'import-preview-summary';
+    summary.textContent = [
+        `共 ${table.rows.length + table.errors.length} 行，将导入 ${students.length} 名学生`,
+        errors.length > 0 ? `${errors.length} 行缺少姓名` : '',
+        table.errors.length > 0 ? `${table.errors.length} 行格式错误` : ''
+    ].filter(Boolean).join('，');
+
+    preview.innerHTML = `
+        <table class="mapping-table">
+            <thead>
+                <tr>
+                    ${fields.map(field => `<th>${manager.studentFields[field].label}</th>`).join('')}
+                    ${customHeaders.map(header => `<th>${ComponentUtils.escapeHtml(header)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${students.slice(0, previewCount).map(student => `
+                    <tr>
+                        ${fields.map(field => `<td>${ComponentUtils.escapeHtml(student[field])}</td>`).join('')}
+                        ${customHeaders.map(header => `<td>${ComponentUtils.escapeHtml((student.customFields || {})[header])}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${students.length > previewCount ? `<small>仅显示前 ${previewCount} 名</small>` : ''}
+    `;
+}
+
 /**
  * 开始导入学生数据
  */
@@ -694,6 +1190,17 @@ async function startImport() {
         return;
     }
 
+    // 文件还没有读取完成或读取失败
+    if (!importMappingState || importMappingState.file !== file) {
+        await loadImportFile();
+        if (!importMappingState) return;
+    }
+
+    if (!importMappingState.mapping.includes('name')) {
+        app.showNotification('请为"姓名"选择对应的列', 'warning');
+        return;
+    }
+
     const progressDiv = document.getElementById('importProgress');
     const resultDiv = document.getElementById('importResult');
     const confirmBtn = document.getElementById('modalConfirm');
@@ -709,7 +1216,12 @@ async function startImport() {
             throw new Error('请先选择目标班级');
         }
 
-        const result = await window.importExportManager.importStudents(file, classId);
+        const result = await window.importExportManager.importStudents(
+            file,
+            classId,
+            importMappingState.mapping,
+            importMappingState.table
+        );
 
         progressDiv.style.display = 'none';
         resultDiv.style.display = 'block';
@@ -722,7 +1234,13 @@ async function startImport() {
                     <p>成功导入: ${result.importedCount} 条</p>
                     <p>耗时: ${result.duration}ms</p>
                     ${result.errors.length > 0 ? `
-                        <p style="color: #f39c12;">跳过 ${result.errors.length} 条（数据重复或格式错误）</p>
+                        <p style="color: #f39c12;">跳过 ${result.errors.length} 条（数据重复、缺少姓名或格式错误）</p>
+                        <ul class="import-errors">
+                            ${result.errors.slice(0, 5).map(item => `
+                                <li>${item.student ? `${ComponentUtils.escapeHtml(item.student.name)}：` : ''}${ComponentUtils.escapeHtml(item.error)}</li>
+                            `).join('')}
+                            ${result.errors.length > 5 ? `<li>……</li>` : ''}
+                        </ul>
                     ` : ''}
                 </div>
             `;
@@ -732,7 +1250,7 @@ async function startImport() {
             resultDiv.innerHTML = `
                 <div class="result-error">
                     <h4>导入失败</h4>
-                    <p>${result.errors[0]?.error || '未知错误'}</p>
+                    <p>${ComponentUtils.escapeHtml(result.errors[0]?.error || '未知错误')}</p>
                 </div>
             `;
         }
@@ -743,7 +1261,7 @@ async function startImport() {
         resultDiv.innerHTML = `
             <div class="result-error">
                 <h4>导入失败</h4>
-                <p>${error.message}</p>
+                <p>${ComponentUtils.escapeHtml(error.message)}</p>
             </div>
         `;
     } finally {
@@ -813,6 +1331,48 @@ async function showExportStudentsModal() {
                         <span class="format-name">JPEG 图片</span>
                         <span class="format-desc">压缩图片</span>
                     </label>
+                    <label class="format-option">
+                        <input type="radio" name="exportFormat" value="webp" />
+                        <span class="format-icon">🖼️</span>
+                        <span class="format-name">WebP 图片</span>
+                        <span class="format-desc">体积更小</span>
+                    </label>
+                </div>
+            </div>
+
+            <div id="imageExportOptions" style="display: none;">
+                <div class="form-group">
+                    <label for="imageLayout">图片内容</label>
+                    <select id="imageLayout" class="form-control">
+                        <option value="table">学生名单</option>
+                        <option value="seating">座位表（按名单顺序依次就座）</option>
+                    </select>
+                </div>
+
+                <div class="form-group" id="imageColumnsGroup">
+                    <label>显示的列</label>
+                    <div class="image-column-options">
+                        ${Object.entries(window.importExportManager.getStudentImageColumns()).map(([key, column]) => `
+                            <label>
+                                <input type="checkbox" class="image-column" value="${key}"
+                                    ${['index', 'name', 'studentId', 'phone', 'callCount'].includes(key) ? 'checked' : ''}>
+                                <span>${column.label}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="form-group" id="seatsPerRowGroup" style="display: none;">
+                    <label for="seatsPerRow">每排座位数</label>
+                    <input type="number" id="seatsPerRow" class="form-control" min="1" max="12" value="8">
+                </div>
+
+                <div class="form-group">
+                    <label for="imagePagination">分页</label>
+                    <select id="imagePagination" class="form-control">
+                        <option value="single">单张长图</option>
+                        <option value="pages">按 A4 页面拆分为多张</option>
+                    </select>
                 </div>
             </div>
 
@@ -827,6 +1387,18 @@ async function showExportStudentsModal() {
         </div>
     `;
 
+    const imageOptions = document.getElementById('imageExportOptions');
+    const imageLayout = document.getElementById('imageLayout');
+    body.querySelectorAll('input[name="exportFormat"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            imageOptions.style.display = window.importExportManager.imageFormats.includes(radio.value) ? '' : 'none';
+        });
+    });
+    imageLayout.addEventListener('change', () => {
+        document.getElementById('imageColumnsGroup').style.display = imageLayout.value === 'table' ? '' : 'none';
+        document.getElementById('seatsPerRowGroup').style.display = imageLayout.value === 'seating' ? '' : 'none';
+    });
+
     confirm.textContent = '确认导出';
     confirm.onclick = () => {
         startExport(className);
@@ -841,6 +1413,12 @@ async function showExportStudentsModal() {
 async function startExport(className) {
     const format = document.querySelector('input[name="exportFormat"]:checked')?.value || 'csv';
     const students = app.currentStudents;
+    const imageOptions = {
+        layout: document.getElementById('imageLayout').value,
+        columns: Array.from(document.querySelectorAll('.image-column:checked')).map(input => input.value),
+        seatsPerRow: document.getElementById('seatsPerRow').value,
+        paginate: document.getElementById('imagePagination').value === 'pages'
+    };
     const progressDiv = document.getElementById('exportProgress');
     const resultDiv = document.getElementById('exportResult');
     const confirmBtn = document.getElementById('modalConfirm');
@@ -851,7 +1429,7 @@ async function startExport(className) {
     confirmBtn.textContent = '导出中...';
 
     try {
-        const result = await window.importExportManager.exportStudents(students, format, className);
+        const result = await window.importExportManager.exportStudents(students, format, className, imageOptions);
 
         progressDiv.style.display = 'none';
         resultDiv.style.display = 'block';
@@ -869,7 +1447,6 @@ async function startExport(className) {
                 <div class="result-error">
                     <h4>导出失败</h4>
                     <p>${result.error || '未知错误'}</p>
-                    <p>建议：检查网络连接后重试</p>
                 </div>
             `;
         }
@@ -0,0 +1,249 @@
+/**
+ * 投影显示同步
+ * 主窗口（controller）把 AnimationSystem 的开始/揭晓/停止调用转成消息，
+ * 投影窗口（display）收到后在自己的 AnimationSystem 上重放同样的调用
+ *
+ * 消息格式 { type, payload, sentAt }：
+ *   start      { students: [{ id, name }], settings: { duration, speed } }
+ *   reveal     { student: { id, name } }
+ *   revealList { students: [{ id, name }] }
+ *   stop       {}
+ *   theme      { theme }
+ *   hello      {}                         投影窗口就绪，请求当前状态
+ *   state      { theme, settings, frame } 主窗口对 hello 的回复，frame 为最近一次揭晓消息
+ *   close      {}                         主窗口要求关闭投影窗口
+ *   bye        {}                         任一窗口关闭
+ */
+
+class PresenterLink {
+    /**
+     * @param {string} role - 'controller' 或 'display'
+     */
+    constructor(role = 'controller') {
+        this.role = role;
+        this.channelName = 'RollCallDB_presenter';
+        this.presenterWindow = null;
+        this.connected = false;
+        this.lastFrame = null;
+        this.theme = null;
+        this.statusListeners = new Set();
+
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(this.channelName)
+            : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+
+        window.addEventListener('beforeunload', () => this.send('bye'));
+    }
+
+    /**
+     * 是否支持投影同步
+     * @returns {boolean}
+     */
+    isSupported() {
+        return !!this.channel;
+    }
+
+    /**
+     * 发送消息
+     * @param {string} type - 消息类型
+     * @param {Object} payload - 消息内容
+     */
+    send(type, payload = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ type, payload, sentAt: Date.now() });
+        } catch (error) {
+            console.error('发送投影消息失败:', error);
+        }
+    }
+
+    /**
+     * 记录并转发动画调用（由 AnimationSystem 调用）
+     * @param {string} type - 动画消息类型
+     * @param {Object} payload - 消息内容
+     */
+    mirror(type, payload = {}) {
+        if (type === 'theme') {
+            this.theme = payload.theme;
+        } else if (type === 'reveal' || type === 'revealList') {
+            this.lastFrame = { type, payload };
+        } else if (type === 'start') {
+            this.lastFrame = null;
+        }
+
+        this.send(type, payload);
+    }
+
+    /**
+     * 处理收到的消息
+     * @param {Object} message - 消息对象
+     */
+    handleMessage(message) {
+        if (!message || !message.type) return;
+
+        if (this.role === 'controller') {
+            if (message.type === 'hello') {
+                this.setConnected(true);
+                this.send('state', {
+                    theme: this.theme,
+                    settings: window.animationSystem.getAnimationSettings(),
+                    frame: this.lastFrame
+                });
+            } else if (message.type === 'bye') {
+                this.setConnected(false);
+            }
+            return;
+        }
+
+        this.replay(message);
+    }
+
+    /**
+     * 在投影窗口重放动画调用
+     * @param {Object} message - 消息对象
+     */
+    replay(message) {
+        const animation = window.animationSystem;
+        const payload = message.payload || {};
+
+        switch (message.type) {
+            case 'start':
+                this.finishScroll();
+                animation.updateAnimationSettings(payload.settings || {});
+                animation.startRandomScroll(payload.students || [], (payload.settings || {}).duration ?? null);
+                break;
+            case 'reveal':
+                this.finishScroll();
+                animation.revealResult(payload.student);
+                break;
+            case 'revealList':
+                this.finishScroll();
+                animation.revealList(payload.students || []);
+                break;
+            case 'stop':
+            case 'bye':
+                this.finishScroll();
+                animation.stopAllAnimations();
+                break;
+            case 'close':
+                window.close();
+                break;
+            case 'theme':
+                animation.applyTheme(payload.theme);
+                break;
+            case 'state':
+                if (payload.theme) {
+                    animation.applyTheme(payload.theme);
+                }
+                animation.updateAnimationSettings(payload.settings || {});
+                if (payload.frame) {
+                    this.replay(payload.frame);
+                }
+                break;
+        }
+    }
+
+    /**
+     * 结束投影窗口中仍在进行的滚动
+     * 两个窗口的计时器不完全同步，揭晓消息可能早于本地滚动结束到达
+     */
+    finishScroll() {
+        const animation = window.animationSystem;
+        if (animation.currentAnimation && animation.currentAnimation.type === 'randomScroll') {
+            clearTimeout(animation.currentAnimation.timer);
+            animation.stopRandomScroll();
+        }
+    }
+
+    /**
+     * 打开投影窗口，已打开时切换到该窗口
+     * @returns {boolean} 是否成功打开
+     */
+    open() {
+        if (this.presenterWindow && !this.presenterWindow.closed) {
+            this.presenterWindow.focus();
+            return true;
+        }
+
+        this.presenterWindow = window.open('presenter.html', 'rollcallPresenter', 'popup,width=1280,height=720');
+        return !!this.presenterWindow;
+    }
+
+    /**
+     * 关闭投影窗口
+     */
+    close() {
+        if (this.presenterWindow && !this.presenterWindow.closed) {
+            this.presenterWindow.close();
+        } else {
+            // 投影窗口可能由其他标签页打开，交由它自行关闭
+            this.send('close');
+        }
+        this.presenterWindow = null;
+        this.setConnected(false);
+    }
+
+    /**
+     * 更新连接状态并通知订阅者
+     * @param {boolean} connected - 投影窗口是否在线
+     */
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.statusListeners.forEach(listener => listener(connected));
+    }
+
+    /**
+     * 订阅投影窗口连接状态
+     * @param {Function} listener - 回调函数，参数为是否在线
+     * @returns {Function} 取消订阅的函数
+     */
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+}
+
+/**
+ * 投影窗口页面初始化：全屏切换与就绪握手
+ */
+function initPresenterDisplay() {
+    const toggleFullscreen = () => {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.error('进入全屏失败:', error);
+            });
+        }
+    };
+
+    document.addEventListener('dblclick', toggleFullscreen);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'f' || e.key === 'F') {
+            toggleFullscreen();
+        }
+    });
+
+    const hint = document.getElementById('presenterHint');
+    document.addEventListener('fullscreenchange', () => {
+        if (hint) {
+            hint.style.display = document.fullscreenElement ? 'none' : '';
+        }
+    });
+
+    window.presenterLink.send('hello');
+}
+
+// 创建全局实例
+window.presenterLink = new PresenterLink(document.body.dataset.presenterRole || 'controller');
+
+if (window.presenterLink.role === 'display') {
+    initPresenterDisplay();
+} else if (window.animationSystem) {
+    window.animationSystem.setMirror(window.presenterLink);
+}
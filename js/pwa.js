@@ -0,0 +1,93 @@
+/**
+ * 离线应用（PWA）
+ * 注册 sw.js，发现新版本时通知页面，用户确认后切换到新版本并刷新
+ */
+
+class ServiceWorkerManager {
+    constructor() {
+        this.registration = null;
+        this.updateListeners = new Set();
+        this.reloading = false;
+    }
+
+    /**
+     * 是否可用：Service Worker 需要 https 或 localhost，file:// 打开时不可用
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * 注册 Service Worker 并监听版本更新
+     */
+    async register() {
+        if (!this.isAvailable()) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register('./sw.js');
+
+            // 页面打开前就已下载好的新版本
+            if (this.registration.waiting && navigator.serviceWorker.controller) {
+                this.notifyUpdate();
+            }
+
+            this.registration.addEventListener('updatefound', () => {
+                const worker = this.registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // 首次安装时没有旧版本控制页面，不需要提示
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.notifyUpdate();
+                    }
+                });
+            });
+
+            // 新版本接管后刷新页面（仅限用户主动更新）
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.reloading) {
+                    window.location.reload();
+                }
+            });
+
+            // 长时间不关闭的页面也能发现新版本
+            setInterval(() => {
+                this.registration.update().catch(() => {});
+            }, 60 * 60 * 1000);
+        } catch (error) {
+            console.error('注册 Service Worker 失败:', error);
+        }
+    }
+
+    /**
+     * 订阅新版本通知
+     * @param {Function} listener - 回调
+     * @returns {Function} 取消订阅
+     */
+    onUpdateAvailable(listener) {
+        this.updateListeners.add(listener);
+        return () => this.updateListeners.delete(listener);
+    }
+
+    /**
+     * 通知订阅者有新版本
+     */
+    notifyUpdate() {
+        this.updateListeners.forEach(listener => listener());
+    }
+
+    /**
+     * 切换到等待中的新版本，接管后页面自动刷新
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+window.serviceWorkerManager = new ServiceWorkerManager();
@@ -0,0 +1,187 @@
+/**
+ * 手机遥控（桌面端）
+ * 通过 server.js 的 /api/remote 接口创建会话、显示配对 PIN，
+ * 接收手机发来的点名命令并把当前点名状态推送给手机
+ */
+
+class RemoteControl {
+    constructor() {
+        this.session = null;
+        this.eventSource = null;
+        this.remoteCount = 0;
+        this.commandHandler = null;
+        this.statusListeners = new Set();
+    }
+
+    /**
+     * 是否可用：需要通过 server.js 以 http(s) 访问
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return /^https?:$/.test(location.protocol) && typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * 是否已创建会话
+     * @returns {boolean}
+     */
+    isActive() {
+        return !!this.session;
+    }
+
+    /**
+     * 调用遥控接口
+     * @param {string} method - 请求方法
+     * @param {string} path - 接口路径
+     * @param {Object} body - 请求体
+     * @returns {Promise<Object>} 响应数据
+     */
+    async request(method, path, body = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.session) {
+            headers.Authorization = `Bearer ${this.session.token}`;
+        }
+
+        const response = await fetch(`./api/remote${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `遥控服务请求失败 (${response.status})`);
+        }
+        return data;
+    }
+
+    /**
+     * 创建遥控会话并开始接收命令
+     * @returns {Promise<Object>} 会话 { token, pin, pinExpiresAt, urls }
+     */
+    async startSession() {
+        if (this.session) return this.session;
+
+        this.session = await this.request('POST', '/session');
+        this.remoteCount = 0;
+        this.connectEvents();
+        this.notifyStatus();
+        return this.session;
+    }
+
+    /**
+     * 重新生成配对 PIN（旧 PIN 立即失效）
+     * @returns {Promise<Object>} 会话
+     */
+    async refreshPin() {
+        const { pin, pinExpiresAt } = await this.request('POST', '/session/pin');
+        this.session = { ...this.session, pin, pinExpiresAt };
+        this.notifyStatus();
+        return this.session;
+    }
+
+    /**
+     * 结束遥控会话，已配对的手机全部断开
+     */
+    async stopSession() {
+        if (!this.session) return;
+
+        try {
+            await this.request('DELETE', '/session');
+        } finally {
+            this.disconnectEvents();
+            this.session = null;
+            this.remoteCount = 0;
+            this.notifyStatus();
+        }
+    }
+
+    /**
+     * 订阅服务器事件流
+     */
+    connectEvents() {
+        this.disconnectEvents();
+        this.eventSource = new EventSource(`./api/remote/events?token=${encodeURIComponent(this.session.token)}`);
+
+        this.eventSource.addEventListener('command', (event) => {
+            if (this.commandHandler) {
+                this.commandHandler(JSON.parse(event.data));
+            }
+        });
+
+        ['paired', 'remoteConnected'].forEach(type => {
+            this.eventSource.addEventListener(type, (event) => {
+                const data = JSON.parse(event.data);
+                this.remoteCount = data.remotes;
+                if (type === 'paired') {
+                    // PIN 已被使用
+                    this.session = { ...this.session, pin: null };
+                }
+                this.notifyStatus(type);
+            });
+        });
+
+        this.eventSource.onerror = () => {
+            // 服务器重启后会话不复存在，EventSource 会持续重连失败
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                console.error('遥控连接已断开');
+                this.disconnectEvents();
+                this.session = null;
+                this.notifyStatus();
+            }
+        };
+    }
+
+    /**
+     * 关闭事件流
+     */
+    disconnectEvents() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * 推送当前点名状态给手机
+     * @param {Object} state - 点名状态
+     */
+    async publishState(state) {
+        if (!this.session) return;
+
+        try {
+            await this.request('POST', '/state', state);
+        } catch (error) {
+            console.error('推送遥控状态失败:', error);
+        }
+    }
+
+    /**
+     * 设置命令处理函数
+     * @param {Function} handler - 参数为 { command, recordId, outcome }
+     */
+    onCommand(handler) {
+        this.commandHandler = handler;
+    }
+
+    /**
+     * 订阅会话状态变化
+     * @param {Function} listener - 回调函数，参数为变化类型
+     * @returns {Function} 取消订阅的函数
+     */
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    /**
+     * 通知会话状态变化
+     * @param {string} type - 变化类型
+     */
+    notifyStatus(type = 'status') {
+        this.statusListeners.forEach(listener => listener(type));
+    }
+}
+
+// 创建全局实例
+window.remoteControl = new RemoteControl();
@@ -0,0 +1,200 @@
+/**
+ * 手机遥控页面
+ * 使用一次性 PIN 与电脑配对，之后通过 /api/remote 发送点名命令并接收点名状态
+ */
+
+class RemotePage {
+    constructor() {
+        this.storageKey = 'rollcallRemoteToken';
+        this.token = sessionStorage.getItem(this.storageKey);
+        this.eventSource = null;
+        this.state = null;
+
+        this.setupEventListeners();
+
+        if (this.token) {
+            this.showControls();
+        }
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    setupEventListeners() {
+        document.getElementById('pairForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.pair(document.getElementById('pinInput').value);
+        });
+
+        document.querySelectorAll('[data-command]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.sendCommand({ command: button.dataset.command });
+            });
+        });
+
+        document.getElementById('remotePending').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-outcome]');
+            if (button) {
+                this.sendCommand({
+                    command: 'outcome',
+                    recordId: parseInt(button.dataset.recordId),
+                    outcome: button.dataset.outcome
+                });
+            }
+        });
+    }
+
+    /**
+     * 调用遥控接口
+     * @param {string} path - 接口路径
+     * @param {Object} body - 请求体
+     * @returns {Promise<Object>} 响应数据
+     */
+    async post(path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(`./api/remote${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `请求失败 (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * 使用 PIN 配对
+     * @param {string} pin - 配对码
+     */
+    async pair(pin) {
+        const error = document.getElementById('pairError');
+        error.textContent = '';
+
+        try {
+            const { token } = await this.post('/pair', { pin: pin.replace(/\s/g, '') });
+            this.token = token;
+            sessionStorage.setItem(this.storageKey, token);
+            this.showControls();
+        } catch (err) {
+            console.error('配对失败:', err);
+            error.textContent = err.message;
+        }
+    }
+
+    /**
+     * 发送点名命令
+     * @param {Object} command - { command, recordId, outcome }
+     */
+    async sendCommand(command) {
+        const error = document.getElementById('controlError');
+        error.textContent = '';
+
+        try {
+            await this.post('/command', command);
+        } catch (err) {
+            console.error('发送命令失败:', err);
+            if (err.status === 401) {
+                this.unpair('会话已结束，请重新配对');
+            } else {
+                error.textContent = err.message;
+            }
+        }
+    }
+
+    /**
+     * 切换到遥控界面并订阅状态
+     */
+    showControls() {
+        document.getElementById('pairSection').style.display = 'none';
+        document.getElementById('controlSection').style.display = '';
+        this.connectEvents();
+    }
+
+    /**
+     * 回到配对界面
+     * @param {string} message - 提示信息
+     */
+    unpair(message) {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.token = null;
+        sessionStorage.removeItem(this.storageKey);
+
+        document.getElementById('controlSection').style.display = 'none';
+        document.getElementById('pairSection').style.display = '';
+        document.getElementById('pairError').textContent = message;
+    }
+
+    /**
+     * 订阅电脑端推送的状态
+     */
+    connectEvents() {
+        this.eventSource = new EventSource(`./api/remote/events?token=${encodeURIComponent(this.token)}`);
+
+        this.eventSource.addEventListener('state', (event) => {
+            this.state = JSON.parse(event.data);
+            this.render();
+        });
+        this.eventSource.addEventListener('desktopConnected', () => this.setConnection(true));
+        this.eventSource.addEventListener('desktopDisconnected', () => this.setConnection(false));
+        this.eventSource.addEventListener('closed', () => this.unpair('电脑端已结束遥控'));
+
+        this.eventSource.onopen = () => this.setConnection(true);
+        this.eventSource.onerror = () => {
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                this.unpair('会话已结束，请重新配对');
+            } else {
+                this.setConnection(false);
+            }
+        };
+    }
+
+    /**
+     * 显示连接状态
+     * @param {boolean} connected - 是否已连接电脑
+     */
+    setConnection(connected) {
+        const element = document.getElementById('remoteConnection');
+        element.textContent = connected ? '已连接' : '连接中断';
+        element.classList.toggle('offline', !connected);
+    }
+
+    /**
+     * 渲染点名状态
+     */
+    render() {
+        const state = this.state;
+        document.getElementById('remoteClassName').textContent = state.className || '未选择班级';
+
+        document.querySelector('[data-command="start"]').disabled = state.isRolling || !state.canStart;
+        document.querySelector('[data-command="next"]').disabled = state.isRolling || !state.canStart;
+        document.querySelector('[data-command="stop"]').disabled = !state.isRolling;
+
+        document.getElementById('remotePending').innerHTML = state.pending.map(item => `
+            <div class="remote-pending-item">
+                <div class="remote-student-name">${ComponentUtils.escapeHtml(item.name)}</div>
+                <div class="remote-outcomes">
+                    ${state.outcomeOptions.map(option => `
+                        <button type="button" class="btn btn-outline ${item.outcome === option.value ? 'active' : ''}"
+                            data-record-id="${item.recordId}" data-outcome="${option.value}">
+                            ${ComponentUtils.escapeHtml(option.label)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+window.remotePage = new RemotePage();
@@ -0,0 +1,403 @@
+/**
+ * 名单图片渲染
+ * 直接用 Canvas 2D 绘制学生名单、分组名单和座位表，支持分页和 PNG/JPEG/WebP 输出。
+ * 只使用系统自带字体（优先中文字体），联网与离线时生成的图片一致。
+ */
+
+class RosterRenderer {
+    constructor() {
+        // 系统中文字体依次回退，不依赖网络字体
+        this.fontFamily = "'Microsoft YaHei', 'PingFang SC', 'Hiragino Sans GB', 'Noto Sans CJK SC', 'Source Han Sans SC', 'WenQuanYi Micro Hei', SimHei, Arial, sans-serif";
+        this.mimeTypes = {
+            png: 'image/png',
+            jpeg: 'image/jpeg',
+            webp: 'image/webp'
+        };
+
+        this.width = 800;          // 图片逻辑宽度
+        this.scale = 2;            // 输出倍率
+        this.padding = 40;
+        this.headerHeight = 100;
+        this.footerHeight = 44;
+        this.pageHeight = 1131;    // 分页时每页的逻辑高度（A4 比例）
+        // 浏览器对画布尺寸有限制，单张长图超过该高度（物理像素）时自动分页
+        this.maxCanvasHeight = 16000;
+    }
+
+    /**
+     * 渲染学生名单表格
+     * @param {Object} data - { title, subtitle, columns: [{ label, width, align, value(row, index) }], rows }
+     * @param {Object} options - { format, quality, paginate }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async renderTable(data, options = {}) {
+        const contentWidth = this.width - this.padding * 2;
+        const fixedWidth = data.columns.reduce((sum, column) => sum + (column.width || 0), 0);
+        const flexibleCount = data.columns.filter(column => !column.width).length;
+        const flexibleWidth = flexibleCount > 0 ? Math.max(60, (contentWidth - fixedWidth) / flexibleCount) : 0;
+        const widths = data.columns.map(column => column.width || flexibleWidth);
+        const scaleX = contentWidth / widths.reduce((sum, width) => sum + width, 0);
+        const columns = data.columns.map((column, i) => ({ ...column, width: widths[i] * scaleX }));
+
+        const drawRow = (ctx, y, height, cells, style) => {
+            let x = this.padding;
+            columns.forEach((column, i) => {
+                ctx.fillStyle = style.background;
+                ctx.fillRect(x, y, column.width, height);
+                ctx.strokeStyle = '#dddddd';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 0.5, y + 0.5, column.width, height);
+
+                ctx.fillStyle = style.color;
+                ctx.font = this.font(13, style.bold);
+                ctx.textBaseline = 'middle';
+                ctx.textAlign = column.align || 'left';
+                const textX = column.align === 'center' ? x + column.width / 2 : x + 8;
+                ctx.fillText(this.fitText(ctx, cells[i], column.width - 16), textX, y + height / 2);
+                x += column.width;
+            });
+        };
+
+        const header = {
+            height: 36,
+            draw: (ctx, y) => drawRow(ctx, y, 36, columns.map(column => column.label), { background: '#f5f5f5', color: '#333333', bold: true })
+        };
+        const bands = data.rows.map((row, index) => ({
+            height: 32,
+            draw: (ctx, y) => drawRow(ctx, y, 32, columns.map(column => String(column.value(row, index) ?? '')), {
+                background: index % 2 === 0 ? '#ffffff' : '#fafafa',
+                color: '#333333'
+            })
+        }));
+
+        return this.render({ title: data.title, subtitle: data.subtitle, header, bands }, options);
+    }
+
+    /**
+     * 渲染分组名单：每组一张卡片，按列排布
+     * @param {Object} data - { title, subtitle, groups: [{ name, members: [{ name }] }], columns }
+     * @param {Object} options - { format, quality, paginate }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async renderGroups(data, options = {}) {
+        const perRow = Math.max(1, data.columns || 3);
+        const gap = 16;
+        const cardWidth = (this.width - this.padding * 2 - gap * (perRow - 1)) / perRow;
+        const titleHeight = 34;
+        const lineHeight = 24;
+
+        const bands = [];
+        for (let i = 0; i < data.groups.length; i += perRow) {
+            const groups = data.groups.slice(i, i + perRow);
+            const cardHeight = titleHeight + 16 + Math.max(...groups.map(group => group.members.length)) * lineHeight;
+
+            bands.push({
+                height: cardHeight + gap,
+                draw: (ctx, y) => {
+                    groups.forEach((group, j) => {
+                        const x = this.padding + j * (cardWidth + gap);
+
+                        ctx.save();
+                        this.roundRect(ctx, x + 0.5, y + 0.5, cardWidth, cardHeight, 8);
+                        ctx.clip();
+                        ctx.fillStyle = '#ffffff';
+                        ctx.fillRect(x, y, cardWidth, cardHeight);
+                        ctx.fillStyle = '#f5f5f5';
+                        ctx.fillRect(x, y, cardWidth, titleHeight);
+                        ctx.restore();
+
+                        this.roundRect(ctx, x + 0.5, y + 0.5, cardWidth, cardHeight, 8);
+                        ctx.strokeStyle = '#dddddd';
+                        ctx.lineWidth = 1;
+                        ctx.stroke();
+
+                        ctx.textAlign = 'left';
+                        ctx.textBaseline = 'middle';
+                        ctx.fillStyle = '#333333';
+                        ctx.font = this.font(14, true);
+                        ctx.fillText(this.fitText(ctx, `${group.name}（${group.members.length}人）`, cardWidth - 24), x + 12, y + titleHeight / 2);
+
+                        ctx.font = this.font(13);
+                        group.members.forEach((member, k) => {
+                            const lineY = y + titleHeight + 8 + k * lineHeight + lineHeight / 2;
+                            ctx.fillText(this.fitText(ctx, `${k + 1}. ${member.name}`, cardWidth - 24), x + 12, lineY);
+                        });
+                    });
+                }
+            });
+        }
+
+        return this.render({ title: data.title, subtitle: data.subtitle, bands }, options);
+    }
+
+    /**
+     * 渲染座位表：讲台在上，座位按排从前往后
+     * @param {Object} data - { title, subtitle, seats: 二维数组（每排的姓名，空座位为 null） }
+     * @param {Object} options - { format, quality, paginate }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async renderSeatingChart(data, options = {}) {
+        const perRow = Math.max(1, ...data.seats.map(row => row.length));
+        const gap = 10;
+        const seatWidth = (this.width - this.padding * 2 - gap * (perRow - 1)) / perRow;
+        const seatHeight = 52;
+        const fontSize = seatWidth < 70 ? 12 : 14;
+
+        const podium = {
+            height: 56,
+            draw: (ctx, y) => {
+                const podiumWidth = 200;
+                const x = (this.width - podiumWidth) / 2;
+                this.roundRect(ctx, x, y, podiumWidth, 36, 6);
+                ctx.fillStyle = '#f5f5f5';
+                ctx.fill();
+                ctx.strokeStyle = '#cccccc';
+                ctx.stroke();
+
+                ctx.fillStyle = '#666666';
+                ctx.font = this.font(14, true);
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('讲台', this.width / 2, y + 18);
+            }
+        };
+
+        const bands = data.seats.map((row, rowIndex) => ({
+            height: seatHeight + gap,
+            draw: (ctx, y) => {
+                row.forEach((name, colIndex) => {
+                    const x = this.padding + colIndex * (seatWidth + gap);
+                    this.roundRect(ctx, x + 0.5, y + 0.5, seatWidth, seatHeight, 6);
+                    ctx.fillStyle = name ? '#ffffff' : '#fafafa';
+                    ctx.fill();
+                    ctx.strokeStyle = '#dddddd';
+                    ctx.setLineDash(name ? [] : [4, 4]);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+
+                    ctx.fillStyle = '#999999';
+                    ctx.font = this.font(10);
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'top';
+                    ctx.fillText(`${rowIndex + 1}-${colIndex + 1}`, x + 6, y + 5);
+
+                    if (name) {
+                        ctx.fillStyle = '#333333';
+                        ctx.font = this.font(fontSize, true);
+                        ctx.textAlign = 'center';
+                        ctx.textBaseline = 'middle';
+                        ctx.fillText(this.fitText(ctx, name, seatWidth - 12), x + seatWidth / 2, y + seatHeight / 2 + 6);
+                    }
+                });
+            }
+        }));
+
+        return this.render({ title: data.title, subtitle: data.subtitle, bands: [podium, ...bands] }, options);
+    }
+
+    /**
+     * 分页并输出图片
+     * @param {Object} layout - { title, subtitle, header: 每页重复的表头, bands: 内容块 [{ height, draw(ctx, y) }] }
+     * @param {Object} options - { format: png/jpeg/webp, quality, paginate: 是否按页拆分 }
+     * @returns {Promise<Array<Blob>>} 每页一张图片
+     */
+    async render(layout, options = {}) {
+        const format = options.format || 'png';
+        const mimeType = this.mimeTypes[format];
+        if (!mimeType) {
+            throw new Error(`不支持的图片格式: ${format}`);
+        }
+
+        const chromeHeight = this.padding * 2 + this.headerHeight + this.footerHeight;
+        const maxContentHeight = Math.min(
+            options.paginate ? this.pageHeight - chromeHeight : Infinity,
+            this.maxCanvasHeight / this.scale - chromeHeight
+        );
+        const pages = this.paginate(layout.bands, layout.header, maxContentHeight);
+
+        const blobs = [];
+        for (let i = 0; i < pages.length; i++) {
+            const canvas = this.drawPage(layout, pages[i], i, pages.length);
+            blobs.push(await this.toBlob(canvas, mimeType, options.quality));
+        }
+        return blobs;
+    }
+
+    /**
+     * 按最大高度把内容块分到各页，内容块不跨页
+     * @param {Array<Object>} bands - 内容块
+     * @param {Object|null} header - 每页重复的表头
+     * @param {number} maxHeight - 每页内容区最大高度
+     * @returns {Array<Array<Object>>} 各页的内容块
+     */
+    paginate(bands, header, maxHeight) {
+        const headerHeight = header ? header.height : 0;
+        const pages = [];
+        let current = [];
+        let used = headerHeight;
+
+        bands.forEach(band => {
+            if (current.length > 0 && used + band.height > maxHeight) {
+                pages.push(current);
+                current = [];
+                used = headerHeight;
+            }
+            current.push(band);
+            used += band.height;
+        });
+
+        if (current.length > 0 || pages.length === 0) {
+            pages.push(current);
+        }
+        return pages;
+    }
+
+    /**
+     * 绘制一页
+     * @param {Object} layout - 布局
+     * @param {Array<Object>} bands - 本页的内容块
+     * @param {number} pageIndex - 页码（从 0 开始）
+     * @param {number} pageCount - 总页数
+     * @returns {HTMLCanvasElement} 画布
+     */
+    drawPage(layout, bands, pageIndex, pageCount) {
+        const contentHeight = (layout.header ? layout.header.height : 0) + bands.reduce((sum, band) => sum + band.height, 0);
+        const height = this.padding * 2 + this.headerHeight + contentHeight + this.footerHeight;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width * this.scale;
+        canvas.height = Math.ceil(height * this.scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.scale, this.scale);
+
+        // JPEG 没有透明通道，统一铺白色背景
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, height);
+
+        // 标题
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#333333';
+        ctx.font = this.font(28, true);
+        ctx.fillText(this.fitText(ctx, layout.title, this.width - this.padding * 2), this.width / 2, this.padding);
+
+        ctx.fillStyle = '#666666';
+        ctx.font = this.font(14);
+        ctx.fillText(`导出时间: ${new Date().toLocaleString('zh-CN')}`, this.width / 2, this.padding + 44);
+
+        const subtitle = [layout.subtitle, pageCount > 1 ? `第 ${pageIndex + 1} / ${pageCount} 页` : '']
+            .filter(Boolean)
+            .join(' · ');
+        if (subtitle) {
+            ctx.fillStyle = '#888888';
+            ctx.font = this.font(12);
+            ctx.fillText(subtitle, this.width / 2, this.padding + 68);
+        }
+
+        // 内容
+        let y = this.padding + this.headerHeight;
+        if (layout.header) {
+            layout.header.draw(ctx, y);
+            y += layout.header.height;
+        }
+        bands.forEach(band => {
+            band.draw(ctx, y);
+            y += band.height;
+        });
+
+        // 页脚
+        y += 20;
+        ctx.strokeStyle = '#eeeeee';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, y + 0.5);
+        ctx.lineTo(this.width - this.padding, y + 0.5);
+        ctx.stroke();
+
+        ctx.fillStyle = '#999999';
+        ctx.font = this.font(11);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Generated by 随机点名系统', this.padding, y + 10);
+
+        return canvas;
+    }
+
+    /**
+     * 画布转图片
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {string} mimeType - 图片类型
+     * @param {number} quality - JPEG/WebP 质量（0-1）
+     * @returns {Promise<Blob>} 图片
+     */
+    toBlob(canvas, mimeType, quality = 0.92) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('图片生成失败'));
+                } else if (blob.type !== mimeType) {
+                    // 不支持的格式浏览器会静默回退为 PNG
+                    reject(new Error(`当前浏览器不支持导出 ${mimeType.split('/')[1].toUpperCase()} 图片`));
+                } else {
+                    resolve(blob);
+                }
+            }, mimeType, quality);
+        });
+    }
+
+    /**
+     * 生成字体描述
+     * @param {number} size - 字号
+     * @param {boolean} bold - 是否加粗
+     * @returns {string} CSS font
+     */
+    font(size, bold = false) {
+        return `${bold ? 'bold ' : ''}${size}px ${this.fontFamily}`;
+    }
+
+    /**
+     * 超出宽度的文本以省略号截断
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {string} text - 文本
+     * @param {number} maxWidth - 最大宽度
+     * @returns {string} 截断后的文本
+     */
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        // 按字符（含代理对）截断
+        const chars = Array.from(text);
+        let low = 0;
+        let high = chars.length;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (ctx.measureText(`${chars.slice(0, mid).join('')}…`).width <= maxWidth) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return `${chars.slice(0, low).join('')}…`;
+    }
+
+    /**
+     * 圆角矩形路径
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {number} x - 左上角 x
+     * @param {number} y - 左上角 y
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {number} radius - 圆角半径
+     */
+    roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+}
+
+window.rosterRenderer = new RosterRenderer();
@@ -6,8 +6,25 @@
 class StorageManager {
     constructor() {
         this.dbName = 'RollCallDB';
-        this.version = 1;
+        // 数据库版本为最新迁移的版本号
+        this.version = this.getMigrations().slice(-1)[0].version;
         this.db = null;
+        // 解密备份时允许的最大 PBKDF2 迭代次数（加密时使用 250000）
+        this.maxBackupKdfIterations = 1000000;
+        // 从快照恢复前自动创建的快照保留的数量
+        this.maxPreRestoreSnapshots = 3;
+
+        // 跨标签页的数据变更通知
+        this.changeListeners = new Set();
+        this.changeChannel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(`${this.dbName}_changes`)
+            : null;
+        if (this.changeChannel) {
+            this.changeChannel.onmessage = (event) => {
+                this.changeListeners.forEach(listener => listener(event.data));
+            };
+        }
+
         this.init();
     }
 
@@ -23,61 +40,371 @@ class StorageManager {
             // 使用 localStorage 作为备用方案
             this.useLocalStorage();
         }
+
+        if (this.getSyncConfig().enabled) {
+            this.startAutoSync();
+        }
+    }
+
+    /**
+     * 数据库结构迁移列表（按版本号升序）
+     * 每个迁移可包含：
+     * - upgrade(db, transaction)：修改数据库结构（创建表、索引），仅在 IndexedDB 模式下执行
+     * - transforms：{ 表名: (record) => 新记录，无需修改时返回 null }，用于转换已有数据
+     * @returns {Array} 迁移列表
+     */
+    getMigrations() {
+        return [
+            {
+                version: 1,
+                description: '创建班级、学生、点名记录、设置和系统日志表',
+                upgrade: (db) => {
+                    // 创建班级表
+                    if (!db.objectStoreNames.contains('classes')) {
+                        const classStore = db.createObjectStore('classes', { keyPath: 'id', autoIncrement: true });
+                        classStore.createIndex('name', 'name', { unique: false });
+                        classStore.createIndex('createdAt', 'createdAt', { unique: false });
+                    }
+
+                    // 创建学生表
+                    if (!db.objectStoreNames.contains('students')) {
+                        const studentStore = db.createObjectStore('students', { keyPath: 'id', autoIncrement: true });
+                        studentStore.createIndex('classId', 'classId', { unique: false });
+                        studentStore.createIndex('name', 'name', { unique: false });
+                        studentStore.createIndex('callCount', 'callCount', { unique: false });
+                        studentStore.createIndex('lastCalled', 'lastCalled', { unique: false });
+                    }
+
+                    // 创建点名记录表
+                    if (!db.objectStoreNames.contains('callRecords')) {
+                        const recordStore = db.createObjectStore('callRecords', { keyPath: 'id', autoIncrement: true });
+                        recordStore.createIndex('classId', 'classId', { unique: false });
+                        recordStore.createIndex('studentId', 'studentId', { unique: false });
+                        recordStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+
+                    // 创建设置表
+                    if (!db.objectStoreNames.contains('settings')) {
+                        db.createObjectStore('settings', { keyPath: 'key' });
+                    }
+
+                    // 创建系统日志表
+                    if (!db.objectStoreNames.contains('systemLogs')) {
+                        const logStore = db.createObjectStore('systemLogs', { keyPath: 'id', autoIncrement: true });
+                        logStore.createIndex('actionType', 'actionType', { unique: false });
+                        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 2,
+                description: '创建不重复抽取池表',
+                upgrade: (db) => {
+                    // 每个班级一条记录
+                    if (!db.objectStoreNames.contains('drawPools')) {
+                        db.createObjectStore('drawPools', { keyPath: 'classId' });
+                    }
+                }
+            },
+            {
+                version: 3,
+                description: '创建分组方案表',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('groupings')) {
+                        const groupingStore = db.createObjectStore('groupings', { keyPath: 'id', autoIncrement: true });
+                        groupingStore.createIndex('classId', 'classId', { unique: false });
+                        groupingStore.createIndex('createdAt', 'createdAt', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 4,
+                description: '创建考勤表',
+                upgrade: (db) => {
+                    // 每个班级每天一张考勤表
+                    if (!db.objectStoreNames.contains('attendance')) {
+                        const attendanceStore = db.createObjectStore('attendance', { keyPath: 'id', autoIncrement: true });
+                        attendanceStore.createIndex('classId', 'classId', { unique: false });
+                        attendanceStore.createIndex('date', 'date', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 5,
+                description: '补全学生状态字段，为点名记录添加 [classId, timestamp] 复合索引，创建备份表',
+                upgrade: (db, transaction) => {
+                    const recordStore = transaction.objectStore('callRecords');
+                    if (!recordStore.indexNames.contains('classId_timestamp')) {
+                        recordStore.createIndex('classId_timestamp', ['classId', 'timestamp'], { unique: false });
+                    }
+
+                    if (!db.objectStoreNames.contains('backups')) {
+                        const backupStore = db.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+                        backupStore.createIndex('type', 'type', { unique: false });
+                        backupStore.createIndex('createdAt', 'createdAt', { unique: false });
+                    }
+                },
+                transforms: {
+                    students: (student) => student.status ? null : { ...student, status: 'normal' }
+                }
+            },
+            {
+                version: 6,
+                description: '为班级、学生和点名记录添加同步ID，创建删除记录（墓碑）表',
+                upgrade: (db) => {
+                    // 记录已删除数据的同步ID，同步时通知其他设备删除
+                    if (!db.objectStoreNames.contains('tombstones')) {
+                        const tombstoneStore = db.createObjectStore('tombstones', { keyPath: 'id', autoIncrement: true });
+                        tombstoneStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                    }
+                },
+                transforms: {
+                    classes: (record) => record.syncId ? null : { ...record, syncId: this.generateSyncId() },
+                    students: (record) => record.syncId ? null : { ...record, syncId: this.generateSyncId() },
+                    callRecords: (record) => record.syncId ? null : {
+                        ...record,
+                        syncId: this.generateSyncId(),
+                        updatedAt: record.updatedAt || record.outcomeAt || record.timestamp
+                    }
+                }
+            }
+        ];
     }
 
     /**
      * 打开 IndexedDB 数据库
      */
-    openDatabase() {
+    async openDatabase() {
+        // 升级前先读取旧版本的全部数据作为备份
+        const preMigrationBackup = await this.readPreMigrationBackup();
+
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.version);
 
             request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('数据库升级被其他打开的页面阻塞，请关闭其他页面后刷新');
+            };
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // 其他页面需要升级数据库时关闭当前连接
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    console.warn('数据库版本已更新，请刷新页面');
+                };
+
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+                this.runMigrations(event.target.result, event.target.transaction, event.oldVersion, preMigrationBackup);
+            };
+        });
+    }
+
+    /**
+     * 读取需要升级的旧版本数据库中的全部数据
+     * 数据库不存在或无需升级时返回 null
+     * @returns {Promise<Object|null>} 与 backupData 格式相同的备份数据
+     */
+    readPreMigrationBackup() {
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName);
+
+            // 数据库尚不存在，取消创建，交给正式打开时完成
+            request.onupgradeneeded = (event) => {
+                event.target.transaction.abort();
+            };
+            request.onerror = () => resolve(null);
+            request.onsuccess = () => {
+                const db = request.result;
+                const storeNames = [...db.objectStoreNames].filter(name => !['backups', 'systemLogs', 'tombstones'].includes(name));
 
-                // 创建班级表
-                if (!db.objectStoreNames.contains('classes')) {
-                    const classStore = db.createObjectStore('classes', { keyPath: 'id', autoIncrement: true });
-                    classStore.createIndex('name', 'name', { unique: false });
-                    classStore.createIndex('createdAt', 'createdAt', { unique: false });
+                if (db.version >= this.version || storeNames.length === 0) {
+                    db.close();
+                    resolve(null);
+                    return;
                 }
 
-                // 创建学生表
-                if (!db.objectStoreNames.contains('students')) {
-                    const studentStore = db.createObjectStore('students', { keyPath: 'id', autoIncrement: true });
-                    studentStore.createIndex('classId', 'classId', { unique: false });
-                    studentStore.createIndex('name', 'name', { unique: false });
-                    studentStore.createIndex('callCount', 'callCount', { unique: false });
-                    studentStore.createIndex('lastCalled', 'lastCalled', { unique: false });
+                const backup = { version: db.version, timestamp: new Date().toISOString() };
+                const transaction = db.transaction(storeNames, 'readonly');
+                storeNames.forEach(storeName => {
+                    const getAll = transaction.objectStore(storeName).getAll();
+                    getAll.onsuccess = () => {
+                        backup[storeName] = getAll.result;
+                    };
+                });
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(backup);
+                };
+                transaction.onerror = () => {
+                    console.error('读取升级前数据失败:', transaction.error);
+                    db.close();
+                    resolve(null);
+                };
+            };
+        });
+    }
+
+    /**
+     * 在版本升级事务中依次执行迁移
+     * 所有迁移与备份写入同一个事务，任何一步失败都会整体回滚
+     * @param {IDBDatabase} db - 数据库
+     * @param {IDBTransaction} transaction - 版本升级事务
+     * @param {number} oldVersion - 升级前的版本号（新建数据库为 0）
+     * @param {Object|null} preMigrationBackup - 升级前的数据备份
+     */
+    runMigrations(db, transaction, oldVersion, preMigrationBackup) {
+        const pending = this.getMigrations().filter(migration =>
+            migration.version > oldVersion && migration.version <= this.version
+        );
+
+        const runStep = (index) => {
+            if (index >= pending.length) {
+                if (preMigrationBackup) {
+                    transaction.objectStore('backups').add({
+                        type: 'preMigration',
+                        fromVersion: oldVersion,
+                        toVersion: this.version,
+                        createdAt: new Date().toISOString(),
+                        data: preMigrationBackup
+                    });
                 }
+                return;
+            }
 
-                // 创建点名记录表
-                if (!db.objectStoreNames.contains('callRecords')) {
-                    const recordStore = db.createObjectStore('callRecords', { keyPath: 'id', autoIncrement: true });
-                    recordStore.createIndex('classId', 'classId', { unique: false });
-                    recordStore.createIndex('studentId', 'studentId', { unique: false });
-                    recordStore.createIndex('timestamp', 'timestamp', { unique: false });
+            const migration = pending[index];
+            if (migration.upgrade) {
+                migration.upgrade(db, transaction);
+            }
+
+            this.applyTransforms(transaction, migration.transforms || {}, (changes) => {
+                // 新建数据库不记录迁移日志
+                if (oldVersion > 0) {
+                    transaction.objectStore('systemLogs').add({
+                        actionType: 'schemaMigration',
+                        details: JSON.stringify({
+                            fromVersion: oldVersion,
+                            version: migration.version,
+                            description: migration.description,
+                            changes
+                        }),
+                        timestamp: new Date().toISOString()
+                    });
                 }
+                runStep(index + 1);
+            });
+        };
+
+        runStep(0);
+    }
+
+    /**
+     * 使用游标逐条转换已有记录
+     * @param {IDBTransaction} transaction - 版本升级事务
+     * @param {Object} transforms - { 表名: 转换函数 }
+     * @param {Function} done - 完成回调，参数为 { 表名: 修改的记录数 }
+     */
+    applyTransforms(transaction, transforms, done) {
+        const storeNames = Object.keys(transforms);
+        const changes = {};
+
+        const transformStore = (index) => {
+            if (index >= storeNames.length) {
+                done(changes);
+                return;
+            }
+
+            const storeName = storeNames[index];
+            changes[storeName] = 0;
 
-                // 创建设置表
-                if (!db.objectStoreNames.contains('settings')) {
-                    const settingStore = db.createObjectStore('settings', { keyPath: 'key' });
+            const cursorRequest = transaction.objectStore(storeName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    transformStore(index + 1);
+                    return;
                 }
 
-                // 创建系统日志表
-                if (!db.objectStoreNames.contains('systemLogs')) {
-                    const logStore = db.createObjectStore('systemLogs', { keyPath: 'id', autoIncrement: true });
-                    logStore.createIndex('actionType', 'actionType', { unique: false });
-                    logStore.createIndex('timestamp', 'timestamp', { unique: false });
+                const updated = transforms[storeName](cursor.value);
+                if (updated) {
+                    cursor.update(updated);
+                    changes[storeName]++;
                 }
+                cursor.continue();
             };
+        };
+
+        transformStore(0);
+    }
+
+    /**
+     * 对 localStorage 备用方案中的数据执行迁移
+     */
+    migrateLocalStorage() {
+        const versionKey = `${this.dbName}_schemaVersion`;
+        const oldVersion = parseInt(localStorage.getItem(versionKey)) || 0;
+        const pending = this.getMigrations().filter(migration =>
+            migration.version > oldVersion && migration.version <= this.version
+        );
+
+        if (pending.length === 0) {
+            return;
+        }
+
+        // 升级前自动备份
+        if (oldVersion > 0) {
+            const backup = { version: oldVersion, timestamp: new Date().toISOString() };
+            ['classes', 'students', 'callRecords', 'settings', 'drawPools', 'groupings', 'attendance'].forEach(storeName => {
+                backup[storeName] = JSON.parse(localStorage.getItem(`${this.dbName}_${storeName}`) || '[]');
+            });
+            this.localStorageOperation('backups', 'add', {
+                type: 'preMigration',
+                fromVersion: oldVersion,
+                toVersion: this.version,
+                createdAt: new Date().toISOString(),
+                data: backup
+            });
+        }
+
+        pending.forEach(migration => {
+            const changes = {};
+            Object.entries(migration.transforms || {}).forEach(([storeName, transform]) => {
+                const key = `${this.dbName}_${storeName}`;
+                const dataList = JSON.parse(localStorage.getItem(key) || '[]');
+                changes[storeName] = 0;
+
+                const migrated = dataList.map(record => {
+                    const updated = transform(record);
+                    if (updated) {
+                        changes[storeName]++;
+                        return updated;
+                    }
+                    return record;
+                });
+
+                if (changes[storeName] > 0) {
+                    localStorage.setItem(key, JSON.stringify(migrated));
+                }
+            });
+
+            if (oldVersion > 0) {
+                this.localStorageOperation('systemLogs', 'add', {
+                    actionType: 'schemaMigration',
+                    details: JSON.stringify({
+                        fromVersion: oldVersion,
+                        version: migration.version,
+                        description: migration.description,
+                        changes
+                    }),
+                    timestamp: new Date().toISOString()
+                });
+            }
         });
+
+        localStorage.setItem(versionKey, String(this.version));
     }
 
     /**
@@ -86,6 +413,12 @@ class StorageManager {
     useLocalStorage() {
         console.log('使用 localStorage 备用方案');
         this.fallbackMode = true;
+
+        try {
+            this.migrateLocalStorage();
+        } catch (error) {
+            console.error('迁移 localStorage 数据失败:', error);
+        }
     }
 
     /**
@@ -145,11 +478,22 @@ class StorageManager {
         });
     }
 
+    /**
+     * 数据表的主键字段，与 IndexedDB 中 createObjectStore 的 keyPath 一致
+     * @param {string} storeName - 数据表
+     * @returns {string} 主键字段
+     */
+    getStoreKeyPath(storeName) {
+        const keyPaths = { settings: 'key', drawPools: 'classId' };
+        return keyPaths[storeName] || 'id';
+    }
+
     /**
      * localStorage 操作方法
      */
     localStorageOperation(storeName, operation, data = null) {
         const key = `${this.dbName}_${storeName}`;
+        const keyPath = this.getStoreKeyPath(storeName);
         let dataList = JSON.parse(localStorage.getItem(key) || '[]');
 
         switch (operation) {
@@ -159,20 +503,20 @@ class StorageManager {
                 localStorage.setItem(key, JSON.stringify(dataList));
                 return newItem.id;
             case 'put':
-                const index = dataList.findIndex(item => item.id === data.id);
+                const index = dataList.findIndex(item => item[keyPath] === data[keyPath]);
                 if (index !== -1) {
                     dataList[index] = data;
                 } else {
                     dataList.push(data);
                 }
                 localStorage.setItem(key, JSON.stringify(dataList));
-                return data.id;
+                return data[keyPath];
             case 'delete':
-                dataList = dataList.filter(item => item.id !== data);
+                dataList = dataList.filter(item => item[keyPath] !== data);
                 localStorage.setItem(key, JSON.stringify(dataList));
                 return true;
             case 'get':
-                return dataList.find(item => item.id === data) || null;
+                return dataList.find(item => item[keyPath] === data) || null;
             case 'getAll':
                 return dataList;
             case 'clear':
@@ -185,6 +529,37 @@ class StorageManager {
         }
     }
 
+    // ==================== 数据变更通知 ====================
+
+    /**
+     * 向其他标签页广播数据变更，并在启用同步时安排一次同步
+     * 事件类型：class:created / class:updated / class:deleted / students:changed /
+     * callRecord:added / callRecord:updated / drawPool:changed / grouping:changed /
+     * attendance:changed / settings:changed / data:restored / data:cleared / data:synced
+     * @param {string} type - 事件类型
+     * @param {Object} details - 事件详情（通常包含 classId）
+     */
+    emitChange(type, details = {}) {
+        this.scheduleSync();
+        if (!this.changeChannel) return;
+
+        try {
+            this.changeChannel.postMessage({ type, ...details, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error('广播数据变更失败:', error);
+        }
+    }
+
+    /**
+     * 订阅其他标签页的数据变更
+     * @param {Function} listener - 回调函数，参数为变更事件 { type, classId, ... }
+     * @returns {Function} 取消订阅的函数
+     */
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
     // ==================== 班级管理 ====================
 
     /**
@@ -192,6 +567,7 @@ class StorageManager {
      */
     async createClass(classData) {
         const newClass = {
+            syncId: this.generateSyncId(),
             name: classData.name,
             description: classData.description || '',
             createdAt: new Date().toISOString(),
@@ -200,7 +576,9 @@ class StorageManager {
             totalCalls: 0
         };
 
-        return await this.operation('classes', 'add', newClass);
+        const classId = await this.operation('classes', 'add', newClass);
+        this.emitChange('class:created', { classId });
+        return classId;
     }
 
     /**
@@ -239,7 +617,9 @@ class StorageManager {
             updatedAt: new Date().toISOString()
         };
 
-        return await this.operation('classes', 'put', updatedClass);
+        const result = await this.operation('classes', 'put', updatedClass);
+        this.emitChange('class:updated', { classId: updatedClass.id });
+        return result;
     }
 
     /**
@@ -252,8 +632,30 @@ class StorageManager {
             await this.deleteStudent(student.id);
         }
 
+        await this.deleteClassData(id);
+
         // 删除班级
-        return await this.operation('classes', 'delete', parseInt(id));
+        const existingClass = await this.getClassById(id);
+        const result = await this.operation('classes', 'delete', parseInt(id));
+        await this.addTombstones('classes', existingClass ? [existingClass] : []);
+        this.emitChange('class:deleted', { classId: parseInt(id) });
+        return result;
+    }
+
+    /**
+     * 删除班级的抽取池、分组方案和考勤表（这些数据只保存在本机，不参与同步）
+     * @param {number} id - 班级ID
+     */
+    async deleteClassData(id) {
+        await this.clearDrawPool(id);
+        const sheets = await this.getAttendanceSheetsByClassId(id);
+        for (const sheet of sheets) {
+            await this.operation('attendance', 'delete', sheet.id);
+        }
+        const groupings = await this.getGroupingsByClassId(id);
+        for (const grouping of groupings) {
+            await this.deleteGrouping(grouping.id);
+        }
     }
 
     // ==================== 学生管理 ====================
@@ -263,12 +665,16 @@ class StorageManager {
      */
     async addStudent(studentData) {
         const newStudent = {
+            syncId: this.generateSyncId(),
             classId: studentData.classId,
             name: studentData.name.trim(),
             studentId: studentData.studentId || '',
             phone: studentData.phone || '',
             email: studentData.email || '',
             notes: studentData.notes || '',
+            // 导入时保留的其他列 { 列名: 值 }
+            customFields: studentData.customFields || {},
+            status: studentData.status || 'normal',
             callCount: 0,
             lastCalled: null,
             createdAt: new Date().toISOString(),
@@ -287,6 +693,7 @@ class StorageManager {
         // 更新班级学生数量
         await this.updateClassStudentCount(studentData.classId);
 
+        this.emitChange('students:changed', { classId: newStudent.classId, studentId });
         return studentId;
     }
 
@@ -361,16 +768,44 @@ class StorageManager {
             updatedAt: new Date().toISOString()
         };
 
-        return await this.operation('students', 'put', updatedStudent);
+        const result = await this.operation('students', 'put', updatedStudent);
+        this.emitChange('students:changed', { classId: updatedStudent.classId, studentId: updatedStudent.id });
+        return result;
     }
 
+    /**
+     * 更新学生特殊规则状态
+     * @param {number} id - 学生ID
+     * @param {string} status - 状态: normal(正常) / excluded(特殊排除)
+     * @returns {Promise<Object>} 更新后的学生
+     */
+    async updateStudentStatus(id, status) {
+        if (!['normal', 'excluded'].includes(status)) {
+            throw new Error(`无效的学生状态: ${status}`);
+        }
 
+        const student = await this.getStudentById(id);
+        if (!student) {
+            throw new Error('学生不存在');
+        }
 
+        const previousStatus = student.status || 'normal';
+        if (previousStatus === status) {
+            return student;
+        }
 
+        await this.updateStudent(id, { status });
 
+        await this.logSystemAction('studentStatusChange', {
+            studentId: student.id,
+            studentName: student.name,
+            classId: student.classId,
+            from: previousStatus,
+            to: status
+        });
 
-
-
+        return { ...student, status };
+    }
 
     // ==================== 系统日志功能 ====================
 
@@ -465,8 +900,10 @@ class StorageManager {
         const student = await this.getStudentById(id);
         if (student) {
             await this.operation('students', 'delete', parseInt(id));
+            await this.addTombstones('students', [student]);
             // 更新班级学生数量
             await this.updateClassStudentCount(student.classId);
+            this.emitChange('students:changed', { classId: student.classId, studentId: student.id });
         }
 
         return true;
@@ -479,18 +916,20 @@ class StorageManager {
         const studentCount = await this.operation('students', 'count');
         if (this.fallbackMode) {
             const students = await this.getStudentsByClassId(classId);
-            await this.updateClass(classId, { studentCount: students.length });
+            await this.updateDerivedFields('classes', classId, { studentCount: students.length });
         } else {
             const db = this.getDB();
             const transaction = db.transaction(['students'], 'readonly');
             const store = transaction.objectStore('students');
             const index = store.index('classId');
 
-            const request = index.getAllKeys(parseInt(classId));
-            request.onsuccess = () => {
-                const count = request.result.length;
-                this.updateClass(classId, { studentCount: count });
-            };
+            // 等待写入完成，避免随后删除班级时被这次写入重新创建
+            const count = await new Promise((resolve, reject) => {
+                const request = index.getAllKeys(parseInt(classId));
+                request.onsuccess = () => resolve(request.result.length);
+                request.onerror = () => reject(request.error);
+            });
+            await this.updateDerivedFields('classes', classId, { studentCount: count });
         }
     }
 
@@ -500,13 +939,20 @@ class StorageManager {
      * 记录点名结果
      */
     async recordCall(callData) {
+        const timestamp = new Date().toISOString();
         const newRecord = {
+            syncId: this.generateSyncId(),
             classId: callData.classId,
             studentId: callData.studentId,
             studentName: callData.studentName,
             algorithm: callData.algorithm,
             mode: callData.mode,
-            timestamp: new Date().toISOString()
+            seed: callData.seed ?? null,
+            drawIndex: callData.drawIndex ?? null,
+            drawCount: callData.drawCount ?? null,
+            batchId: callData.batchId ?? null,
+            timestamp,
+            updatedAt: timestamp
         };
 
         const recordId = await this.operation('callRecords', 'add', newRecord);
@@ -514,7 +960,7 @@ class StorageManager {
         // 更新学生被点名次数和最后点名时间
         const student = await this.getStudentById(callData.studentId);
         if (student) {
-            await this.updateStudent(callData.studentId, {
+            await this.updateDerivedFields('students', callData.studentId, {
                 callCount: student.callCount + 1,
                 lastCalled: newRecord.timestamp
             });
@@ -523,9 +969,50 @@ class StorageManager {
         // 更新班级总点名次数
         await this.updateClassTotalCalls(callData.classId);
 
+        this.emitChange('callRecord:added', { classId: newRecord.classId, studentId: newRecord.studentId, recordId });
         return recordId;
     }
 
+    /**
+     * 记录点名后的回答结果
+     * @param {number} recordId - 点名记录ID
+     * @param {Object} outcomeData - 回答结果 { outcome, score, note }
+     *   outcome: correct(正确) / partial(部分正确) / wrong(错误) / passed(跳过) / absent(缺席)
+     * @returns {Promise<Object>} 更新后的点名记录
+     */
+    async updateCallOutcome(recordId, outcomeData) {
+        const validOutcomes = ['correct', 'partial', 'wrong', 'passed', 'absent'];
+        if (!validOutcomes.includes(outcomeData.outcome)) {
+            throw new Error(`无效的回答结果: ${outcomeData.outcome}`);
+        }
+
+        const record = await this.operation('callRecords', 'get', parseInt(recordId));
+        if (!record) {
+            throw new Error('点名记录不存在');
+        }
+
+        const score = outcomeData.score === '' || outcomeData.score === null || outcomeData.score === undefined
+            ? null
+            : Number(outcomeData.score);
+        if (score !== null && isNaN(score)) {
+            throw new Error('分数必须是数字');
+        }
+
+        const now = new Date().toISOString();
+        const updatedRecord = {
+            ...record,
+            outcome: outcomeData.outcome,
+            score,
+            note: (outcomeData.note || '').trim(),
+            outcomeAt: now,
+            updatedAt: now
+        };
+
+        await this.operation('callRecords', 'put', updatedRecord);
+        this.emitChange('callRecord:updated', { classId: updatedRecord.classId, recordId: updatedRecord.id });
+        return updatedRecord;
+    }
+
     /**
      * 获取班级的点名记录
      */
@@ -563,10 +1050,29 @@ class StorageManager {
      * 根据时间范围获取记录
      */
     async getCallRecordsByTimeRange(classId, startDate, endDate) {
-        const allRecords = await this.getCallRecordsByClassId(classId);
-        return allRecords.filter(record => {
-            const recordDate = new Date(record.timestamp);
-            return recordDate >= new Date(startDate) && recordDate <= new Date(endDate);
+        if (this.fallbackMode) {
+            const allRecords = await this.getCallRecordsByClassId(classId);
+            return allRecords.filter(record => {
+                const recordDate = new Date(record.timestamp);
+                return recordDate >= new Date(startDate) && recordDate <= new Date(endDate);
+            });
+        }
+
+        // 使用 [classId, timestamp] 复合索引按范围查询
+        const db = this.getDB();
+        const transaction = db.transaction(['callRecords'], 'readonly');
+        const index = transaction.objectStore('callRecords').index('classId_timestamp');
+        const range = IDBKeyRange.bound(
+            [parseInt(classId), new Date(startDate).toISOString()],
+            [parseInt(classId), new Date(endDate).toISOString()]
+        );
+
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(range);
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+            };
+            request.onerror = () => reject(request.error);
         });
     }
 
@@ -578,6 +1084,7 @@ class StorageManager {
             const allRecords = await this.operation('callRecords', 'getAll');
             const filteredRecords = allRecords.filter(record => record.studentId !== studentId);
             localStorage.setItem(`${this.dbName}_callRecords`, JSON.stringify(filteredRecords));
+            await this.addTombstones('callRecords', allRecords.filter(record => record.studentId === studentId));
             return true;
         }
 
@@ -586,7 +1093,7 @@ class StorageManager {
         const store = transaction.objectStore('callRecords');
         const index = store.index('studentId');
 
-        return new Promise((resolve, reject) => {
+        const deletedRecords = await new Promise((resolve, reject) => {
             const request = index.getAll(parseInt(studentId));
             request.onsuccess = () => {
                 const records = request.result;
@@ -598,10 +1105,13 @@ class StorageManager {
                     });
                 });
 
-                Promise.all(deletePromises).then(() => resolve(true)).catch(reject);
+                Promise.all(deletePromises).then(() => resolve(records)).catch(reject);
             };
             request.onerror = () => reject(request.error);
         });
+
+        await this.addTombstones('callRecords', deletedRecords);
+        return true;
     }
 
     /**
@@ -609,106 +1119,423 @@ class StorageManager {
      */
     async updateClassTotalCalls(classId) {
         const records = await this.getCallRecordsByClassId(classId);
-        await this.updateClass(classId, { totalCalls: records.length });
+        await this.updateDerivedFields('classes', classId, { totalCalls: records.length });
     }
 
-    // ==================== 统计功能 ====================
-
     /**
-     * 获取班级统计数据
+     * 更新点名次数等派生字段
+     * 派生字段由其他数据计算得出，不算作修改，因此不更新 updatedAt，
+     * 避免同步时一台设备上的点名覆盖另一台设备对同一学生或班级的编辑
+     * @param {string} storeName - classes 或 students
+     * @param {number} id - 记录ID
+     * @param {Object} fields - 派生字段
      */
-    async getClassStatistics(classId, timeRange = '30') {
-        const students = await this.getStudentsByClassId(classId);
-        let records = await this.getCallRecordsByClassId(classId);
-
-        // 根据时间范围过滤记录
-        if (timeRange !== 'all') {
-            const days = parseInt(timeRange);
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - days);
-            records = records.filter(record => new Date(record.timestamp) >= startDate);
+    async updateDerivedFields(storeName, id, fields) {
+        const record = await this.operation(storeName, 'get', parseInt(id));
+        if (!record) return;
+
+        const updated = { ...record, ...fields };
+        await this.operation(storeName, 'put', updated);
+        if (storeName === 'classes') {
+            this.emitChange('class:updated', { classId: updated.id });
+        } else {
+            this.emitChange('students:changed', { classId: updated.classId, studentId: updated.id });
         }
+    }
 
-        const totalCalls = records.length;
-        const totalStudents = students.length;
-        const avgCallsPerStudent = totalStudents > 0 ? (totalCalls / totalStudents).toFixed(1) : 0;
+    // ==================== 不重复抽取池 ====================
 
-        // 找出被点名最多的学生
-        const studentCallCounts = {};
-        records.forEach(record => {
-            studentCallCounts[record.studentId] = (studentCallCounts[record.studentId] || 0) + 1;
+    /**
+     * 获取班级的抽取池
+     * @param {number} classId - 班级ID
+     * @returns {Promise<Object>} 抽取池 { classId, drawnIds, round, updatedAt }
+     */
+    async getDrawPool(classId) {
+        const pool = await this.operation('drawPools', 'get', parseInt(classId));
+        return pool || {
+            classId: parseInt(classId),
+            drawnIds: [],
+            round: 1,
+            updatedAt: null
+        };
+    }
+
+    /**
+     * 保存班级的抽取池
+     * @param {number} classId - 班级ID
+     * @param {Array<number>} drawnIds - 本轮已抽取的学生ID
+     * @param {number} round - 当前轮次
+     */
+    async saveDrawPool(classId, drawnIds, round) {
+        const result = await this.operation('drawPools', 'put', {
+            classId: parseInt(classId),
+            drawnIds,
+            round,
+            updatedAt: new Date().toISOString()
         });
+        this.emitChange('drawPool:changed', { classId: parseInt(classId) });
+        return result;
+    }
 
-        let mostCalledStudent = '-';
-        let maxCalls = 0;
-        let leastCalledStudent = '-';
-        let minCalls = Infinity;
+    /**
+     * 重置班级的抽取池
+     * @param {number} classId - 班级ID
+     */
+    async clearDrawPool(classId) {
+        const result = await this.operation('drawPools', 'delete', parseInt(classId));
+        this.emitChange('drawPool:changed', { classId: parseInt(classId) });
+        return result;
+    }
 
-        Object.entries(studentCallCounts).forEach(([studentId, count]) => {
-            if (count > maxCalls) {
-                maxCalls = count;
-                const student = students.find(s => s.id === parseInt(studentId));
-                if (student) {
-                    mostCalledStudent = student.name;
-                }
-            }
-            if (count < minCalls) {
-                minCalls = count;
-                const student = students.find(s => s.id === parseInt(studentId));
-                if (student) {
-                    leastCalledStudent = student.name;
-                }
-            }
-        });
+    // ==================== 分组方案管理 ====================
 
-        // 计算未被点名的学生数
-        const calledStudentIds = new Set(Object.keys(studentCallCounts).map(id => parseInt(id)));
-        const neverCalledCount = students.filter(student => !calledStudentIds.has(student.id)).length;
+    /**
+     * 保存分组方案
+     * @param {Object} groupingData - 分组数据 { classId, name, options, groups: [{ name, members: [{ id, name, studentId }] }] }
+     * @returns {Promise<number>} 分组方案ID
+     */
+    async saveGrouping(groupingData) {
+        const grouping = {
+            classId: parseInt(groupingData.classId),
+            name: groupingData.name || `分组方案 ${new Date().toLocaleString('zh-CN')}`,
+            options: groupingData.options || {},
+            groups: groupingData.groups,
+            createdAt: new Date().toISOString()
+        };
 
-        // 计算点名出勤率
-        const attendanceRate = totalStudents > 0 ? Math.round((calledStudentIds.size / totalStudents) * 100) : 0;
+        const groupingId = await this.operation('groupings', 'add', grouping);
+        this.emitChange('grouping:changed', { classId: grouping.classId, groupingId });
+        return groupingId;
+    }
 
-        // 计算最近活跃日期
-        let lastActiveDate = '-';
-        if (records.length > 0) {
-            const sortedRecords = [...records].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            lastActiveDate = new Date(sortedRecords[0].timestamp).toLocaleDateString('zh-CN');
+    /**
+     * 获取班级的所有分组方案（按时间倒序）
+     * @param {number} classId - 班级ID
+     * @returns {Promise<Array>} 分组方案列表
+     */
+    async getGroupingsByClassId(classId) {
+        if (this.fallbackMode) {
+            const allGroupings = await this.operation('groupings', 'getAll');
+            return allGroupings
+                .filter(grouping => grouping.classId === parseInt(classId))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         }
 
-        // 新增：时间段分布统计（按天）
-        const dailyDistribution = this.calculateDailyDistribution(records, timeRange);
-        
-        // 新增：算法使用情况分析
-        const algorithmUsage = this.calculateAlgorithmUsage(records);
+        const db = this.getDB();
+        const transaction = db.transaction(['groupings'], 'readonly');
+        const store = transaction.objectStore('groupings');
+        const index = store.index('classId');
 
-        return {
-            totalStudents,
-            totalCalls,
-            avgCallsPerStudent: parseFloat(avgCallsPerStudent),
-            mostCalledStudent,
-            leastCalledStudent,
-            maxCalls,
-            minCalls: minCalls === Infinity ? 0 : minCalls,
-            neverCalledCount,
-            attendanceRate,
-            lastActiveDate,
-            dailyDistribution,
-            algorithmUsage
-        };
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(parseInt(classId));
+            request.onsuccess = () => {
+                const groupings = request.result;
+                groupings.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                resolve(groupings);
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * 获取学生点名频率数据
+     * 根据ID获取分组方案
+     * @param {number} id - 分组方案ID
      */
-    async getStudentFrequencyData(classId, timeRange = '30') {
-        const students = await this.getStudentsByClassId(classId);
-        let records = await this.getCallRecordsByClassId(classId);
+    async getGroupingById(id) {
+        return await this.operation('groupings', 'get', parseInt(id));
+    }
 
-        // 根据时间范围过滤记录
-        if (timeRange !== 'all') {
-            const days = parseInt(timeRange);
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - days);
+    /**
+     * 删除分组方案
+     * @param {number} id - 分组方案ID
+     */
+    async deleteGrouping(id) {
+        const grouping = await this.getGroupingById(id);
+        const result = await this.operation('groupings', 'delete', parseInt(id));
+        if (grouping) {
+            this.emitChange('grouping:changed', { classId: grouping.classId, groupingId: grouping.id });
+        }
+        return result;
+    }
+
+    // ==================== 考勤管理 ====================
+
+    /**
+     * 获取班级的所有考勤表
+     * @param {number} classId - 班级ID
+     * @returns {Promise<Array>} 考勤表列表 [{ id, classId, date, records: { 学生ID: 'present'|'absent'|'late' } }]
+     */
+    async getAttendanceSheetsByClassId(classId) {
+        if (this.fallbackMode) {
+            const allSheets = await this.operation('attendance', 'getAll');
+            return allSheets.filter(sheet => sheet.classId === parseInt(classId));
+        }
+
+        const db = this.getDB();
+        const transaction = db.transaction(['attendance'], 'readonly');
+        const store = transaction.objectStore('attendance');
+        const index = store.index('classId');
+
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(parseInt(classId));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 获取班级某一天各节课的考勤表，按节次排序
+     * 同一天可以有多节课，每节课一张考勤表；没有节次的旧考勤表视为第 1 节
+     * @param {number} classId - 班级ID
+     * @param {string} date - 日期 (YYYY-MM-DD)
+     * @returns {Promise<Array>} 考勤表列表
+     */
+    async getAttendanceSessions(classId, date) {
+        const sheets = await this.getAttendanceSheetsByClassId(classId);
+        return sheets
+            .filter(sheet => sheet.date === date)
+            .map(sheet => ({ ...sheet, session: sheet.session || 1 }))
+            .sort((a, b) => a.session - b.session);
+    }
+
+    /**
+     * 获取班级某一天某节课的考勤表
+     * @param {number} classId - 班级ID
+     * @param {string} date - 日期 (YYYY-MM-DD)
+     * @param {number|null} session - 节次，为空时取当天最后一节（当前这节课）
+     * @returns {Promise<Object|null>} 考勤表
+     */
+    async getAttendanceSheet(classId, date, session = null) {
+        const sessions = await this.getAttendanceSessions(classId, date);
+        if (session === null) {
+            return sessions[sessions.length - 1] || null;
+        }
+        return sessions.find(sheet => sheet.session === session) || null;
+    }
+
+    /**
+     * 保存班级某一天某节课的考勤表
+     * @param {number} classId - 班级ID
+     * @param {string} date - 日期 (YYYY-MM-DD)
+     * @param {Object} records - 学生考勤状态 { 学生ID: 'present'|'absent'|'late' }
+     * @param {number|null} session - 节次，为空时保存到当天最后一节（还没有考勤表时为第 1 节）
+     * @returns {Promise<number>} 考勤表ID
+     */
+    async saveAttendanceSheet(classId, date, records, session = null) {
+        const existing = await this.getAttendanceSheet(classId, date, session);
+        const sheet = {
+            ...(existing || { createdAt: new Date().toISOString() }),
+            classId: parseInt(classId),
+            date,
+            session: existing ? existing.session : (session || 1),
+            records,
+            updatedAt: new Date().toISOString()
+        };
+
+        const result = await this.operation('attendance', 'put', sheet);
+        this.emitChange('attendance:changed', { classId: sheet.classId, date, session: sheet.session });
+        return result;
+    }
+
+    /**
+     * 开始新的一节课：新建考勤表，所有学生记为出勤
+     * 之后的缺勤排除和点名缺席记录都以这节课为准，之前各节的缺勤不再影响点名
+     * @param {number} classId - 班级ID
+     * @param {string} date - 日期 (YYYY-MM-DD)
+     * @param {Array<number>} studentIds - 班级所有学生ID
+     * @returns {Promise<number>} 新的节次
+     */
+    async startAttendanceSession(classId, date, studentIds) {
+        const sessions = await this.getAttendanceSessions(classId, date);
+        const session = sessions.length > 0 ? sessions[sessions.length - 1].session + 1 : 1;
+        const records = {};
+        studentIds.forEach(id => {
+            records[id] = 'present';
+        });
+
+        await this.saveAttendanceSheet(classId, date, records, session);
+        return session;
+    }
+
+    /**
+     * 根据点名的回答结果更新学生在当前这节课的考勤
+     * 记为缺席时标记缺勤；这节课还没有考勤表时其他学生记为出勤，避免只含一条缺勤记录的考勤表拉低出勤率。
+     * 回答结果改为其他值时，撤销之前的缺勤标记
+     * @param {number} classId - 班级ID
+     * @param {number} studentId - 学生ID
+     * @param {boolean} absent - 是否缺席
+     * @param {Array<number>} studentIds - 班级所有学生ID（新建考勤表时使用）
+     * @param {string} date - 日期 (YYYY-MM-DD)，默认为今天
+     * @returns {Promise<boolean>} 考勤表是否有变化
+     */
+    async updateAttendanceFromCall(classId, studentId, absent, studentIds, date = ComponentUtils.formatDate(new Date())) {
+        const sheet = await this.getAttendanceSheet(classId, date);
+
+        if (!absent) {
+            if (!sheet || sheet.records[studentId] !== 'absent') {
+                return false;
+            }
+            await this.saveAttendanceSheet(classId, date, { ...sheet.records, [studentId]: 'present' }, sheet.session);
+            return true;
+        }
+
+        if (sheet && sheet.records[studentId] === 'absent') {
+            return false;
+        }
+
+        const records = sheet ? { ...sheet.records } : {};
+        if (!sheet) {
+            studentIds.forEach(id => {
+                records[id] = 'present';
+            });
+        }
+        records[studentId] = 'absent';
+        await this.saveAttendanceSheet(classId, date, records, sheet ? sheet.session : null);
+        return true;
+    }
+
+    /**
+     * 获取班级当前这节课（当天最后一节）缺勤的学生ID
+     * @param {number} classId - 班级ID
+     * @param {string} date - 日期 (YYYY-MM-DD)，默认为今天
+     * @returns {Promise<Array<number>>} 缺勤学生ID
+     */
+    async getAbsentStudentIds(classId, date = ComponentUtils.formatDate(new Date())) {
+        const sheet = await this.getAttendanceSheet(classId, date);
+        if (!sheet) {
+            return [];
+        }
+
+        return Object.entries(sheet.records)
+            .filter(([, status]) => status === 'absent')
+            .map(([studentId]) => parseInt(studentId));
+    }
+
+    /**
+     * 计算考勤出勤率（出勤与迟到均计为到课）
+     * @param {Array} sheets - 考勤表列表
+     * @returns {number|null} 出勤率百分比，没有考勤数据时为 null
+     */
+    calculateAttendanceRate(sheets) {
+        let total = 0;
+        let attended = 0;
+
+        sheets.forEach(sheet => {
+            Object.values(sheet.records).forEach(status => {
+                total++;
+                if (status === 'present' || status === 'late') {
+                    attended++;
+                }
+            });
+        });
+
+        return total > 0 ? Math.round((attended / total) * 100) : null;
+    }
+
+    // ==================== 统计功能 ====================
+
+    /**
+     * 获取班级统计数据
+     */
+    async getClassStatistics(classId, timeRange = '30') {
+        const students = await this.getStudentsByClassId(classId);
+        let records = await this.getCallRecordsByClassId(classId);
+
+        // 根据时间范围过滤记录
+        if (timeRange !== 'all') {
+            const days = parseInt(timeRange);
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
+            records = records.filter(record => new Date(record.timestamp) >= startDate);
+        }
+
+        const totalCalls = records.length;
+        const totalStudents = students.length;
+        const avgCallsPerStudent = totalStudents > 0 ? (totalCalls / totalStudents).toFixed(1) : 0;
+
+        // 找出被点名最多的学生
+        const studentCallCounts = {};
+        records.forEach(record => {
+            studentCallCounts[record.studentId] = (studentCallCounts[record.studentId] || 0) + 1;
+        });
+
+        let mostCalledStudent = '-';
+        let maxCalls = 0;
+        let leastCalledStudent = '-';
+        let minCalls = Infinity;
+
+        Object.entries(studentCallCounts).forEach(([studentId, count]) => {
+            if (count > maxCalls) {
+                maxCalls = count;
+                const student = students.find(s => s.id === parseInt(studentId));
+                if (student) {
+                    mostCalledStudent = student.name;
+                }
+            }
+            if (count < minCalls) {
+                minCalls = count;
+                const student = students.find(s => s.id === parseInt(studentId));
+                if (student) {
+                    leastCalledStudent = student.name;
+                }
+            }
+        });
+
+        // 计算未被点名的学生数
+        const calledStudentIds = new Set(Object.keys(studentCallCounts).map(id => parseInt(id)));
+        const neverCalledCount = students.filter(student => !calledStudentIds.has(student.id)).length;
+
+        // 根据考勤表计算出勤率
+        let sheets = await this.getAttendanceSheetsByClassId(classId);
+        if (timeRange !== 'all') {
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - parseInt(timeRange));
+            const startKey = ComponentUtils.formatDate(startDate);
+            sheets = sheets.filter(sheet => sheet.date >= startKey);
+        }
+        const attendanceRate = this.calculateAttendanceRate(sheets);
+
+        // 计算最近活跃日期
+        let lastActiveDate = '-';
+        if (records.length > 0) {
+            const sortedRecords = [...records].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            lastActiveDate = new Date(sortedRecords[0].timestamp).toLocaleDateString('zh-CN');
+        }
+
+        // 新增：时间段分布统计（按天）
+        const dailyDistribution = this.calculateDailyDistribution(records, timeRange);
+        
+        // 新增：算法使用情况分析
+        const algorithmUsage = this.calculateAlgorithmUsage(records);
+
+        return {
+            totalStudents,
+            totalCalls,
+            avgCallsPerStudent: parseFloat(avgCallsPerStudent),
+            mostCalledStudent,
+            leastCalledStudent,
+            maxCalls,
+            minCalls: minCalls === Infinity ? 0 : minCalls,
+            neverCalledCount,
+            attendanceRate,
+            lastActiveDate,
+            dailyDistribution,
+            algorithmUsage
+        };
+    }
+
+    /**
+     * 获取学生点名频率数据
+     */
+    async getStudentFrequencyData(classId, timeRange = '30') {
+        const students = await this.getStudentsByClassId(classId);
+        let records = await this.getCallRecordsByClassId(classId);
+
+        // 根据时间范围过滤记录
+        if (timeRange !== 'all') {
+            const days = parseInt(timeRange);
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
             records = records.filter(record => new Date(record.timestamp) >= startDate);
         }
 
@@ -728,13 +1555,93 @@ class StorageManager {
         return frequencyData;
     }
 
+    /**
+     * 获取学生答题表现数据
+     * @param {number} classId - 班级ID
+     * @param {string} timeRange - 时间范围（天数或'all'）
+     * @returns {Promise<Array>} 每个学生的回答次数、正确率、平均分和趋势
+     */
+    async getStudentPerformanceData(classId, timeRange = '30') {
+        const students = await this.getStudentsByClassId(classId);
+        let records = await this.getCallRecordsByClassId(classId);
+
+        // 根据时间范围过滤记录
+        if (timeRange !== 'all') {
+            const days = parseInt(timeRange);
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
+            records = records.filter(record => new Date(record.timestamp) >= startDate);
+        }
+
+        // 只统计记录了回答结果的点名，按时间正序
+        records = records
+            .filter(record => record.outcome)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        // 正确计1分，部分正确计0.5分，错误和跳过计0分，缺席不计入
+        const outcomeValue = { correct: 1, partial: 0.5, wrong: 0, passed: 0 };
+        const accuracyOf = (outcomes) => {
+            const answered = outcomes.filter(outcome => outcome in outcomeValue);
+            if (answered.length === 0) return null;
+            const total = answered.reduce((sum, outcome) => sum + outcomeValue[outcome], 0);
+            return Math.round((total / answered.length) * 100);
+        };
+
+        const performanceData = students.map(student => {
+            const studentRecords = records.filter(record => record.studentId === student.id);
+            const outcomes = studentRecords.map(record => record.outcome);
+            const scores = studentRecords
+                .map(record => record.score)
+                .filter(score => score !== null && score !== undefined);
+
+            const counts = { correct: 0, partial: 0, wrong: 0, passed: 0, absent: 0 };
+            outcomes.forEach(outcome => {
+                counts[outcome] = (counts[outcome] || 0) + 1;
+            });
+
+            // 趋势：比较后半段与前半段的正确率
+            const answered = outcomes.filter(outcome => outcome in outcomeValue);
+            let trend = 'flat';
+            if (answered.length >= 4) {
+                const middle = Math.floor(answered.length / 2);
+                const earlier = accuracyOf(answered.slice(0, middle));
+                const later = accuracyOf(answered.slice(middle));
+                if (later - earlier >= 10) {
+                    trend = 'up';
+                } else if (earlier - later >= 10) {
+                    trend = 'down';
+                }
+            }
+
+            return {
+                studentId: student.id,
+                name: student.name,
+                total: outcomes.length,
+                ...counts,
+                accuracy: accuracyOf(outcomes),
+                avgScore: scores.length > 0
+                    ? parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1))
+                    : null,
+                recent: outcomes.slice(-10),
+                trend
+            };
+        });
+
+        // 按正确率排序，没有数据的学生排在最后
+        performanceData.sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1));
+
+        return performanceData;
+    }
+
     // ==================== 设置管理 ====================
 
     /**
      * 保存设置
      */
     async saveSetting(key, value) {
-        return await this.operation('settings', 'put', { key, value });
+        const result = await this.operation('settings', 'put', { key, value, updatedAt: new Date().toISOString() });
+        this.emitChange('settings:changed', { key });
+        return result;
     }
 
     /**
@@ -769,47 +1676,1332 @@ class StorageManager {
             classes: await this.operation('classes', 'getAll'),
             students: await this.operation('students', 'getAll'),
             callRecords: await this.operation('callRecords', 'getAll'),
-            settings: await this.operation('settings', 'getAll')
+            settings: await this.operation('settings', 'getAll'),
+            drawPools: await this.operation('drawPools', 'getAll'),
+            groupings: await this.operation('groupings', 'getAll'),
+            attendance: await this.operation('attendance', 'getAll')
         };
 
         return backup;
     }
 
     /**
-     * 恢复数据
+     * 创建本地快照，保存在 backups 表中并按保留策略清理旧快照
+     * @param {string} reason - 创建原因（manual / daily / calls / preRestore）
+     * @param {Object} retention - 保留策略，见 pruneSnapshots
+     * @returns {Promise<number>} 快照ID
      */
-    async restoreData(backupData) {
-        if (!backupData.version || !backupData.classes) {
-            throw new Error('无效的备份文件');
+    async createSnapshot(reason = 'manual', retention = {}) {
+        const data = await this.backupData();
+        const snapshot = {
+            type: 'snapshot',
+            reason,
+            createdAt: new Date().toISOString(),
+            counts: {
+                classes: data.classes.length,
+                students: data.students.length,
+                callRecords: data.callRecords.length
+            },
+            data
+        };
+
+        const snapshotId = await this.operation('backups', 'add', snapshot);
+        await this.saveSetting('callsSinceSnapshot', 0);
+        await this.pruneSnapshots(retention);
+        return snapshotId;
+    }
+
+    /**
+     * 获取所有快照（不含数据内容），按时间倒序
+     * @returns {Promise<Array>} 快照列表
+     */
+    async getSnapshots() {
+        const backups = await this.operation('backups', 'getAll');
+        return backups
+            .map(({ data, ...snapshot }) => ({
+                ...snapshot,
+                counts: snapshot.counts || {
+                    classes: (data.classes || []).length,
+                    students: (data.students || []).length,
+                    callRecords: (data.callRecords || []).length
+                }
+            }))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * 获取快照详情（含数据内容）
+     * @param {number} id - 快照ID
+     * @returns {Promise<Object|null>} 快照
+     */
+    async getSnapshotById(id) {
+        return await this.operation('backups', 'get', parseInt(id));
+    }
+
+    /**
+     * 删除快照
+     * @param {number} id - 快照ID
+     */
+    async deleteSnapshot(id) {
+        return await this.operation('backups', 'delete', parseInt(id));
+    }
+
+    /**
+     * 按保留策略清理自动快照：保留最近若干天每天最新的一个、最近若干周每周最新的一个
+     * 恢复前快照只保留最近的 maxPreRestoreSnapshots 个；手动快照和升级前备份不会被清理
+     * @param {Object} retention - 保留策略
+     * @param {number} retention.daily - 保留的天数，默认 7
+     * @param {number} retention.weekly - 保留的周数，默认 4
+     * @returns {Promise<number>} 删除的快照数量
+     */
+    async pruneSnapshots(retention = {}) {
+        const daily = retention.daily ?? 7;
+        const weekly = retention.weekly ?? 4;
+        const allSnapshots = (await this.getSnapshots()).filter(snapshot => snapshot.type === 'snapshot');
+        const snapshots = allSnapshots.filter(snapshot => snapshot.reason !== 'manual' && snapshot.reason !== 'preRestore');
+
+        // 每周以周一为起点
+        const weekOf = (date) => {
+            const monday = new Date(date);
+            monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+            return ComponentUtils.formatDate(monday);
+        };
+
+        const keep = new Set();
+        const keepNewestPerBucket = (bucketOf, limit) => {
+            const buckets = new Set();
+            snapshots.forEach(snapshot => {
+                const bucket = bucketOf(new Date(snapshot.createdAt));
+                if (buckets.has(bucket)) return;
+                if (buckets.size >= limit) return;
+                buckets.add(bucket);
+                keep.add(snapshot.id);
+            });
+        };
+        keepNewestPerBucket(date => ComponentUtils.formatDate(date), daily);
+        keepNewestPerBucket(weekOf, weekly);
+
+        const expired = snapshots.filter(snapshot => !keep.has(snapshot.id)).concat(
+            allSnapshots.filter(snapshot => snapshot.reason === 'preRestore').slice(this.maxPreRestoreSnapshots)
+        );
+        for (const snapshot of expired) {
+            await this.deleteSnapshot(snapshot.id);
         }
+        return expired.length;
+    }
 
-        // 清空现有数据
-        await this.operation('classes', 'clear');
-        await this.operation('students', 'clear');
-        await this.operation('callRecords', 'clear');
-        await this.operation('settings', 'clear');
+    /**
+     * 根据自动备份设置判断是否需要创建快照，需要时创建
+     * @param {Object} options - 自动备份设置
+     * @param {string} options.mode - off / daily（每天）/ calls（每 N 次点名）
+     * @param {number} options.everyCalls - calls 模式下的点名次数
+     * @param {Object} options.retention - 保留策略
+     * @param {number} newCalls - 本次新增的点名次数，calls 模式下累加到上次快照以来的点名次数中
+     * @returns {Promise<number|null>} 新快照ID，未创建时为 null
+     */
+    async runScheduledSnapshot(options = {}, newCalls = 0) {
+        if (!options.mode || options.mode === 'off') {
+            return null;
+        }
 
-        // 恢复数据
-        const promises = [
-            this.operation('classes', 'add', backupData.classes),
-            this.operation('students', 'add', backupData.students),
-            this.operation('callRecords', 'add', backupData.callRecords),
-            this.operation('settings', 'put', backupData.settings)
-        ];
+        if (options.mode === 'daily') {
+            const snapshots = (await this.getSnapshots()).filter(snapshot => snapshot.type === 'snapshot');
+            const last = snapshots[0];
+            if (last && ComponentUtils.formatDate(new Date(last.createdAt)) === ComponentUtils.formatDate(new Date())) {
+                return null;
+            }
+            return await this.createSnapshot('daily', options.retention);
+        }
 
-        await Promise.all(promises);
-        return true;
+        if (options.mode === 'calls') {
+            const everyCalls = Math.max(1, parseInt(options.everyCalls) || 20);
+            const sinceLast = (await this.getSetting('callsSinceSnapshot', 0)) + newCalls;
+            if (sinceLast < everyCalls) {
+                if (newCalls > 0) {
+                    await this.saveSetting('callsSinceSnapshot', sinceLast);
+                }
+                return null;
+            }
+            return await this.createSnapshot('calls', options.retention);
+        }
+
+        return null;
     }
 
     /**
-     * 清空所有数据
+     * 判断是否为加密备份文件
+     * @param {Object} data - 备份文件内容
+     * @returns {boolean} 是否加密
      */
-    async clearAllData() {
-        await this.operation('classes', 'clear');
-        await this.operation('students', 'clear');
-        await this.operation('callRecords', 'clear');
-        await this.operation('settings', 'clear');
-        return true;
+    isEncryptedBackup(data) {
+        return !!data && data.format === 'rollcall-encrypted-backup';
+    }
+
+    /**
+     * 检查加密备份所需的 Web Crypto 是否可用
+     * crypto.subtle 只在安全上下文（https 或 localhost）中提供，通过局域网 http 地址打开时不可用
+     */
+    assertBackupCryptoAvailable() {
+        if (!window.isSecureContext || !window.crypto || !window.crypto.subtle) {
+            throw new Error('当前页面不是通过 https 或 localhost 打开的，浏览器不提供加密功能，无法使用加密备份');
+        }
+    }
+
+    /**
+     * 由密码派生 AES-GCM 密钥（PBKDF2-SHA-256）
+     * @param {string} passphrase - 密码
+     * @param {Uint8Array} salt - 盐
+     * @param {number} iterations - 迭代次数
+     * @returns {Promise<CryptoKey>} 密钥
+     */
+    async deriveBackupKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 使用密码加密备份数据
+     * @param {Object} backupData - 备份数据
+     * @param {string} passphrase - 密码
+     * @returns {Promise<Object>} 加密后的备份文件内容（带版本号的信封）
+     */
+    async encryptBackup(backupData, passphrase) {
+        if (!passphrase) {
+            throw new Error('请输入密码');
+        }
+
+        this.assertBackupCryptoAvailable();
+
+        const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = 250000;
+
+        const key = await this.deriveBackupKey(passphrase, salt, iterations);
+        const plaintext = new TextEncoder().encode(JSON.stringify(backupData));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        // 大文件分段转换，避免参数过多
+        const bytes = new Uint8Array(ciphertext);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        return {
+            format: 'rollcall-encrypted-backup',
+            envelopeVersion: 1,
+            createdAt: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+            data: btoa(binary)
+        };
+    }
+
+    /**
+     * 使用密码解密备份文件
+     * @param {Object} envelope - 加密的备份文件内容
+     * @param {string} passphrase - 密码
+     * @returns {Promise<Object>} 解密后的备份数据
+     */
+    async decryptBackup(envelope, passphrase) {
+        if (!this.isEncryptedBackup(envelope)) {
+            throw new Error('不是加密的备份文件');
+        }
+        if (envelope.envelopeVersion !== 1) {
+            throw new Error(`不支持的加密备份版本: ${envelope.envelopeVersion}`);
+        }
+
+        this.assertBackupCryptoAvailable();
+
+        // 迭代次数来自文件，限制上限，避免构造的文件让页面长时间无响应
+        const iterations = envelope.kdf && envelope.kdf.iterations;
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > this.maxBackupKdfIterations) {
+            throw new Error('加密备份文件的密钥参数无效');
+        }
+
+        const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+        let plaintext;
+        try {
+            const key = await this.deriveBackupKey(passphrase, fromBase64(envelope.kdf.salt), iterations);
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+                key,
+                fromBase64(envelope.data)
+            );
+        } catch (error) {
+            console.error('解密备份失败:', error);
+            throw new Error('密码错误或备份文件已损坏');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * 备份文件的 JSON Schema（draft-07 子集：type、required、properties、items、enum、minimum）
+     * @returns {Object} Schema
+     */
+    getBackupSchema() {
+        const id = { type: 'integer', minimum: 1 };
+        const timestamp = { type: ['string', 'null'] };
+
+        return {
+            type: 'object',
+            required: ['version', 'classes', 'students', 'callRecords'],
+            properties: {
+                version: { type: ['integer', 'string'] },
+                timestamp: { type: 'string' },
+                classes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name'],
+                        properties: { id, name: { type: ['string', 'number'] }, createdAt: timestamp }
+                    }
+                },
+                students: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'classId', 'name'],
+                        properties: {
+                            id,
+                            classId: id,
+                            name: { type: ['string', 'number'] },
+                            callCount: { type: 'integer', minimum: 0 },
+                            lastCalled: timestamp,
+                            status: { enum: ['normal', 'excluded'] }
+                        }
+                    }
+                },
+                callRecords: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'classId', 'studentId', 'timestamp'],
+                        properties: {
+                            id,
+                            classId: id,
+                            studentId: id,
+                            timestamp: { type: 'string' },
+                            outcome: { enum: ['correct', 'partial', 'wrong', 'passed', 'absent', null] },
+                            score: { type: ['number', 'null'] }
+                        }
+                    }
+                },
+                settings: {
+                    type: 'array',
+                    items: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } }
+                },
+                drawPools: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['classId', 'drawnIds'],
+                        properties: { classId: id, drawnIds: { type: 'array', items: id } }
+                    }
+                },
+                groupings: {
+                    type: 'array',
+                    items: { type: 'object', required: ['id', 'classId'], properties: { id, classId: id } }
+                },
+                attendance: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'classId', 'date', 'records'],
+                        properties: { id, classId: id, date: { type: 'string' }, session: id, records: { type: 'object' } }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 按 JSON Schema 校验数据
+     * @param {*} value - 待校验的值
+     * @param {Object} schema - Schema
+     * @param {string} path - 当前路径（用于错误提示）
+     * @param {Array} errors - 错误列表
+     * @returns {Array<string>} 错误列表
+     */
+    validateSchema(value, schema, path = '备份文件', errors = []) {
+        const typeOf = (v) => {
+            if (v === null) return 'null';
+            if (Array.isArray(v)) return 'array';
+            if (Number.isInteger(v)) return 'integer';
+            return typeof v;
+        };
+
+        if (schema.enum && value !== undefined && !schema.enum.includes(value)) {
+            errors.push(`${path} 的值 "${value}" 无效`);
+            return errors;
+        }
+
+        if (schema.type) {
+            const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = typeOf(value);
+            const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+            if (!matches) {
+                errors.push(`${path} 应为 ${allowed.join(' 或 ')}`);
+                return errors;
+            }
+        }
+
+        if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+            errors.push(`${path} 不能小于 ${schema.minimum}`);
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path} 缺少字段 ${key}`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    this.validateSchema(value[key], propertySchema, `${path}.${key}`, errors);
+                }
+            });
+        }
+
+        if (typeOf(value) === 'array' && schema.items) {
+            // 错误过多时只报告前面的部分
+            for (let i = 0; i < value.length && errors.length < 20; i++) {
+                this.validateSchema(value[i], schema.items, `${path}[${i}]`, errors);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * 校验备份数据，包括 Schema 和数据之间的引用关系
+     * @param {Object} backupData - 备份数据
+     * @returns {Array<string>} 错误列表，为空表示校验通过
+     */
+    validateBackup(backupData) {
+        const errors = this.validateSchema(backupData, this.getBackupSchema());
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        const checkUniqueIds = (storeName) => {
+            const ids = new Set();
+            (backupData[storeName] || []).forEach(item => {
+                if (ids.has(item.id)) {
+                    errors.push(`${storeName} 中存在重复的 id ${item.id}`);
+                }
+                ids.add(item.id);
+            });
+            return ids;
+        };
+
+        const classIds = checkUniqueIds('classes');
+        checkUniqueIds('students');
+        checkUniqueIds('callRecords');
+
+        backupData.students.forEach(student => {
+            if (!classIds.has(student.classId)) {
+                errors.push(`学生 ${student.name} 所属的班级 ${student.classId} 不存在`);
+            }
+        });
+        backupData.callRecords.forEach(record => {
+            if (!classIds.has(record.classId)) {
+                errors.push(`点名记录 ${record.id} 所属的班级 ${record.classId} 不存在`);
+            }
+        });
+
+        return errors.slice(0, 20);
+    }
+
+    /**
+     * 将旧版本的备份数据升级到当前版本
+     * 复用数据库迁移中的数据转换，并补全旧版本缺少的数据表
+     * @param {Object} backupData - 备份数据
+     * @returns {Object} 升级后的备份数据（不修改原对象）
+     */
+    upgradeBackup(backupData) {
+        const backupVersion = parseInt(backupData.version) || 1;
+        if (backupVersion > this.version) {
+            throw new Error(`备份文件版本 ${backupData.version} 高于当前系统版本 ${this.version}，请先升级系统`);
+        }
+
+        const upgraded = { ...backupData, version: this.version };
+        ['settings', 'drawPools', 'groupings', 'attendance'].forEach(storeName => {
+            upgraded[storeName] = Array.isArray(backupData[storeName]) ? backupData[storeName] : [];
+        });
+
+        this.getMigrations()
+            .filter(migration => migration.version > backupVersion)
+            .forEach(migration => {
+                Object.entries(migration.transforms || {}).forEach(([storeName, transform]) => {
+                    upgraded[storeName] = (upgraded[storeName] || []).map(record => transform(record) || record);
+                });
+            });
+
+        return upgraded;
+    }
+
+    /**
+     * 恢复数据
+     * 先校验并升级备份数据，再在一个跨表事务中清空并写入，任何一步失败都会回滚，原有数据保持不变
+     * 恢复时保留原始ID，点名记录仍指向对应的学生
+     * @param {Object} backupData - 备份数据
+     * @returns {Promise<Object>} 各数据表恢复的记录数
+     */
+    async restoreData(backupData) {
+        if (!backupData || typeof backupData !== 'object') {
+            throw new Error('无效的备份文件');
+        }
+
+        const errors = this.validateBackup(backupData);
+        if (errors.length > 0) {
+            const error = new Error(`备份文件校验失败：${errors[0]}`);
+            error.details = errors;
+            throw error;
+        }
+
+        const data = this.upgradeBackup(backupData);
+        const storeNames = ['classes', 'students', 'callRecords', 'settings', 'drawPools', 'groupings', 'attendance'];
+        const counts = {};
+        storeNames.forEach(storeName => {
+            counts[storeName] = data[storeName].length;
+        });
+
+        if (this.fallbackMode) {
+            this.restoreLocalStorage(data, storeNames);
+        } else {
+            await new Promise((resolve, reject) => {
+                const transaction = this.getDB().transaction(storeNames, 'readwrite');
+                transaction.oncomplete = () => resolve();
+                transaction.onabort = () => reject(transaction.error || new Error('恢复数据失败，已回滚'));
+
+                try {
+                    storeNames.forEach(storeName => {
+                        const store = transaction.objectStore(storeName);
+                        store.clear();
+                        data[storeName].forEach(item => store.put(item));
+                    });
+                } catch (error) {
+                    transaction.abort();
+                    reject(error);
+                }
+            });
+        }
+
+        await this.logSystemAction('restoreData', { backupVersion: backupData.version, counts });
+        this.resetSyncState();
+        this.emitChange('data:restored');
+        return counts;
+    }
+
+    /**
+     * localStorage 备用方案下的恢复，写入失败时还原原有数据
+     * @param {Object} data - 已校验并升级的备份数据
+     * @param {Array<string>} storeNames - 需要恢复的数据表
+     */
+    restoreLocalStorage(data, storeNames) {
+        const previous = {};
+        storeNames.forEach(storeName => {
+            previous[storeName] = localStorage.getItem(`${this.dbName}_${storeName}`);
+        });
+
+        try {
+            storeNames.forEach(storeName => {
+                localStorage.setItem(`${this.dbName}_${storeName}`, JSON.stringify(data[storeName]));
+            });
+        } catch (error) {
+            storeNames.forEach(storeName => {
+                const key = `${this.dbName}_${storeName}`;
+                if (previous[storeName] === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, previous[storeName]);
+                }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 生成合并导入计划（只读取数据，不做任何修改，用于预览）
+     * 同名班级合并到已有班级；学生按学号或姓名匹配；点名记录按学生和时间去重；设置冲突时保留较新的值
+     * 新增的班级、学生和点名记录使用新的同步ID，避免与备份来源设备上的记录在同步时相互覆盖
+     * @param {Object} backupData - 备份数据
+     * @param {Object} options - 选项
+     * @param {Array<number>} options.classIds - 要导入的备份班级ID，默认全部
+     * @param {string} options.matchBy - 学生匹配方式：'studentId'（学号，匹配不到时按姓名匹配未填学号的学生）或 'name'
+     * @returns {Promise<Object>} { summary: 各数据表的新增/更新/跳过数量, writes: 需要写入的记录, affectedClassIds, data, options }
+     */
+    async planMerge(backupData, options = {}) {
+        const errors = this.validateBackup(backupData);
+        if (errors.length > 0) {
+            const error = new Error(`备份文件校验失败：${errors[0]}`);
+            error.details = errors;
+            throw error;
+        }
+
+        const data = this.upgradeBackup(backupData);
+        const current = {};
+        for (const storeName of this.getMergeStoreNames()) {
+            current[storeName] = await this.operation(storeName, 'getAll');
+        }
+
+        return this.buildMergePlan(data, options, current);
+    }
+
+    /**
+     * 合并导入涉及的数据表
+     * @returns {Array<string>} 表名
+     */
+    getMergeStoreNames() {
+        return ['classes', 'students', 'callRecords', 'settings', 'groupings', 'attendance'];
+    }
+
+    /**
+     * 按当前数据生成合并计划，不读写数据库
+     * @param {Object} data - 已升级的备份数据
+     * @param {Object} options - 选项，见 planMerge
+     * @param {Object} current - 当前数据 { 表名: 全部记录 }
+     * @returns {Object} 合并计划，见 planMerge
+     */
+    buildMergePlan(data, options, current) {
+        const matchBy = options.matchBy === 'studentId' ? 'studentId' : 'name';
+        const selectedClassIds = new Set(options.classIds || data.classes.map(c => c.id));
+        const storeNames = this.getMergeStoreNames();
+
+        const summary = {};
+        const writes = {};
+        const nextId = {};
+        storeNames.forEach(storeName => {
+            summary[storeName] = { added: 0, updated: 0, skipped: 0 };
+            writes[storeName] = [];
+            nextId[storeName] = current[storeName].reduce((max, item) => Math.max(max, item.id || 0), 0) + 1;
+        });
+        const add = (storeName, record) => {
+            writes[storeName].push(record);
+            summary[storeName].added++;
+        };
+
+        // 班级：同名班级合并，其余新增
+        const classMap = new Map();
+        data.classes.filter(cls => selectedClassIds.has(cls.id)).forEach(cls => {
+            const existing = current.classes.find(c => c.name === cls.name);
+            if (existing) {
+                classMap.set(cls.id, existing.id);
+                summary.classes.skipped++;
+            } else {
+                const id = nextId.classes++;
+                classMap.set(cls.id, id);
+                add('classes', { ...cls, id, syncId: this.generateSyncId(), studentCount: 0, totalCalls: 0 });
+            }
+        });
+
+        // 学生：按学号或姓名匹配已有学生
+        const studentMap = new Map();
+        const targetStudents = new Map();
+        const sameName = (a, b) => String(a.name).trim() === String(b.name).trim();
+        const findMatch = (candidates, student) => {
+            if (matchBy === 'studentId' && student.studentId) {
+                const match = candidates.find(s => s.studentId === student.studentId);
+                if (match) return match;
+            }
+            // 按学号匹配时，双方都填了学号且不同的同名学生视为不同的人
+            return candidates.find(s => sameName(s, student) &&
+                (matchBy === 'name' || !s.studentId || !student.studentId)) || null;
+        };
+        const classStudents = (classId) => current.students
+            .filter(s => s.classId === classId)
+            .concat(writes.students.filter(s => s.classId === classId));
+
+        data.students.filter(student => classMap.has(student.classId)).forEach(student => {
+            const classId = classMap.get(student.classId);
+            const match = findMatch(classStudents(classId), student);
+
+            if (match) {
+                studentMap.set(student.id, match.id);
+                if (!targetStudents.has(match.id)) {
+                    targetStudents.set(match.id, { original: match, updated: { ...match }, isNew: false });
+                }
+                // 补全已有学生缺少的信息
+                const target = targetStudents.get(match.id).updated;
+                ['studentId', 'phone', 'email', 'notes'].forEach(field => {
+                    if (!target[field] && student[field]) {
+                        target[field] = student[field];
+                    }
+                });
+            } else {
+                const id = nextId.students++;
+                const newStudent = { ...student, id, classId, syncId: this.generateSyncId(), callCount: 0, lastCalled: null };
+                studentMap.set(student.id, id);
+                writes.students.push(newStudent);
+                targetStudents.set(id, { original: null, updated: newStudent, isNew: true });
+            }
+        });
+
+        // 点名记录：按学生和时间去重
+        const recordKeys = new Set(current.callRecords.map(record => `${record.studentId}|${record.timestamp}`));
+        data.callRecords.filter(record => classMap.has(record.classId)).forEach(record => {
+            const studentId = studentMap.get(record.studentId);
+            const key = `${studentId}|${record.timestamp}`;
+            if (!studentId || recordKeys.has(key)) {
+                summary.callRecords.skipped++;
+                return;
+            }
+
+            recordKeys.add(key);
+            add('callRecords', {
+                ...record,
+                id: nextId.callRecords++,
+                syncId: this.generateSyncId(),
+                classId: classMap.get(record.classId),
+                studentId
+            });
+
+            // 累加点名次数
+            const target = targetStudents.get(studentId).updated;
+            target.callCount = (target.callCount || 0) + 1;
+            if (!target.lastCalled || new Date(record.timestamp) > new Date(target.lastCalled)) {
+                target.lastCalled = record.timestamp;
+            }
+        });
+
+        targetStudents.forEach(({ original, updated, isNew }) => {
+            if (isNew) {
+                summary.students.added++;
+            } else if (JSON.stringify(original) !== JSON.stringify(updated)) {
+                writes.students.push({ ...updated, updatedAt: new Date().toISOString() });
+                summary.students.updated++;
+            } else {
+                summary.students.skipped++;
+            }
+        });
+
+        // 设置：冲突时保留较新的值（没有修改时间的设置以备份时间为准）
+        data.settings.forEach(setting => {
+            const existing = current.settings.find(s => s.key === setting.key);
+            if (!existing) {
+                add('settings', setting);
+                return;
+            }
+
+            const backupTime = setting.updatedAt || data.timestamp || '';
+            const existingTime = existing.updatedAt || '';
+            if (JSON.stringify(existing.value) !== JSON.stringify(setting.value) && backupTime > existingTime) {
+                writes.settings.push({ ...setting, updatedAt: backupTime });
+                summary.settings.updated++;
+            } else {
+                summary.settings.skipped++;
+            }
+        });
+
+        // 分组方案：按班级和创建时间去重
+        const mapMembers = (members) => members
+            .filter(member => studentMap.has(member.id))
+            .map(member => ({ ...member, id: studentMap.get(member.id) }));
+        data.groupings.filter(grouping => classMap.has(grouping.classId)).forEach(grouping => {
+            const classId = classMap.get(grouping.classId);
+            if (current.groupings.some(g => g.classId === classId && g.createdAt === grouping.createdAt)) {
+                summary.groupings.skipped++;
+                return;
+            }
+            add('groupings', {
+                ...grouping,
+                id: nextId.groupings++,
+                classId,
+                groups: (grouping.groups || []).map(group => ({ ...group, members: mapMembers(group.members || []) }))
+            });
+        });
+
+        // 考勤表：同一天同一节课的考勤表只补充缺少的学生
+        data.attendance.filter(sheet => classMap.has(sheet.classId)).forEach(sheet => {
+            const classId = classMap.get(sheet.classId);
+            const records = {};
+            Object.entries(sheet.records).forEach(([studentId, status]) => {
+                const mappedId = studentMap.get(parseInt(studentId));
+                if (mappedId) {
+                    records[mappedId] = status;
+                }
+            });
+
+            const existing = current.attendance.find(s =>
+                s.classId === classId && s.date === sheet.date && (s.session || 1) === (sheet.session || 1)
+            );
+            if (!existing) {
+                add('attendance', { ...sheet, id: nextId.attendance++, classId, records });
+                return;
+            }
+
+            const missing = Object.keys(records).filter(studentId => !(studentId in existing.records));
+            if (missing.length === 0) {
+                summary.attendance.skipped++;
+                return;
+            }
+            const merged = { ...existing.records };
+            missing.forEach(studentId => {
+                merged[studentId] = records[studentId];
+            });
+            writes.attendance.push({ ...existing, records: merged, updatedAt: new Date().toISOString() });
+            summary.attendance.updated++;
+        });
+
+        return { summary, writes, affectedClassIds: [...new Set(classMap.values())], data, options };
+    }
+
+    /**
+     * 执行合并导入计划，所有写入在一个事务中完成
+     * 预览之后其他页面、手机遥控或同步可能已修改数据，因此在写入的同一事务中重新读取数据并重新生成计划，
+     * 新记录的ID和已有记录的内容都以写入时的数据为准，不会覆盖预览之后的修改
+     * @param {Object} plan - planMerge 生成的计划
+     * @returns {Promise<Object>} 合并结果汇总（按写入时的数据统计，可能与预览不同）
+     */
+    async applyMergePlan(plan) {
+        const storeNames = this.getMergeStoreNames();
+        let merged;
+
+        if (this.fallbackMode) {
+            // localStorage 的读写是同步的，读取到写入之间不会插入其他修改
+            const current = {};
+            storeNames.forEach(storeName => {
+                current[storeName] = this.localStorageOperation(storeName, 'getAll');
+            });
+            merged = this.buildMergePlan(plan.data, plan.options, current);
+
+            const records = {};
+            storeNames.forEach(storeName => {
+                const keyPath = this.getStoreKeyPath(storeName);
+                const byKey = new Map(current[storeName].map(item => [item[keyPath], item]));
+                merged.writes[storeName].forEach(item => byKey.set(item[keyPath], item));
+                records[storeName] = [...byKey.values()];
+            });
+            this.restoreLocalStorage(records, storeNames);
+        } else {
+            merged = await new Promise((resolve, reject) => {
+                const transaction = this.getDB().transaction(storeNames, 'readwrite');
+                const current = {};
+                let result = null;
+                transaction.oncomplete = () => resolve(result);
+                transaction.onabort = () => reject(transaction.error || new Error('合并数据失败，已回滚'));
+
+                const write = () => {
+                    try {
+                        result = this.buildMergePlan(plan.data, plan.options, current);
+                        storeNames.forEach(storeName => {
+                            const store = transaction.objectStore(storeName);
+                            result.writes[storeName].forEach(item => store.put(item));
+                        });
+                    } catch (error) {
+                        transaction.abort();
+                        reject(error);
+                    }
+                };
+
+                storeNames.forEach(storeName => {
+                    const request = transaction.objectStore(storeName).getAll();
+                    request.onsuccess = () => {
+                        current[storeName] = request.result;
+                        if (Object.keys(current).length === storeNames.length) {
+                            write();
+                        }
+                    };
+                });
+            });
+        }
+
+        // 重新统计受影响班级的学生数和点名次数
+        for (const classId of merged.affectedClassIds) {
+            await this.updateClassStudentCount(classId);
+            await this.updateClassTotalCalls(classId);
+        }
+
+        await this.logSystemAction('mergeRestore', { summary: merged.summary });
+        this.resetSyncState();
+        this.emitChange('data:restored');
+        return merged.summary;
+    }
+
+    /**
+     * 清空所有数据
+     */
+    async clearAllData() {
+        await this.operation('classes', 'clear');
+        await this.operation('students', 'clear');
+        await this.operation('callRecords', 'clear');
+        await this.operation('settings', 'clear');
+        await this.operation('drawPools', 'clear');
+        await this.operation('groupings', 'clear');
+        await this.operation('attendance', 'clear');
+        await this.operation('tombstones', 'clear');
+        // 清空的是本机数据，下次同步时重新从服务器下载
+        this.resetSyncState();
+        this.emitChange('data:cleared');
+        return true;
+    }
+
+    // ==================== 多设备同步 ====================
+
+    /**
+     * 生成同步ID（UUID v4）
+     * crypto.randomUUID 只在安全上下文（https 或 localhost）中可用，局域网 http 访问时用 getRandomValues 生成
+     * @returns {string} 同步ID
+     */
+    generateSyncId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * 参与同步的数据表
+     * - derived：由其他数据计算的字段，不同步，拉取后在本机重新计算
+     * - refs：引用其他表的字段，同步时转换为被引用记录的同步ID
+     * @returns {Object} { 表名: { derived, refs } }
+     */
+    getSyncCollections() {
+        return {
+            classes: { derived: ['studentCount', 'totalCalls'], refs: {} },
+            students: { derived: ['callCount', 'lastCalled'], refs: { classId: 'classes' } },
+            callRecords: { derived: [], refs: { classId: 'classes', studentId: 'students' } },
+            settings: { derived: [], refs: {} }
+        };
+    }
+
+    /**
+     * 只属于本机、不参与同步的设置项
+     * @returns {Array<string>} 设置键名
+     */
+    getLocalSettingKeys() {
+        return ['recentClassId', 'autoBackup', 'randomState', 'callsSinceSnapshot'];
+    }
+
+    /**
+     * 记录被删除数据的同步ID
+     * @param {string} storeName - 数据表
+     * @param {Array} records - 被删除的记录
+     */
+    async addTombstones(storeName, records) {
+        const deletedAt = new Date().toISOString();
+        for (const record of records) {
+            if (record.syncId) {
+                await this.operation('tombstones', 'add', { store: storeName, syncId: record.syncId, deletedAt });
+            }
+        }
+    }
+
+    /**
+     * 获取同步配置（只保存在本机的 localStorage 中，不随备份导出）
+     * @returns {Object} { enabled, serverUrl, token, cursor, lastPushAt, lastSyncAt, lastError }
+     */
+    getSyncConfig() {
+        const defaults = {
+            enabled: false,
+            serverUrl: '',
+            token: '',
+            cursor: 0,
+            lastPushAt: null,
+            lastSyncAt: null,
+            lastError: null
+        };
+
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(`${this.dbName}_syncConfig`) || '{}') };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * 保存同步配置，启用时开始自动同步
+     * @param {Object} config - 需要修改的配置项
+     * @returns {Object} 保存后的配置
+     */
+    saveSyncConfig(config) {
+        const previous = this.getSyncConfig();
+        const updated = { ...previous, ...config };
+
+        // 换了服务器需要重新完整同步
+        if (config.serverUrl !== undefined && config.serverUrl !== previous.serverUrl) {
+            updated.cursor = 0;
+            updated.lastPushAt = null;
+        }
+
+        localStorage.setItem(`${this.dbName}_syncConfig`, JSON.stringify(updated));
+
+        if (updated.enabled) {
+            this.startAutoSync();
+        } else {
+            this.stopAutoSync();
+        }
+        return updated;
+    }
+
+    /**
+     * 重置同步进度，下次同步时推送全部本地数据并重新拉取全部远程数据
+     */
+    resetSyncState() {
+        const config = this.getSyncConfig();
+        localStorage.setItem(`${this.dbName}_syncConfig`, JSON.stringify({ ...config, cursor: 0, lastPushAt: null }));
+    }
+
+    /**
+     * 开始自动同步：定时同步，本地数据变更后也会很快同步
+     */
+    startAutoSync() {
+        if (this.syncTimer) return;
+
+        this.syncTimer = setInterval(() => this.syncNow().catch(() => {}), 60 * 1000);
+        this.syncNow().catch(() => {});
+    }
+
+    /**
+     * 停止自动同步
+     */
+    stopAutoSync() {
+        clearInterval(this.syncTimer);
+        clearTimeout(this.syncDebounceTimer);
+        this.syncTimer = null;
+    }
+
+    /**
+     * 本地数据变更后延迟同步，合并短时间内的多次修改
+     */
+    scheduleSync() {
+        if (!this.syncTimer || this.applyingRemoteChanges) return;
+
+        clearTimeout(this.syncDebounceTimer);
+        this.syncDebounceTimer = setTimeout(() => this.syncNow().catch(() => {}), 3000);
+    }
+
+    /**
+     * 调用同步服务器接口
+     * @param {string} method - 请求方法
+     * @param {string} path - 接口路径
+     * @param {Object} body - 请求体
+     * @returns {Promise<Object>} 响应数据
+     */
+    async syncRequest(method, path, body = null) {
+        const config = this.getSyncConfig();
+        const baseUrl = (config.serverUrl || '.').replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.token) {
+            headers.Authorization = `Bearer ${config.token}`;
+        }
+
+        const response = await fetch(`${baseUrl}/api/sync${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `同步服务器请求失败 (${response.status})`);
+        }
+        return data;
+    }
+
+    /**
+     * 立即同步：先推送本地变更，再拉取远程变更
+     * 多个标签页同时打开时用 Web Locks 保证同一时间只有一个在同步
+     * @returns {Promise<Object>} { pushed, pulled, skipped }
+     */
+    async syncNow() {
+        if (this.syncPromise) {
+            return this.syncPromise;
+        }
+
+        const run = () => this.runSync();
+        this.syncPromise = (navigator.locks ? navigator.locks.request(`${this.dbName}_sync`, run) : run())
+            .finally(() => {
+                this.syncPromise = null;
+            });
+        return this.syncPromise;
+    }
+
+    /**
+     * 执行一次完整同步
+     * @returns {Promise<Object>} { pushed, pulled, skipped }
+     */
+    async runSync() {
+        const startedAt = new Date().toISOString();
+        const config = this.getSyncConfig();
+
+        try {
+            await this.ensureSyncIds();
+
+            // 推送上次推送之后修改过的记录（首次同步推送全部记录）
+            const changes = await this.collectLocalChanges(config.lastPushAt);
+            let pushed = 0;
+            for (let i = 0; i < changes.length; i += 500) {
+                const result = await this.syncRequest('POST', '/changes', { changes: changes.slice(i, i + 500) });
+                pushed += result.applied;
+            }
+
+            // 服务器数据被重置时，变更序号会小于本地记录的游标
+            let remote = await this.syncRequest('GET', `/changes?since=${config.cursor}`);
+            if (remote.cursor < config.cursor) {
+                remote = await this.syncRequest('GET', '/changes?since=0');
+            }
+            const { pulled, skipped } = await this.applyRemoteChanges(remote.changes);
+
+            this.saveSyncConfig({
+                cursor: remote.cursor,
+                lastPushAt: startedAt,
+                lastSyncAt: new Date().toISOString(),
+                lastError: null
+            });
+            return { pushed, pulled, skipped };
+        } catch (error) {
+            console.error('同步失败:', error);
+            this.saveSyncConfig({ lastError: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 为缺少同步ID的记录补全同步ID（例如从旧版本备份恢复的数据）
+     */
+    async ensureSyncIds() {
+        for (const storeName of ['classes', 'students', 'callRecords']) {
+            const records = await this.operation(storeName, 'getAll');
+            for (const record of records) {
+                if (!record.syncId) {
+                    await this.operation(storeName, 'put', {
+                        ...record,
+                        syncId: this.generateSyncId(),
+                        updatedAt: record.updatedAt || record.timestamp || new Date().toISOString()
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * 收集需要推送的本地变更
+     * @param {string|null} since - 上次推送的时间，为空时收集全部记录
+     * @returns {Promise<Array>} 变更列表 [{ collection, syncId, updatedAt, deleted, data, refs }]
+     */
+    async collectLocalChanges(since) {
+        const collections = this.getSyncCollections();
+        const localKeys = this.getLocalSettingKeys();
+        const isChanged = (time) => !since || (time || '') >= since;
+        const changes = [];
+
+        const classes = await this.operation('classes', 'getAll');
+        const students = await this.operation('students', 'getAll');
+        const syncIds = {
+            classes: new Map(classes.map(record => [record.id, record.syncId])),
+            students: new Map(students.map(record => [record.id, record.syncId]))
+        };
+        const records = {
+            classes,
+            students,
+            callRecords: await this.operation('callRecords', 'getAll'),
+            settings: (await this.operation('settings', 'getAll')).filter(setting => !localKeys.includes(setting.key))
+        };
+
+        Object.entries(collections).forEach(([collection, { derived, refs }]) => {
+            records[collection].forEach(record => {
+                if (!isChanged(record.updatedAt)) return;
+
+                if (collection === 'settings') {
+                    changes.push({
+                        collection,
+                        syncId: record.key,
+                        updatedAt: record.updatedAt || new Date(0).toISOString(),
+                        data: { value: record.value }
+                    });
+                    return;
+                }
+
+                const data = { ...record };
+                ['id', 'syncId', 'updatedAt', ...derived, ...Object.keys(refs)].forEach(field => delete data[field]);
+
+                const refIds = {};
+                Object.entries(refs).forEach(([field, target]) => {
+                    refIds[field] = syncIds[target].get(record[field]) || null;
+                });
+                // 引用的记录已不存在（孤立数据），不推送
+                if (Object.values(refIds).includes(null)) return;
+
+                changes.push({ collection, syncId: record.syncId, updatedAt: record.updatedAt, data, refs: refIds });
+            });
+        });
+
+        const tombstones = await this.operation('tombstones', 'getAll');
+        tombstones
+            .filter(tombstone => isChanged(tombstone.deletedAt))
+            .forEach(tombstone => {
+                changes.push({
+                    collection: tombstone.store,
+                    syncId: tombstone.syncId,
+                    updatedAt: tombstone.deletedAt,
+                    deleted: true
+                });
+            });
+
+        return changes;
+    }
+
+    /**
+     * 应用从服务器拉取的变更（最后写入者获胜）
+     * 本地记录（或本地删除记录）更新时间不早于远程变更时保留本地数据
+     * @param {Array} changes - 远程变更
+     * @returns {Promise<Object>} { pulled, skipped }
+     */
+    async applyRemoteChanges(changes) {
+        const collections = this.getSyncCollections();
+        const order = Object.keys(collections);
+        const localKeys = this.getLocalSettingKeys();
+        const summary = { pulled: 0, skipped: 0 };
+        if (changes.length === 0) return summary;
+
+        // 按同步ID索引本地数据
+        const local = {};
+        for (const collection of order) {
+            const records = await this.operation(collection, 'getAll');
+            local[collection] = new Map(records.map(record => [collection === 'settings' ? record.key : record.syncId, record]));
+        }
+        const deletedAt = new Map((await this.operation('tombstones', 'getAll')).map(item => [item.syncId, item.deletedAt]));
+
+        const affectedClassIds = new Set();
+        const affectedStudentIds = new Set();
+        const sorted = [...changes].sort((a, b) =>
+            order.indexOf(a.collection) - order.indexOf(b.collection) || a.seq - b.seq
+        );
+
+        this.applyingRemoteChanges = true;
+        try {
+            for (const change of sorted) {
+                if (change.collection === 'settings' && localKeys.includes(change.syncId)) continue;
+
+                const existing = local[change.collection].get(change.syncId);
+                const localTime = existing ? (existing.updatedAt || '') : (deletedAt.get(change.syncId) || '');
+                if (localTime >= change.updatedAt) continue;
+
+                if (change.deleted) {
+                    if (existing) {
+                        await this.deleteSyncedRecord(change.collection, existing);
+                        local[change.collection].delete(change.syncId);
+                        if (existing.classId) affectedClassIds.add(existing.classId);
+                        if (change.collection === 'callRecords') affectedStudentIds.add(existing.studentId);
+                        summary.pulled++;
+                    }
+                    continue;
+                }
+
+                if (change.collection === 'settings') {
+                    const setting = { key: change.syncId, value: change.data.value, updatedAt: change.updatedAt };
+                    await this.operation('settings', 'put', setting);
+                    local.settings.set(change.syncId, setting);
+                    summary.pulled++;
+                    continue;
+                }
+
+                // 把引用的同步ID转换为本地ID，被引用的记录不存在时跳过
+                const { derived, refs } = collections[change.collection];
+                const refIds = {};
+                Object.entries(refs).forEach(([field, target]) => {
+                    const targetRecord = local[target].get((change.refs || {})[field]);
+                    refIds[field] = targetRecord ? targetRecord.id : null;
+                });
+                if (Object.values(refIds).includes(null)) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                const derivedDefaults = { studentCount: 0, totalCalls: 0, callCount: 0, lastCalled: null };
+                const record = {
+                    ...(existing || Object.fromEntries(derived.map(field => [field, derivedDefaults[field]]))),
+                    ...change.data,
+                    ...refIds,
+                    syncId: change.syncId,
+                    updatedAt: change.updatedAt
+                };
+                if (existing) {
+                    record.id = existing.id;
+                    await this.operation(change.collection, 'put', record);
+                } else {
+                    record.id = await this.operation(change.collection, 'add', record);
+                }
+                local[change.collection].set(change.syncId, record);
+
+                if (change.collection === 'classes') affectedClassIds.add(record.id);
+                if (record.classId) affectedClassIds.add(record.classId);
+                if (change.collection === 'callRecords') affectedStudentIds.add(record.studentId);
+                summary.pulled++;
+            }
+
+            // 重新计算派生字段
+            for (const studentId of affectedStudentIds) {
+                const records = (await this.operation('callRecords', 'getAll')).filter(record => record.studentId === studentId);
+                await this.updateDerivedFields('students', studentId, {
+                    callCount: records.length,
+                    lastCalled: records.reduce((latest, record) => !latest || record.timestamp > latest ? record.timestamp : latest, null)
+                });
+            }
+            for (const classId of affectedClassIds) {
+                if (await this.getClassById(classId)) {
+                    await this.updateClassStudentCount(classId);
+                    await this.updateClassTotalCalls(classId);
+                }
+            }
+
+            if (summary.pulled > 0) {
+                await this.logSystemAction('syncPull', summary);
+                // 当前页面和其他标签页都需要刷新
+                this.emitChange('data:synced', summary);
+                this.changeListeners.forEach(listener => listener({ type: 'data:synced', ...summary }));
+            }
+        } finally {
+            this.applyingRemoteChanges = false;
+        }
+        return summary;
+    }
+
+    /**
+     * 删除其他设备已删除的记录
+     * 被删除记录本身的墓碑已在服务器上，只为本机级联删除的子记录生成墓碑
+     * @param {string} collection - 数据表
+     * @param {Object} record - 本地记录
+     */
+    async deleteSyncedRecord(collection, record) {
+        if (collection === 'classes') {
+            const students = await this.getStudentsByClassId(record.id);
+            for (const student of students) {
+                await this.deleteStudent(student.id);
+            }
+            await this.deleteClassData(record.id);
+            await this.operation('classes', 'delete', record.id);
+        } else if (collection === 'students') {
+            await this.deleteCallRecordsByStudentId(record.id);
+            await this.operation('students', 'delete', record.id);
+        } else if (collection === 'settings') {
+            await this.operation('settings', 'delete', record.key);
+        } else {
+            await this.operation(collection, 'delete', record.id);
+        }
     }
 
     // ==================== 搜索和筛选 ====================
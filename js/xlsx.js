@@ -0,0 +1,681 @@
+/**
+ * 内置 XLSX 读写
+ * SheetJS 无法加载（离线、CDN 故障）时使用，只覆盖点名工具用到的部分：
+ * 多个工作表、共享字符串、内联字符串、数字和布尔值、列宽。
+ * 不读取样式和公式（公式取缓存的计算结果），不支持旧版 .xls 格式。
+ *
+ * 工作表数据格式：{ name: 工作表名, rows: 二维数组, cols: [{ wch: 列宽（字符数） }] }
+ */
+
+class BuiltinXlsx {
+    constructor() {
+        this.crcTable = null;
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder('utf-8');
+    }
+
+    // ==================== 读取 ====================
+
+    /**
+     * 读取 XLSX 文件
+     * @param {ArrayBuffer|Uint8Array} buffer - 文件内容
+     * @returns {Array<Object>} 工作表列表 [{ name, rows, cols }]
+     */
+    read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        // 旧版 .xls 是 OLE 复合文档
+        if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+            throw new Error('离线模式下不支持旧版 .xls 文件，请在 Excel 中另存为 .xlsx 后再导入');
+        }
+        if (bytes[0] !== 0x50 || bytes[1] !== 0x4B) {
+            throw new Error('Excel 文件格式错误：不是有效的 .xlsx 文件');
+        }
+
+        const files = this.unzip(bytes);
+        const readText = (path) => files.has(path) ? this.decoder.decode(files.get(path)()) : null;
+
+        const workbookPath = this.findRelationTarget(readText('_rels/.rels'), '', '/officeDocument') || 'xl/workbook.xml';
+        const workbookXml = readText(workbookPath);
+        if (!workbookXml) {
+            throw new Error('Excel 文件格式错误：缺少工作簿');
+        }
+
+        const baseDir = workbookPath.slice(0, workbookPath.lastIndexOf('/') + 1);
+        const relsPath = `${baseDir}_rels/${workbookPath.slice(baseDir.length)}.rels`;
+        const relations = this.parseRelations(readText(relsPath), baseDir);
+
+        const sharedStringsRelation = relations.find(relation => relation.type.endsWith('/sharedStrings'));
+        const sharedStrings = this.parseSharedStrings(readText(sharedStringsRelation ? sharedStringsRelation.target : `${baseDir}sharedStrings.xml`));
+
+        return this.findElements(workbookXml, 'sheet').map(({ attrs }) => {
+            const relationId = Object.keys(attrs).find(key => /(^|:)id$/.test(key) && key !== 'sheetId');
+            const relation = relations.find(item => item.id === attrs[relationId]);
+            const sheetXml = relation ? readText(relation.target) : null;
+
+            return {
+                name: attrs.name,
+                ...(sheetXml ? this.parseSheet(sheetXml, sharedStrings) : { rows: [], cols: [] })
+            };
+        });
+    }
+
+    /**
+     * 解析 ZIP 中央目录
+     * @param {Uint8Array} bytes - ZIP 文件内容
+     * @returns {Map<string, Function>} 文件路径 -> 读取文件内容的函数（按需解压）
+     */
+    unzip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // 从文件末尾向前查找中央目录结束标记
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Excel 文件格式错误：ZIP 结构损坏');
+        }
+
+        const files = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('Excel 文件格式错误：ZIP 结构损坏');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = this.decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            files.set(name.replace(/^\//, ''), () => {
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) return data;
+                if (method === 8) return this.inflate(data, size);
+                throw new Error(`Excel 文件格式错误：不支持的压缩方式 ${method}`);
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    /**
+     * 解压 DEFLATE 数据（RFC 1951）
+     * @param {Uint8Array} data - 压缩数据
+     * @param {number} size - 解压后的大小
+     * @returns {Uint8Array} 解压后的数据
+     */
+    inflate(data, size) {
+        const output = new Uint8Array(size);
+        let outPos = 0;
+        let inPos = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const bits = (count) => {
+            while (bitCount < count) {
+                if (inPos >= data.length) throw new Error('Excel 文件格式错误：压缩数据不完整');
+                bitBuffer |= data[inPos++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+
+        // 由码长构建范式哈夫曼表
+        const buildTable = (lengths) => {
+            const counts = new Uint16Array(16);
+            lengths.forEach(length => counts[length]++);
+            counts[0] = 0;
+
+            const offsets = new Uint16Array(16);
+            for (let i = 1; i < 16; i++) {
+                offsets[i] = offsets[i - 1] + counts[i - 1];
+            }
+            const symbols = new Uint16Array(lengths.length);
+            lengths.forEach((length, symbol) => {
+                if (length) symbols[offsets[length]++] = symbol;
+            });
+            return { counts, symbols };
+        };
+
+        const decode = (table) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let length = 1; length < 16; length++) {
+                code |= bits(1);
+                const count = table.counts[length];
+                if (code - first < count) {
+                    return table.symbols[index + code - first];
+                }
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Excel 文件格式错误：压缩数据损坏');
+        };
+
+        const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        let fixedTables = null;
+        let last = 0;
+
+        while (!last) {
+            last = bits(1);
+            const type = bits(2);
+
+            if (type === 0) {
+                // 未压缩块：丢弃剩余位，按字节复制
+                bitBuffer = 0;
+                bitCount = 0;
+                const length = data[inPos] | (data[inPos + 1] << 8);
+                inPos += 4;
+                output.set(data.subarray(inPos, inPos + length), outPos);
+                inPos += length;
+                outPos += length;
+                continue;
+            }
+
+            let literalTable;
+            let distTable;
+            if (type === 1) {
+                if (!fixedTables) {
+                    const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+                    fixedTables = [buildTable(lengths), buildTable(new Array(30).fill(5))];
+                }
+                [literalTable, distTable] = fixedTables;
+            } else if (type === 2) {
+                const literalCount = bits(5) + 257;
+                const distCount = bits(5) + 1;
+                const codeLengthCount = bits(4) + 4;
+
+                const codeLengths = new Array(19).fill(0);
+                for (let i = 0; i < codeLengthCount; i++) {
+                    codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+                }
+                const codeLengthTable = buildTable(codeLengths);
+
+                const lengths = [];
+                while (lengths.length < literalCount + distCount) {
+                    const symbol = decode(codeLengthTable);
+                    if (symbol < 16) {
+                        lengths.push(symbol);
+                    } else if (symbol === 16) {
+                        const previous = lengths[lengths.length - 1];
+                        for (let repeat = bits(2) + 3; repeat > 0; repeat--) lengths.push(previous);
+                    } else {
+                        for (let repeat = symbol === 17 ? bits(3) + 3 : bits(7) + 11; repeat > 0; repeat--) lengths.push(0);
+                    }
+                }
+
+                literalTable = buildTable(lengths.slice(0, literalCount));
+                distTable = buildTable(lengths.slice(literalCount));
+            } else {
+                throw new Error('Excel 文件格式错误：压缩数据损坏');
+            }
+
+            for (;;) {
+                const symbol = decode(literalTable);
+                if (symbol < 256) {
+                    output[outPos++] = symbol;
+                } else if (symbol === 256) {
+                    break;
+                } else {
+                    const lengthIndex = symbol - 257;
+                    const length = LENGTH_BASE[lengthIndex] + bits(LENGTH_EXTRA[lengthIndex]);
+                    const distIndex = decode(distTable);
+                    const distance = DIST_BASE[distIndex] + bits(DIST_EXTRA[distIndex]);
+                    for (let i = 0; i < length; i++, outPos++) {
+                        output[outPos] = output[outPos - distance];
+                    }
+                }
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * 查找 XML 中的元素（忽略命名空间前缀）
+     * @param {string} xml - XML 文本
+     * @param {string} tag - 元素名
+     * @returns {Array<Object>} [{ attrs, content }]
+     */
+    findElements(xml, tag) {
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:\\w+:)?${tag}>)`, 'g');
+        const elements = [];
+        let match;
+        while ((match = pattern.exec(xml))) {
+            elements.push({ attrs: this.parseAttributes(match[1]), content: match[2] || '' });
+        }
+        return elements;
+    }
+
+    /**
+     * 解析元素属性
+     * @param {string} text - 属性文本
+     * @returns {Object} 属性名 -> 值
+     */
+    parseAttributes(text) {
+        const attrs = {};
+        const pattern = /([\w:]+)\s*=\s*(["'])([\s\S]*?)\2/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            attrs[match[1]] = this.unescapeXml(match[3]);
+        }
+        return attrs;
+    }
+
+    /**
+     * 还原 XML 实体和 OOXML 的 _xHHHH_ 转义
+     * @param {string} text - 转义后的文本
+     * @returns {string} 原始文本
+     */
+    unescapeXml(text) {
+        return text
+            .replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+                const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+                if (named[name]) return named[name];
+                return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            })
+            .replace(/_x([0-9a-fA-F]{4})_/g, (escaped, code) => String.fromCharCode(parseInt(code, 16)));
+    }
+
+    /**
+     * 拼接元素中所有文本节点（<t>），跳过拼音注音（<rPh>）
+     * @param {string} xml - 元素内容
+     * @returns {string} 文本
+     */
+    readText(xml) {
+        return this.findElements(xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, ''), 't')
+            .map(element => this.unescapeXml(element.content))
+            .join('');
+    }
+
+    /**
+     * 解析关系文件
+     * @param {string|null} xml - .rels 文件内容
+     * @param {string} baseDir - 相对路径的基准目录
+     * @returns {Array<Object>} [{ id, type, target }]
+     */
+    parseRelations(xml, baseDir) {
+        if (!xml) return [];
+
+        return this.findElements(xml, 'Relationship').map(({ attrs }) => {
+            let target = attrs.Target || '';
+            if (target.startsWith('/')) {
+                target = target.slice(1);
+            } else {
+                const parts = [];
+                `${baseDir}${target}`.split('/').forEach(part => {
+                    if (part === '..') parts.pop();
+                    else if (part !== '.') parts.push(part);
+                });
+                target = parts.join('/');
+            }
+            return { id: attrs.Id, type: attrs.Type || '', target };
+        });
+    }
+
+    /**
+     * 在关系文件中按类型查找目标路径
+     * @param {string|null} xml - .rels 文件内容
+     * @param {string} baseDir - 相对路径的基准目录
+     * @param {string} typeSuffix - 关系类型结尾
+     * @returns {string|null} 目标路径
+     */
+    findRelationTarget(xml, baseDir, typeSuffix) {
+        const relation = this.parseRelations(xml, baseDir).find(item => item.type.endsWith(typeSuffix));
+        return relation ? relation.target : null;
+    }
+
+    /**
+     * 解析共享字符串表
+     * @param {string|null} xml - sharedStrings.xml 内容
+     * @returns {Array<string>} 字符串列表
+     */
+    parseSharedStrings(xml) {
+        if (!xml) return [];
+        return this.findElements(xml, 'si').map(element => this.readText(element.content));
+    }
+
+    /**
+     * 解析工作表
+     * @param {string} xml - 工作表 XML
+     * @param {Array<string>} sharedStrings - 共享字符串表
+     * @returns {Object} { rows, cols }
+     */
+    parseSheet(xml, sharedStrings) {
+        const rows = [];
+        let rowIndex = -1;
+
+        this.findElements(xml, 'row').forEach(row => {
+            rowIndex = row.attrs.r ? parseInt(row.attrs.r, 10) - 1 : rowIndex + 1;
+            const values = [];
+            let colIndex = -1;
+
+            this.findElements(row.content, 'c').forEach(cell => {
+                colIndex = cell.attrs.r ? this.decodeColumn(cell.attrs.r) : colIndex + 1;
+                const value = this.readCellValue(cell, sharedStrings);
+                if (value === null) return;
+
+                while (values.length < colIndex) values.push('');
+                values[colIndex] = value;
+            });
+
+            rows[rowIndex] = values;
+        });
+
+        // 没有出现的行视为空行
+        for (let i = 0; i < rows.length; i++) {
+            if (!rows[i]) rows[i] = [];
+        }
+
+        const cols = [];
+        this.findElements(xml, 'col').forEach(({ attrs }) => {
+            const width = parseFloat(attrs.width);
+            if (!width) return;
+            for (let i = parseInt(attrs.min, 10); i <= parseInt(attrs.max, 10) && i <= 16384; i++) {
+                cols[i - 1] = { wch: Math.round((width - 0.71) * 100) / 100 };
+            }
+        });
+
+        return { rows, cols };
+    }
+
+    /**
+     * 读取单元格的值
+     * @param {Object} cell - { attrs, content }
+     * @param {Array<string>} sharedStrings - 共享字符串表
+     * @returns {string|number|boolean|null} 值，空单元格返回 null
+     */
+    readCellValue(cell, sharedStrings) {
+        const type = cell.attrs.t || 'n';
+        if (type === 'inlineStr') {
+            const inline = this.findElements(cell.content, 'is')[0];
+            return inline ? this.readText(inline.content) : '';
+        }
+
+        const valueElement = this.findElements(cell.content, 'v')[0];
+        if (!valueElement) return null;
+        const raw = this.unescapeXml(valueElement.content);
+
+        switch (type) {
+            case 's':
+                return sharedStrings[parseInt(raw, 10)] ?? '';
+            case 'b':
+                return raw === '1';
+            case 'n':
+                return raw === '' ? null : Number(raw);
+            default:
+                // str（公式结果）、e（错误）、d（ISO 日期）按文本返回
+                return raw;
+        }
+    }
+
+    /**
+     * 单元格引用转列序号
+     * @param {string} ref - 单元格引用，如 "AB12"
+     * @returns {number} 列序号（从 0 开始）
+     */
+    decodeColumn(ref) {
+        const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + letter.charCodeAt(0) - 64;
+        }
+        return index - 1;
+    }
+
+    // ==================== 写入 ====================
+
+    /**
+     * 生成 XLSX 文件
+     * @param {Array<Object>} sheets - 工作表列表 [{ name, rows, cols }]
+     * @returns {Uint8Array} 文件内容
+     */
+    write(sheets) {
+        const sharedStrings = [];
+        const sharedIndex = new Map();
+        const getSharedIndex = (text) => {
+            if (!sharedIndex.has(text)) {
+                sharedIndex.set(text, sharedStrings.length);
+                sharedStrings.push(text);
+            }
+            return sharedIndex.get(text);
+        };
+
+        const names = this.getSheetNames(sheets);
+        const sheetXmls = sheets.map(sheet => this.buildSheetXml(sheet, getSharedIndex));
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const packageRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+        const contentTypePrefix = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+        const files = [
+            ['[Content_Types].xml', `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + `<Override PartName="/xl/workbook.xml" ContentType="${contentTypePrefix}.sheet.main+xml"/>`
+                + sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${contentTypePrefix}.worksheet+xml"/>`).join('')
+                + `<Override PartName="/xl/styles.xml" ContentType="${contentTypePrefix}.styles+xml"/>`
+                + `<Override PartName="/xl/sharedStrings.xml" ContentType="${contentTypePrefix}.sharedStrings+xml"/>`
+                + '</Types>'],
+            ['_rels/.rels', `${header}<Relationships xmlns="${packageRelNs}">`
+                + `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'],
+            ['xl/workbook.xml', `${header}<workbook xmlns="${mainNs}" xmlns:r="${relNs}"><sheets>`
+                + names.map((name, i) => `<sheet name="${this.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'],
+            ['xl/_rels/workbook.xml.rels', `${header}<Relationships xmlns="${packageRelNs}">`
+                + sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${relNs}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="${relNs}/styles" Target="styles.xml"/>`
+                + `<Relationship Id="rId${sheets.length + 2}" Type="${relNs}/sharedStrings" Target="sharedStrings.xml"/>`
+                + '</Relationships>'],
+            ['xl/styles.xml', `${header}<styleSheet xmlns="${mainNs}">`
+                + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'],
+            ...sheetXmls.map((xml, i) => [`xl/worksheets/sheet${i + 1}.xml`, `${header}${xml}`]),
+            // 共享字符串在生成所有工作表之后才完整
+            ['xl/sharedStrings.xml', `${header}<sst xmlns="${mainNs}" count="${sharedStrings.length}" uniqueCount="${sharedStrings.length}">`
+                + sharedStrings.map(text => `<si>${this.buildTextElement(text)}</si>`).join('')
+                + '</sst>']
+        ];
+
+        return this.zip(files.map(([name, content]) => ({ name, data: this.encoder.encode(content) })));
+    }
+
+    /**
+     * 生成合法且不重复的工作表名（最长 31 个字符，不含 []:*?/\）
+     * @param {Array<Object>} sheets - 工作表列表
+     * @returns {Array<string>} 工作表名
+     */
+    getSheetNames(sheets) {
+        const used = new Set();
+        return sheets.map((sheet, i) => {
+            const base = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || `Sheet${i + 1}`;
+            let name = base;
+            for (let n = 2; used.has(name.toLowerCase()); n++) {
+                name = `${base.slice(0, 31 - String(n).length - 1)}_${n}`;
+            }
+            used.add(name.toLowerCase());
+            return name;
+        });
+    }
+
+    /**
+     * 生成工作表 XML
+     * @param {Object} sheet - { rows, cols }
+     * @param {Function} getSharedIndex - 获取字符串在共享字符串表中的序号
+     * @returns {string} 工作表 XML
+     */
+    buildSheetXml(sheet, getSharedIndex) {
+        const cols = (sheet.cols || [])
+            .map((col, i) => col && col.wch
+                ? `<col min="${i + 1}" max="${i + 1}" width="${Math.round((col.wch + 0.71) * 100) / 100}" customWidth="1"/>`
+                : '')
+            .join('');
+
+        const rows = (sheet.rows || []).map((row, rowIndex) => {
+            const cells = (row || []).map((value, colIndex) => {
+                const ref = `${this.encodeColumn(colIndex)}${rowIndex + 1}`;
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+                if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+                return `<c r="${ref}" t="s"><v>${getSharedIndex(String(value))}</v></c>`;
+            }).join('');
+            return cells ? `<row r="${rowIndex + 1}">${cells}</row>` : '';
+        }).join('');
+
+        return '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + (cols ? `<cols>${cols}</cols>` : '')
+            + (rows ? `<sheetData>${rows}</sheetData>` : '<sheetData/>')
+            + '</worksheet>';
+    }
+
+    /**
+     * 生成文本元素，首尾空白需要声明保留
+     * @param {string} text - 文本
+     * @returns {string} <t> 元素
+     */
+    buildTextElement(text) {
+        const preserve = /^\s|\s$|\n/.test(text) ? ' xml:space="preserve"' : '';
+        return `<t${preserve}>${this.escapeXml(text)}</t>`;
+    }
+
+    /**
+     * 转义 XML 文本，去掉 XML 不允许的控制字符
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 列序号转列名
+     * @param {number} index - 列序号（从 0 开始）
+     * @returns {string} 列名，如 "AB"
+     */
+    encodeColumn(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * 打包 ZIP（不压缩）
+     * @param {Array<Object>} files - [{ name, data }]
+     * @returns {Uint8Array} ZIP 文件内容
+     */
+    zip(files) {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = files.map(file => ({ ...file, nameBytes: this.encoder.encode(file.name), crc: this.crc32(file.data) }));
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.nameBytes.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+
+        // 本地文件头和中央目录记录共有的字段
+        const writeCommon = (offset, entry) => {
+            view.setUint16(offset, 20, true);           // 解压所需版本
+            view.setUint16(offset + 2, 0x0800, true);   // 文件名使用 UTF-8
+            view.setUint16(offset + 4, 0, true);        // 不压缩
+            view.setUint16(offset + 6, dosTime, true);
+            view.setUint16(offset + 8, dosDate, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.nameBytes.length, true);
+        };
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            writeCommon(offset + 4, entry);
+            output.set(entry.nameBytes, offset + 30);
+            output.set(entry.data, offset + 30 + entry.nameBytes.length);
+            offset += 30 + entry.nameBytes.length + entry.data.length;
+        });
+
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);       // 创建版本
+            writeCommon(offset + 6, entry);
+            view.setUint32(offset + 42, entry.offset, true);
+            output.set(entry.nameBytes, offset + 46);
+            offset += 46 + entry.nameBytes.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+
+        return output;
+    }
+
+    /**
+     * 计算 CRC-32
+     * @param {Uint8Array} data - 数据
+     * @returns {number} 校验值
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+window.builtinXlsx = new BuiltinXlsx();
@@ -1,54 +1,144 @@
 const http = require('http');
-const fs = require('fs');
-const path = require('path');
-
-const port = 8080;
-
-const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.wav': 'audio/wav',
-    '.mp4': 'video/mp4',
-    '.woff': 'application/font-woff',
-    '.ttf': 'application/font-ttf',
-    '.eot': 'application/vnd.ms-fontobject',
-    '.otf': 'application/font-otf',
-    '.wasm': 'application/wasm'
-};
+const { RemoteHub, handleRemoteRequest } = require('./server/remote');
+const { SyncStore, handleSyncRequest } = require('./server/sync');
+const { serveStatic } = require('./server/static');
+
+const usage = `用法: node server.js [选项]
+
+选项:
+  --port <端口>        监听端口，默认 8080（环境变量 PORT）
+  --host <地址>        监听地址，默认监听所有网卡（环境变量 HOST）
+  --sync-file <文件>   启用多设备同步并将数据保存到该 JSON 文件（环境变量 ROLLCALL_SYNC_FILE）
+  --sync-token <令牌>  同步接口的访问令牌，启用同步时必填（环境变量 ROLLCALL_SYNC_TOKEN）
+  --help               显示帮助`;
+
+/**
+ * 读取配置：命令行参数优先，其次环境变量，最后默认值
+ * 支持 --port 3000 和 --port=3000 两种写法
+ * @param {Array<string>} argv - 命令行参数
+ * @param {Object} env - 环境变量
+ * @returns {Object} { port, host, syncFile, syncToken, help }
+ */
+function parseConfig(argv, env) {
+    const known = ['help', 'port', 'host', 'sync-file', 'sync-token'];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`无法识别的参数: ${argv[i]}`);
+        }
+        const [, name, inlineValue] = match;
+        if (!known.includes(name)) {
+            throw new Error(`未知参数: --${name}`);
+        }
+        if (name === 'help') {
+            flags.help = true;
+        } else if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            flags[name] = argv[++i];
+        } else {
+            throw new Error(`参数 --${name} 缺少取值`);
+        }
+    }
 
-const server = http.createServer((req, res) => {
-    console.log(`${req.method} ${req.url}`);
+    const port = parseInt(flags.port || env.PORT || '8080', 10);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`端口无效: ${flags.port || env.PORT}`);
+    }
 
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-        filePath = './index.html';
+    const syncFile = flags['sync-file'] || env.ROLLCALL_SYNC_FILE || null;
+    const syncToken = flags['sync-token'] || env.ROLLCALL_SYNC_TOKEN || null;
+    // 同步数据包含学生的联系方式，局域网内任何设备都能访问服务器，不允许无令牌启用
+    if (syncFile && !syncToken && !flags.help) {
+        throw new Error('启用同步时必须用 --sync-token 设置访问令牌');
     }
 
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const contentType = mimeTypes[extname] || 'application/octet-stream';
-
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if(error.code === 'ENOENT') {
-                res.writeHead(404, { 'Content-Type': 'text/html' });
-                res.end('<h1>404 - File Not Found</h1>', 'utf-8');
-            } else {
-                res.writeHead(500);
-                res.end('Sorry, check with the site admin for error: '+error.code+' ..\n');
-            }
+    return {
+        port,
+        host: flags.host || env.HOST || null,
+        syncFile,
+        syncToken,
+        help: !!flags.help
+    };
+}
+
+let config;
+try {
+    config = parseConfig(process.argv.slice(2), process.env);
+} catch (error) {
+    console.error(error.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (config.help) {
+    console.log(usage);
+    process.exit(0);
+}
+
+const root = __dirname;
+const remoteHub = new RemoteHub();
+// 多设备同步（可选）：指定数据文件后启用
+const syncStore = config.syncFile ? new SyncStore(config.syncFile) : null;
+
+const server = http.createServer(async (req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<h1>400 - 请求地址无效</h1>');
+        return;
+    }
+
+    // 只记录路径：遥控事件流的 ?token= 等查询参数属于凭据
+    console.log(`${req.method} ${url.pathname}`);
+
+    try {
+        // 手机遥控接口
+        if (await handleRemoteRequest(remoteHub, req, res, url, server.address().port)) {
+            return;
+        }
+
+        // 多设备同步接口
+        if (await handleSyncRequest(syncStore, req, res, url, config.syncToken)) {
+            return;
+        }
+
+        // 同步数据文件（及写入时的临时文件）不作为静态文件提供
+        serveStatic(req, res, url, {
+            root,
+            deny: syncStore ? [syncStore.filePath] : []
+        });
+    } catch (error) {
+        // 单个请求出错不能让整个服务器退出
+        console.error('处理请求失败:', error);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end('<h1>500 - 服务器内部错误</h1>');
         } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content, 'utf-8');
+            res.destroy();
         }
-    });
+    }
+});
+
+server.on('error', (error) => {
+    console.error(error.code === 'EADDRINUSE' ? `端口 ${config.port} 已被占用` : error.message);
+    process.exit(1);
 });
 
-server.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}/`);
-});
\ No newline at end of file
+const onListening = () => {
+    const { port } = server.address();
+    const displayHost = !config.host || config.host === '0.0.0.0' || config.host === '::' ? 'localhost' : config.host;
+    console.log(`Server running at http://${displayHost}:${port}/`);
+    if (syncStore) {
+        console.log(`Sync enabled, data file: ${syncStore.filePath}`);
+    }
+};
+
+if (config.host) {
+    server.listen(config.port, config.host, onListening);
+} else {
+    server.listen(config.port, onListening);
+}
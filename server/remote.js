@@ -0,0 +1,383 @@
+/**
+ * 手机遥控中转
+ * 桌面端创建会话并在屏幕上显示一次性 PIN，手机输入 PIN 配对后即可发送点名命令。
+ * 双方都通过 SSE 接收消息，通过 POST 发送消息：
+ *
+ *   POST   /api/remote/session      桌面端创建会话，返回 { token, pin, pinExpiresAt, urls }
+ *   POST   /api/remote/session/pin  桌面端重新生成 PIN（桌面令牌）
+ *   DELETE /api/remote/session      桌面端结束会话（桌面令牌）
+ *   POST   /api/remote/pair         手机提交 { pin }，返回 { token }
+ *   GET    /api/remote/events       SSE 事件流，?token= 桌面或手机令牌
+ *   POST   /api/remote/command      手机发送 { command, recordId, outcome }（手机令牌）
+ *   POST   /api/remote/state        桌面端推送当前点名状态（桌面令牌）
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { readJsonBody, isPlainObject, sendJson } = require('./utils');
+
+const PIN_TTL = 5 * 60 * 1000;
+const MAX_PAIR_ATTEMPTS = 5;
+const ATTEMPT_WINDOW = 60 * 1000;
+const MAX_SESSION_CREATES = 10;
+const MAX_SESSIONS = 20;
+const KEEPALIVE_INTERVAL = 25 * 1000;
+const SESSION_IDLE_TIMEOUT = 10 * 60 * 1000;
+const MAX_BODY_SIZE = 64 * 1024;
+const COMMANDS = ['start', 'stop', 'next', 'outcome'];
+
+class RemoteHub {
+    constructor() {
+        this.sessions = new Map();      // sessionId -> session
+        this.tokens = new Map();        // token -> { sessionId, role }
+        this.pairAttempts = new Map();  // ip -> [timestamp]
+        this.sessionAttempts = new Map();  // ip -> [timestamp]
+
+        this.keepaliveTimer = setInterval(() => this.keepalive(), KEEPALIVE_INTERVAL);
+        this.keepaliveTimer.unref();
+    }
+
+    /**
+     * 生成随机令牌
+     * @returns {string} 令牌
+     */
+    createToken() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * 生成六位数字 PIN，保证与其他会话的 PIN 不冲突
+     * @returns {string} PIN
+     */
+    createPin() {
+        let pin;
+        do {
+            pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        } while ([...this.sessions.values()].some(session => session.pin === pin));
+        return pin;
+    }
+
+    /**
+     * 创建会话，会话数达到上限时结束最早创建的会话
+     * @returns {Object} 会话
+     */
+    createSession() {
+        if (this.sessions.size >= MAX_SESSIONS) {
+            this.closeSession(this.sessions.values().next().value);
+        }
+
+        const session = {
+            id: this.createToken(),
+            desktopToken: this.createToken(),
+            pin: this.createPin(),
+            pinExpiresAt: Date.now() + PIN_TTL,
+            remoteTokens: new Set(),
+            desktopClients: new Set(),
+            remoteClients: new Set(),
+            state: null,
+            desktopSeenAt: Date.now()
+        };
+
+        this.sessions.set(session.id, session);
+        this.tokens.set(session.desktopToken, { sessionId: session.id, role: 'desktop' });
+        return session;
+    }
+
+    /**
+     * 重新生成会话 PIN
+     * @param {Object} session - 会话
+     */
+    refreshPin(session) {
+        session.pin = this.createPin();
+        session.pinExpiresAt = Date.now() + PIN_TTL;
+    }
+
+    /**
+     * 结束会话并断开所有连接
+     * @param {Object} session - 会话
+     */
+    closeSession(session) {
+        this.broadcast(session.remoteClients, 'closed', {});
+        [...session.desktopClients, ...session.remoteClients].forEach(res => res.end());
+
+        this.tokens.delete(session.desktopToken);
+        session.remoteTokens.forEach(token => this.tokens.delete(token));
+        this.sessions.delete(session.id);
+    }
+
+    /**
+     * 按令牌查找会话
+     * @param {string} token - 令牌
+     * @returns {Object|null} { session, role }
+     */
+    authenticate(token) {
+        const entry = token ? this.tokens.get(token) : null;
+        const session = entry ? this.sessions.get(entry.sessionId) : null;
+        return session ? { session, role: entry.role } : null;
+    }
+
+    /**
+     * 记录并检查配对尝试次数，防止暴力猜测 PIN
+     * @param {string} ip - 客户端地址
+     * @returns {boolean} 是否允许本次尝试
+     */
+    allowPairAttempt(ip) {
+        return this.recordAttempt(this.pairAttempts, ip, MAX_PAIR_ATTEMPTS);
+    }
+
+    /**
+     * 记录并检查创建会话的次数，防止反复创建会话占满内存
+     * @param {string} ip - 客户端地址
+     * @returns {boolean} 是否允许本次创建
+     */
+    allowSessionAttempt(ip) {
+        return this.recordAttempt(this.sessionAttempts, ip, MAX_SESSION_CREATES);
+    }
+
+    /**
+     * 记录一次尝试，并检查统计窗口内的次数是否超过上限
+     * @param {Map} attemptsByIp - 各地址的尝试时间
+     * @param {string} ip - 客户端地址
+     * @param {number} limit - 上限
+     * @returns {boolean} 是否允许本次尝试
+     */
+    recordAttempt(attemptsByIp, ip, limit) {
+        const now = Date.now();
+        const attempts = (attemptsByIp.get(ip) || []).filter(time => now - time < ATTEMPT_WINDOW);
+        attempts.push(now);
+        attemptsByIp.set(ip, attempts);
+        return attempts.length <= limit;
+    }
+
+    /**
+     * 使用 PIN 配对手机，PIN 使用后立即失效
+     * @param {string} pin - PIN
+     * @returns {Object|null} { session, token }
+     */
+    pair(pin) {
+        const session = [...this.sessions.values()].find(item =>
+            item.pin && item.pin === pin && item.pinExpiresAt > Date.now()
+        );
+        if (!session) return null;
+
+        const token = this.createToken();
+        session.pin = null;
+        session.remoteTokens.add(token);
+        this.tokens.set(token, { sessionId: session.id, role: 'remote' });
+
+        this.broadcast(session.desktopClients, 'paired', { remotes: session.remoteTokens.size });
+        return { session, token };
+    }
+
+    /**
+     * 向一组 SSE 连接发送事件
+     * @param {Set} clients - SSE 响应对象集合
+     * @param {string} event - 事件名
+     * @param {Object} data - 事件数据
+     */
+    broadcast(clients, event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(res => res.write(message));
+    }
+
+    /**
+     * 发送 SSE 注释保持连接，同时清理过期数据：
+     * 桌面端超过 SESSION_IDLE_TIMEOUT 没有连接事件流的会话结束，超出统计窗口的配对记录删除
+     */
+    keepalive() {
+        const now = Date.now();
+
+        this.sessions.forEach(session => {
+            if (session.desktopClients.size > 0) {
+                session.desktopSeenAt = now;
+            } else if (now - session.desktopSeenAt > SESSION_IDLE_TIMEOUT) {
+                this.closeSession(session);
+                return;
+            }
+            [...session.desktopClients, ...session.remoteClients].forEach(res => res.write(': keepalive\n\n'));
+        });
+
+        [this.pairAttempts, this.sessionAttempts].forEach(attemptsByIp => {
+            attemptsByIp.forEach((attempts, ip) => {
+                if (attempts.every(time => now - time >= ATTEMPT_WINDOW)) {
+                    attemptsByIp.delete(ip);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * 获取本机局域网 IPv4 地址
+ * @returns {Array<string>} 地址列表
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(item => item && item.family === 'IPv4' && !item.internal)
+        .map(item => item.address);
+}
+
+/**
+ * 从 Authorization 头读取令牌
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {string|null} 令牌
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * 打开 SSE 事件流
+ * @param {RemoteHub} hub - 中转实例
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ */
+function openEventStream(hub, req, res, url) {
+    const auth = hub.authenticate(url.searchParams.get('token'));
+    if (!auth) {
+        sendJson(res, 401, { error: '令牌无效或会话已结束' });
+        return;
+    }
+
+    const { session, role } = auth;
+    const clients = role === 'desktop' ? session.desktopClients : session.remoteClients;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    clients.add(res);
+
+    if (role === 'remote') {
+        hub.broadcast(session.desktopClients, 'remoteConnected', { remotes: session.remoteTokens.size });
+        if (session.state) {
+            hub.broadcast(new Set([res]), 'state', session.state);
+        }
+    } else {
+        hub.broadcast(session.remoteClients, 'desktopConnected', {});
+    }
+
+    req.on('close', () => {
+        clients.delete(res);
+        if (role === 'desktop') {
+            session.desktopSeenAt = Date.now();
+            hub.broadcast(session.remoteClients, 'desktopDisconnected', {});
+        }
+    });
+}
+
+/**
+ * 处理遥控相关请求
+ * @param {RemoteHub} hub - 中转实例
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ * @param {number} port - 服务端口，用于生成手机访问地址
+ * @returns {Promise<boolean>} 是否已处理该请求
+ */
+async function handleRemoteRequest(hub, req, res, url, port) {
+    if (!url.pathname.startsWith('/api/remote/')) {
+        return false;
+    }
+
+    const route = `${req.method} ${url.pathname.slice('/api/remote'.length)}`;
+
+    try {
+        if (route === 'GET /events') {
+            openEventStream(hub, req, res, url);
+            return true;
+        }
+
+        if (route === 'POST /session') {
+            if (!hub.allowSessionAttempt(req.socket.remoteAddress)) {
+                sendJson(res, 429, { error: '创建会话过于频繁，请稍后再试' });
+                return true;
+            }
+
+            const session = hub.createSession();
+            sendJson(res, 200, {
+                token: session.desktopToken,
+                pin: session.pin,
+                pinExpiresAt: session.pinExpiresAt,
+                urls: getLanAddresses().map(address => `http://${address}:${port}/remote.html`)
+            });
+            return true;
+        }
+
+        if (route === 'POST /pair') {
+            const ip = req.socket.remoteAddress;
+            if (!hub.allowPairAttempt(ip)) {
+                sendJson(res, 429, { error: '尝试次数过多，请稍后再试' });
+                return true;
+            }
+
+            const body = await readJsonBody(req, MAX_BODY_SIZE);
+            if (!isPlainObject(body)) {
+                sendJson(res, 400, { error: '请求体必须是 JSON 对象' });
+                return true;
+            }
+            const result = hub.pair(String(body.pin || '').trim());
+            if (!result) {
+                sendJson(res, 403, { error: 'PIN 错误或已过期' });
+                return true;
+            }
+
+            sendJson(res, 200, { token: result.token });
+            return true;
+        }
+
+        const auth = hub.authenticate(getBearerToken(req));
+        if (!auth) {
+            sendJson(res, 401, { error: '令牌无效或会话已结束' });
+            return true;
+        }
+        const { session, role } = auth;
+
+        if (role === 'desktop' && route === 'POST /session/pin') {
+            hub.refreshPin(session);
+            sendJson(res, 200, { pin: session.pin, pinExpiresAt: session.pinExpiresAt });
+        } else if (role === 'desktop' && route === 'DELETE /session') {
+            hub.closeSession(session);
+            sendJson(res, 200, { ok: true });
+        } else if (role === 'desktop' && route === 'POST /state') {
+            const body = await readJsonBody(req, MAX_BODY_SIZE);
+            if (!isPlainObject(body)) {
+                sendJson(res, 400, { error: '请求体必须是 JSON 对象' });
+            } else {
+                session.state = body;
+                hub.broadcast(session.remoteClients, 'state', session.state);
+                sendJson(res, 200, { ok: true });
+            }
+        } else if (role === 'remote' && route === 'POST /command') {
+            const body = await readJsonBody(req, MAX_BODY_SIZE);
+            if (!isPlainObject(body)) {
+                sendJson(res, 400, { error: '请求体必须是 JSON 对象' });
+            } else if (!COMMANDS.includes(body.command)) {
+                sendJson(res, 400, { error: `不支持的命令: ${body.command}` });
+            } else if (session.desktopClients.size === 0) {
+                sendJson(res, 409, { error: '电脑端未连接' });
+            } else {
+                hub.broadcast(session.desktopClients, 'command', {
+                    command: body.command,
+                    recordId: body.recordId,
+                    outcome: body.outcome
+                });
+                sendJson(res, 200, { ok: true });
+            }
+        } else {
+            sendJson(res, 404, { error: '接口不存在' });
+        }
+    } catch (error) {
+        console.error('处理遥控请求失败:', error);
+        sendJson(res, error.status || 500, { error: error.message });
+    }
+
+    return true;
+}
+
+module.exports = { RemoteHub, handleRemoteRequest };
@@ -0,0 +1,271 @@
+/**
+ * 静态文件服务
+ * - 解码并规范化请求路径，只允许访问站点根目录内的文件，拒绝隐藏文件（如 .git）
+ * - ETag / Last-Modified 条件请求，未修改时返回 304
+ * - 按 Accept-Encoding 使用 brotli 或 gzip 压缩文本类资源
+ * - 支持 GET 和 HEAD
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.otf': 'font/otf',
+    '.wasm': 'application/wasm'
+};
+
+// 小于该大小的文件压缩收益不明显
+const MIN_COMPRESS_SIZE = 1024;
+
+/**
+ * 是否为可压缩的内容类型
+ * @param {string} contentType - 内容类型
+ * @returns {boolean}
+ */
+function isCompressible(contentType) {
+    return /^text\/|json|javascript|svg|wasm/.test(contentType);
+}
+
+/**
+ * 根据 Accept-Encoding 选择压缩方式，优先 brotli
+ * @param {string} acceptEncoding - 请求头
+ * @returns {string|null} 'br' / 'gzip' / null
+ */
+function selectEncoding(acceptEncoding = '') {
+    const accepted = acceptEncoding.split(',').map(item => {
+        const [name, ...params] = item.trim().split(';');
+        const q = params.find(param => param.trim().startsWith('q='));
+        return { name: name.toLowerCase(), q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    }).filter(item => item.q > 0);
+
+    if (accepted.some(item => item.name === 'br')) return 'br';
+    if (accepted.some(item => item.name === 'gzip')) return 'gzip';
+    return null;
+}
+
+/**
+ * 将请求路径解析为站点根目录内的文件路径
+ * @param {string} root - 站点根目录（绝对路径）
+ * @param {string} pathname - URL 路径（未解码）
+ * @returns {string|null} 文件路径，路径非法或越出根目录时返回 null
+ */
+function resolveFilePath(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.includes('\0')) {
+        return null;
+    }
+
+    const filePath = path.join(root, path.normalize(decoded));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return null;
+    }
+
+    // 隐藏文件和目录（.git、.env 等）不对外提供
+    const relative = path.relative(root, filePath);
+    if (relative.split(path.sep).some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+
+    return filePath;
+}
+
+/**
+ * 生成弱 ETag（基于文件大小和修改时间）
+ * @param {fs.Stats} stats - 文件信息
+ * @returns {string} ETag
+ */
+function createETag(stats) {
+    return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * 判断客户端缓存是否仍然有效
+ * If-None-Match 优先于 If-Modified-Since
+ * @param {http.IncomingMessage} req - 请求
+ * @param {string} etag - 当前 ETag
+ * @param {fs.Stats} stats - 文件信息
+ * @returns {boolean}
+ */
+function isNotModified(req, etag, stats) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // HTTP 日期精确到秒
+    return !isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * 发送 404 页面
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {string} root - 站点根目录
+ */
+function sendNotFound(req, res, root) {
+    fs.readFile(path.join(root, '404.html'), (error, content) => {
+        const body = error ? Buffer.from('<h1>404 - 页面不存在</h1>') : content;
+        res.writeHead(404, {
+            'Content-Type': MIME_TYPES['.html'],
+            'Content-Length': body.length,
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+}
+
+/**
+ * 发送错误响应
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {string} message - 错误信息
+ * @param {Object} headers - 额外的响应头
+ */
+function sendError(req, res, status, message, headers = {}) {
+    const body = Buffer.from(`<h1>${status} - ${message}</h1>`);
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.html'],
+        'Content-Length': body.length,
+        ...headers
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * 提供静态文件
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ * @param {Object} options - { root: 站点根目录, deny: 不对外提供的文件路径前缀列表 }
+ */
+function serveStatic(req, res, url, options) {
+    const root = path.resolve(options.root);
+    const deny = options.deny || [];
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(req, res, 405, '不支持的请求方法', { Allow: 'GET, HEAD' });
+        return;
+    }
+
+    let filePath = resolveFilePath(root, url.pathname);
+    if (!filePath || deny.some(prefix => filePath.startsWith(prefix))) {
+        sendNotFound(req, res, root);
+        return;
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (!error && stats.isDirectory()) {
+            // 目录地址缺少结尾斜杠时重定向，保证页面中的相对路径正确
+            if (!url.pathname.endsWith('/')) {
+                res.writeHead(301, { Location: `${url.pathname}/${url.search}` });
+                res.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+            fs.stat(filePath, (indexError, indexStats) => sendFile(req, res, filePath, indexError, indexStats, root));
+            return;
+        }
+
+        sendFile(req, res, filePath, error, stats, root);
+    });
+}
+
+/**
+ * 发送文件内容（处理条件请求和压缩）
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {string} filePath - 文件路径
+ * @param {Error|null} error - fs.stat 的错误
+ * @param {fs.Stats} stats - 文件信息
+ * @param {string} root - 站点根目录
+ */
+function sendFile(req, res, filePath, error, stats, root) {
+    if (error || !stats.isFile()) {
+        if (error && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            console.error('读取文件失败:', error);
+            sendError(req, res, 500, '服务器内部错误');
+        } else {
+            sendNotFound(req, res, root);
+        }
+        return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const encoding = isCompressible(contentType) && stats.size >= MIN_COMPRESS_SIZE
+        ? selectEncoding(req.headers['accept-encoding'])
+        : null;
+    // 压缩后的内容与原文件不同，ETag 需要区分
+    const baseETag = createETag(stats);
+    const etag = encoding ? baseETag.replace(/"$/, `-${encoding}"`) : baseETag;
+
+    const headers = {
+        'Content-Type': contentType,
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': 'no-cache',
+        'Vary': 'Accept-Encoding'
+    };
+
+    if (isNotModified(req, etag, stats)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    } else {
+        headers['Content-Length'] = stats.size;
+    }
+
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (streamError) => {
+        console.error('读取文件失败:', streamError);
+        res.destroy(streamError);
+    });
+
+    if (encoding === 'br') {
+        stream.pipe(zlib.createBrotliCompress()).pipe(res);
+    } else if (encoding === 'gzip') {
+        stream.pipe(zlib.createGzip()).pipe(res);
+    } else {
+        stream.pipe(res);
+    }
+}
+
+module.exports = { serveStatic, resolveFilePath, selectEncoding };
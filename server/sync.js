@@ -0,0 +1,249 @@
+/**
+ * 多设备同步后端（可选）
+ * 数据保存在磁盘上的一个 JSON 文件中，每条记录以 syncId 标识：
+ *   { syncId, updatedAt, deleted, data, refs, seq }
+ * 删除以墓碑（deleted: true）保存，写入时按 updatedAt 执行“最后写入者获胜”。
+ * seq 为全局递增的变更序号，客户端用它增量拉取。
+ *
+ *   GET    /api/sync/changes?since=       拉取所有集合中 seq 大于 since 的变更
+ *   POST   /api/sync/changes              批量推送变更 { changes: [{ collection, syncId, updatedAt, deleted, data, refs }] }
+ *   GET    /api/sync/:collection          列出集合中未删除的记录
+ *   GET    /api/sync/:collection/:syncId  获取单条记录
+ *   PUT    /api/sync/:collection/:syncId  写入单条记录 { updatedAt, data, refs }
+ *   DELETE /api/sync/:collection/:syncId  删除单条记录（写入墓碑），?updatedAt= 指定删除时间
+ *
+ * 数据包含学生的姓名和联系方式，所有请求需带 Authorization: Bearer <令牌>；
+ * 接口只供同一服务器上的页面使用，不允许跨域访问
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonBody, isPlainObject, sendJson } = require('./utils');
+
+const COLLECTIONS = ['classes', 'students', 'callRecords', 'settings'];
+const MAX_BODY_SIZE = 20 * 1024 * 1024;
+
+class SyncStore {
+    /**
+     * @param {string} filePath - 数据文件路径
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.data = this.load();
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * 读取数据文件，不存在时返回空数据
+     * @returns {Object} 数据
+     */
+    load() {
+        const empty = { version: 1, seq: 0, collections: {} };
+        COLLECTIONS.forEach(name => {
+            empty.collections[name] = Object.create(null);
+        });
+
+        if (!fs.existsSync(this.filePath)) {
+            return empty;
+        }
+
+        // 记录以客户端提供的 syncId 为键，使用无原型对象，避免 __proto__ 等键改写原型
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        COLLECTIONS.forEach(name => {
+            data.collections[name] = Object.assign(Object.create(null), data.collections[name]);
+        });
+        return data;
+    }
+
+    /**
+     * 写入数据文件：先写临时文件再重命名，避免写到一半时崩溃损坏数据
+     * 多次写入按顺序排队，前一次写入失败不影响之后的写入
+     * @returns {Promise<void>} 本次写入
+     */
+    save() {
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.data));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write;
+        return write;
+    }
+
+    /**
+     * 应用一条变更（最后写入者获胜）
+     * updatedAt 相同时保留已有记录，保证重复推送是幂等的
+     * @param {Object} change - { collection, syncId, updatedAt, deleted, data, refs }
+     * @returns {Object} { applied, record }
+     */
+    applyChange(change) {
+        const records = this.data.collections[change.collection];
+        const existing = records[change.syncId];
+
+        if (existing && existing.updatedAt >= change.updatedAt) {
+            return { applied: false, record: existing };
+        }
+
+        const record = {
+            syncId: change.syncId,
+            updatedAt: change.updatedAt,
+            deleted: !!change.deleted,
+            data: change.deleted ? null : (change.data || {}),
+            refs: change.deleted ? null : (change.refs || {}),
+            seq: ++this.data.seq
+        };
+        records[change.syncId] = record;
+        return { applied: true, record };
+    }
+
+    /**
+     * 获取 seq 大于 since 的全部变更
+     * @param {number} since - 上次拉取到的序号
+     * @returns {Array} 按 seq 升序的变更
+     */
+    getChanges(since) {
+        const changes = [];
+        COLLECTIONS.forEach(collection => {
+            Object.values(this.data.collections[collection]).forEach(record => {
+                if (record.seq > since) {
+                    changes.push({ collection, ...record });
+                }
+            });
+        });
+        return changes.sort((a, b) => a.seq - b.seq);
+    }
+}
+
+/**
+ * 校验一条变更
+ * @param {Object} change - 变更
+ * @returns {string|null} 错误信息
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return '变更格式无效';
+    if (!COLLECTIONS.includes(change.collection)) return `不支持的集合: ${change.collection}`;
+    if (typeof change.syncId !== 'string' || change.syncId === '') return '缺少 syncId';
+    if (typeof change.updatedAt !== 'string' || isNaN(Date.parse(change.updatedAt))) return '缺少有效的 updatedAt';
+    if (!change.deleted && (typeof change.data !== 'object' || change.data === null)) return '缺少 data';
+    return null;
+}
+
+/**
+ * 处理同步相关请求
+ * @param {SyncStore|null} store - 同步数据，未启用同步时为 null
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ * @param {string} token - 访问令牌
+ * @returns {Promise<boolean>} 是否已处理该请求
+ */
+async function handleSyncRequest(store, req, res, url, token) {
+    if (!url.pathname.startsWith('/api/sync/')) {
+        return false;
+    }
+
+    if (!store) {
+        sendJson(res, 404, { error: '同步服务未启用' });
+        return true;
+    }
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+        sendJson(res, 401, { error: '同步令牌无效' });
+        return true;
+    }
+
+    let collection;
+    let syncId;
+    try {
+        [collection, syncId] = url.pathname.slice('/api/sync/'.length).split('/').map(decodeURIComponent);
+    } catch (error) {
+        sendJson(res, 400, { error: '请求地址无效' });
+        return true;
+    }
+
+    try {
+        if (collection === 'changes') {
+            if (req.method === 'GET') {
+                const since = parseInt(url.searchParams.get('since')) || 0;
+                sendJson(res, 200, { changes: store.getChanges(since), cursor: store.data.seq });
+            } else if (req.method === 'POST') {
+                const body = await readJsonBody(req, MAX_BODY_SIZE);
+                if (!isPlainObject(body)) {
+                    sendJson(res, 400, { error: '请求体必须是 JSON 对象' });
+                    return true;
+                }
+                const changes = Array.isArray(body.changes) ? body.changes : [];
+                const errors = changes.map(validateChange).filter(Boolean);
+                if (errors.length > 0) {
+                    sendJson(res, 400, { error: errors[0] });
+                    return true;
+                }
+
+                const results = changes.map(change => store.applyChange(change));
+                const applied = results.filter(result => result.applied).length;
+                if (applied > 0) {
+                    await store.save();
+                }
+                sendJson(res, 200, { applied, rejected: changes.length - applied, cursor: store.data.seq });
+            } else {
+                sendJson(res, 405, { error: '不支持的请求方法' });
+            }
+            return true;
+        }
+
+        if (!COLLECTIONS.includes(collection)) {
+            sendJson(res, 404, { error: `不支持的集合: ${collection}` });
+            return true;
+        }
+
+        const records = store.data.collections[collection];
+
+        if (!syncId) {
+            if (req.method !== 'GET') {
+                sendJson(res, 405, { error: '不支持的请求方法' });
+                return true;
+            }
+            sendJson(res, 200, { records: Object.values(records).filter(record => !record.deleted) });
+            return true;
+        }
+
+        if (req.method === 'GET') {
+            const record = records[syncId];
+            if (!record || record.deleted) {
+                sendJson(res, 404, { error: '记录不存在' });
+            } else {
+                sendJson(res, 200, record);
+            }
+        } else if (req.method === 'PUT' || req.method === 'DELETE') {
+            const body = req.method === 'PUT'
+                ? await readJsonBody(req, MAX_BODY_SIZE)
+                : { updatedAt: url.searchParams.get('updatedAt') || new Date().toISOString(), deleted: true };
+            if (!isPlainObject(body)) {
+                sendJson(res, 400, { error: '请求体必须是 JSON 对象' });
+                return true;
+            }
+            const change = { ...body, collection, syncId };
+            const error = validateChange(change);
+            if (error) {
+                sendJson(res, 400, { error });
+                return true;
+            }
+
+            const result = store.applyChange(change);
+            if (result.applied) {
+                await store.save();
+            }
+            sendJson(res, result.applied ? 200 : 409, result);
+        } else {
+            sendJson(res, 405, { error: '不支持的请求方法' });
+        }
+    } catch (error) {
+        console.error('处理同步请求失败:', error);
+        sendJson(res, error.status || 500, { error: error.message });
+    }
+
+    return true;
+}
+
+module.exports = { SyncStore, handleSyncRequest };
@@ -0,0 +1,59 @@
+/**
+ * 服务器接口通用工具
+ */
+
+/**
+ * 读取 JSON 请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @param {number} maxSize - 请求体大小上限（字节）
+ * @returns {Promise<*>} 解析后的值，空请求体返回 {}；不一定是对象，见 isPlainObject
+ */
+function readJsonBody(req, maxSize) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('请求体不是有效的JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 是否为普通 JSON 对象（不是 null 或数组）
+ * @param {*} value - 值
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(data));
+}
+
+module.exports = { readJsonBody, isPlainObject, sendJson };
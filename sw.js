@@ -0,0 +1,155 @@
+/**
+ * Service Worker：离线缓存
+ * - 安装时预缓存应用外壳和按需加载的第三方库，缓存名带版本号
+ * - 发布新版本时修改 CACHE_VERSION，新的 Service Worker 安装后进入等待状态，
+ *   由页面提示用户刷新（postMessage SKIP_WAITING）后接管
+ * - 其他跨域资源（字体等）在首次请求时写入运行时缓存
+ */
+
+const CACHE_VERSION = 'v5';
+const CACHE_PREFIX = 'rollcall-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`;
+
+// 应用外壳：缺少任何一个都视为安装失败
+const APP_SHELL = [
+    './',
+    './index.html',
+    './presenter.html',
+    './404.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './styles/main.css',
+    './styles/design-system.css',
+    './styles/components-modern.css',
+    './styles/animations.css',
+    './js/storage.js',
+    './js/algorithms.js',
+    './js/animations.js',
+    './js/presenter.js',
+    './js/remoteControl.js',
+    './js/components.js',
+    './js/csv.js',
+    './js/xlsx.js',
+    './js/rosterRenderer.js',
+    './js/importExport.js',
+    './js/fairness.js',
+    './js/pwa.js',
+    './js/app.js'
+];
+
+// 第三方库和样式：尽量缓存，CDN 不可用时不影响安装
+const VENDOR_ASSETS = [
+    'https://cdn.sheetjs.com/xlsx-0.20.0/package/dist/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/webfonts/fa-solid-900.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/webfonts/fa-regular-400.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/webfonts/fa-brands-400.woff2',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        // 绕过 HTTP 缓存，确保新版本拿到的是最新文件
+        await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+
+        await Promise.all(VENDOR_ASSETS.map(async (url) => {
+            try {
+                // 页面中的 <script>/<link> 以 no-cors 方式请求，这里保持一致；
+                // 字体文件总是以 cors 方式请求，不能使用不透明响应
+                const mode = url.endsWith('.woff2') ? 'cors' : 'no-cors';
+                const response = await fetch(new Request(url, { mode }));
+                await cache.put(url, response);
+            } catch (error) {
+                console.warn('预缓存第三方资源失败:', url, error);
+            }
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // 遥控和同步接口必须实时访问服务器
+    if (sameOrigin && url.pathname.includes('/api/')) return;
+
+    if (sameOrigin) {
+        event.respondWith(handleSameOrigin(request));
+    } else if (url.protocol.startsWith('http')) {
+        event.respondWith(handleCrossOrigin(event, request));
+    }
+});
+
+/**
+ * 同源请求：优先使用预缓存，未缓存的文件走网络
+ * 页面导航忽略查询参数，离线打开不存在的页面时返回 404 页面
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+async function handleSameOrigin(request) {
+    const isNavigation = request.mode === 'navigate';
+    const cached = await caches.match(request, { ignoreSearch: isNavigation });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (isNavigation) {
+            const fallback = await caches.match('./404.html');
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 跨域请求：预缓存的第三方库版本固定，直接使用；
+ * 其他资源使用运行时缓存，同时在后台更新
+ * @param {FetchEvent} event - 请求事件
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+async function handleCrossOrigin(event, request) {
+    const precache = await caches.open(PRECACHE_NAME);
+    const precached = await precache.match(request);
+    if (precached) return precached;
+
+    const runtimeCache = await caches.open(RUNTIME_CACHE_NAME);
+    const cached = await runtimeCache.match(request);
+
+    const update = fetch(request).then(async (response) => {
+        if (response.ok || response.type === 'opaque') {
+            await runtimeCache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,44 @@
+/**
+ * 点名算法测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * 在模拟的浏览器环境中加载算法模块
+ * @param {Object} storageManager - 存储管理器替身
+ * @returns {CallAlgorithm} 算法实例
+ */
+function createAlgorithm(storageManager = {}) {
+    const context = { window: {}, crypto: require('crypto').webcrypto };
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'algorithms.js'), 'utf-8');
+    vm.runInContext(`${source}\nthis.CallAlgorithm = CallAlgorithm;`, context);
+    return new context.CallAlgorithm(storageManager, { seed: 'test' });
+}
+
+const students = ['A', 'B', 'C', 'D', 'E'].map((name, index) => ({ id: index + 1, name }));
+
+test('循环轮转批量抽取接着上次选中的学生依次往后', async () => {
+    const algorithm = createAlgorithm();
+    algorithm.lastSelectedStudent = 2;
+    algorithm.selectedStudents.add(2);
+
+    const selected = await algorithm.selectMultipleStudents(students, 3, 'roundRobin', { absentIds: [] });
+    assert.deepStrictEqual(Array.from(selected, s => s.name), ['C', 'D', 'E']);
+
+    const next = await algorithm.selectMultipleStudents(students, 3, 'roundRobin', { absentIds: [] });
+    assert.deepStrictEqual(Array.from(next, s => s.name), ['A', 'B', 'C']);
+});
+
+test('循环轮转批量抽取跳过缺勤学生且不重复', async () => {
+    const algorithm = createAlgorithm();
+
+    const selected = await algorithm.selectMultipleStudents(students, 5, 'roundRobin', { absentIds: [2] });
+    assert.deepStrictEqual(Array.from(selected, s => s.name), ['A', 'C', 'D', 'E']);
+});